@@ -0,0 +1,118 @@
+const AdaptiveWeights = require('../signal/adaptiveWeights');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 30);
+
+function makeSignal({ win, voters = [], daysAgo = 0, symbol = 'BTCUSDT', timeframe = '15m' }) {
+  return {
+    symbol,
+    timeframe,
+    direction: 'LONG',
+    status: 'CLOSED',
+    rMultiple: win ? 1.5 : -1,
+    resolvedAt: new Date(NOW - daysAgo * DAY),
+    explain: { detectorResults: voters.map(name => ({ name, direction: 'LONG', score: 70 })) }
+  };
+}
+
+function repeat(count, options) {
+  return Array.from({ length: count }, () => makeSignal(options));
+}
+
+// 6W / 2L with `alpha` voting, plus 2 losses without it: baseline 6/10
+const history = [
+  ...repeat(6, { win: true, voters: ['alpha'] }),
+  ...repeat(2, { win: false, voters: ['alpha'] }),
+  ...repeat(2, { win: false })
+];
+
+describe('AdaptiveWeights.collectStats', () => {
+  test('halves the weight of an outcome every half-life', () => {
+    const weights = new AdaptiveWeights({ halfLifeDays: 14 });
+    const { groups, overall } = weights.collectStats([
+      makeSignal({ win: true, voters: ['alpha'] }),
+      makeSignal({ win: false, voters: ['alpha'], daysAgo: 14 }),
+      makeSignal({ win: false, voters: ['alpha'], daysAgo: 28 })
+    ], NOW);
+
+    expect(overall).toEqual({ wins: 1, losses: 0.75 });
+    expect(groups['*'].alpha).toEqual({ wins: 1, losses: 0.75 });
+    expect(groups['BTCUSDT:15m'].alpha).toEqual({ wins: 1, losses: 0.75 });
+  });
+
+  test('ignores open signals and detectors that did not vote with the signal', () => {
+    const weak = { ...makeSignal({ win: true }), explain: { detectorResults: [{ name: 'beta', direction: 'LONG', score: 40 }] } };
+    const against = { ...makeSignal({ win: true }), explain: { detectorResults: [{ name: 'gamma', direction: 'SHORT', score: 90 }] } };
+    const open = { ...makeSignal({ win: true, voters: ['alpha'] }), status: 'OPEN' };
+
+    const { groups, overall } = new AdaptiveWeights().collectStats([weak, against, open], NOW);
+
+    expect(overall).toEqual({ wins: 2, losses: 0 });
+    expect(groups['*']).toEqual({});
+  });
+});
+
+describe('AdaptiveWeights.recalibrate', () => {
+  test('shrinks the detector hit rate towards the baseline', () => {
+    const report = new AdaptiveWeights({ priorStrength: 4 }).recalibrate(history, NOW);
+    const baseline = (6 + 2) / (10 + 4);
+    const hitRate = (6 + 4 * baseline) / (8 + 4);
+
+    expect(report.baselineWinRate).toBeCloseTo(baseline * 100);
+    expect(report.entries.map(e => [e.symbol, e.timeframe])).toEqual([['*', '*'], ['BTCUSDT', '15m']]);
+    expect(report.entries[0]).toMatchObject({ detector: 'alpha', samples: 8, oldWeight: 1 });
+    expect(report.entries[0].hitRate).toBeCloseTo(hitRate * 100);
+    expect(report.weights['*'].alpha).toBeCloseTo(hitRate / baseline, 3);
+  });
+
+  test('moves the weight further from 1 without the prior', () => {
+    const shrunk = new AdaptiveWeights({ priorStrength: 4 }).recalibrate(history, NOW).weights['*'].alpha;
+    const raw = new AdaptiveWeights({ priorStrength: 0 }).recalibrate(history, NOW).weights['*'].alpha;
+
+    expect(raw).toBeCloseTo(0.75 / 0.6, 3);
+    expect(shrunk).toBeGreaterThan(1);
+    expect(shrunk).toBeLessThan(raw);
+  });
+
+  test('lets decayed losses count for less than recent wins', () => {
+    const signals = [
+      ...repeat(5, { win: true, voters: ['alpha'] }),
+      ...repeat(5, { win: false, voters: ['alpha'], daysAgo: 70 })
+    ];
+
+    const report = new AdaptiveWeights({ halfLifeDays: 14 }).recalibrate(signals, NOW);
+
+    expect(report.entries[0].samples).toBeCloseTo(5 + 5 / 32, 2);
+    expect(report.entries[0].hitRate).toBeGreaterThan(50);
+  });
+
+  test('skips detectors below the minimum decayed sample count', () => {
+    const signals = [...repeat(3, { win: true, voters: ['alpha'] }), ...repeat(1, { win: false, voters: ['alpha'] })];
+
+    expect(new AdaptiveWeights({ minSamples: 5 }).recalibrate(signals, NOW).entries).toEqual([]);
+  });
+
+  test('clamps weights to the configured bounds', () => {
+    const losing = [...repeat(8, { win: false, voters: ['alpha'] }), ...repeat(8, { win: true })];
+
+    expect(new AdaptiveWeights({ maxWeight: 1.1 }).recalibrate(history, NOW).weights['*'].alpha).toBe(1.1);
+    expect(new AdaptiveWeights({ minWeight: 0.9 }).recalibrate(losing, NOW).weights['*'].alpha).toBe(0.9);
+  });
+});
+
+describe('AdaptiveWeights.getWeight', () => {
+  test('uses learned weights only in "on" mode, per coin before global', () => {
+    const learned = { '*': { alpha: 1.4 }, 'ETHUSDT:15m': { alpha: 0.6 } };
+    const detector = { name: 'alpha', weight: 1.1 };
+
+    const dryrun = new AdaptiveWeights({ mode: 'dryrun' });
+    dryrun.apply({ weights: learned });
+    expect(dryrun.getWeight(detector, { symbol: 'ETHUSDT', timeframe: '15m' })).toBe(1.1);
+
+    const on = new AdaptiveWeights({ mode: 'on' });
+    on.apply(learned);
+    expect(on.getWeight(detector, { symbol: 'ETHUSDT', timeframe: '15m' })).toBe(0.6);
+    expect(on.getWeight(detector, { symbol: 'BTCUSDT', timeframe: '15m' })).toBe(1.4);
+    expect(on.getWeight({ name: 'beta', weight: 0.8 }, { symbol: 'BTCUSDT' })).toBe(0.8);
+  });
+});
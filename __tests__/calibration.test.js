@@ -0,0 +1,67 @@
+const ConfidenceCalibrator = require('../signal/calibration');
+
+// Deterministic pseudo-random outcomes with a win rate rising with the score
+function makeSamples(count, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+  return Array.from({ length: count }, () => {
+    const score = Math.round(random() * 100);
+    return { score, win: random() < 0.2 + score / 200 };
+  });
+}
+
+describe('ConfidenceCalibrator', () => {
+  test('stays unfitted below the minimum sample count', () => {
+    const calibrator = new ConfidenceCalibrator({ minSamples: 30 }).fit(makeSamples(10));
+
+    expect(calibrator.isFitted()).toBe(false);
+    expect(calibrator.predict(50)).toBeNull();
+  });
+
+  test('block probabilities are strictly increasing after smoothing', () => {
+    for (let seed = 1; seed <= 50; seed++) {
+      const calibrator = new ConfidenceCalibrator({ minSamples: 30 }).fit(makeSamples(120, seed));
+      const probabilities = calibrator.blocks.map(b => b.probability);
+
+      probabilities.slice(1).forEach((p, i) => expect(p).toBeGreaterThan(probabilities[i]));
+    }
+  });
+
+  test('pools a small all-win block into a larger lower one instead of ranking it above', () => {
+    // Raw 8/10 < 1/1, but smoothed 9/12 > 2/3
+    const samples = [
+      ...Array.from({ length: 10 }, (_, i) => ({ score: 40, win: i < 8 })),
+      { score: 60, win: true },
+      ...Array.from({ length: 20 }, () => ({ score: 20, win: false }))
+    ];
+    const calibrator = new ConfidenceCalibrator({ minSamples: 30 }).fit(samples);
+
+    expect(calibrator.blocks).toHaveLength(2);
+    expect(calibrator.blocks[1]).toMatchObject({ minScore: 40, maxScore: 60, wins: 9, count: 11 });
+    expect(calibrator.predict(100)).toBeCloseTo(10 / 13 * 100);
+  });
+});
+
+describe('ConfidenceCalibrator.samplesFromSignals', () => {
+  const closed = (explain, rMultiple = 1) => ({ status: 'CLOSED', rMultiple, explain });
+
+  test('uses the pre-ML calibration score', () => {
+    const samples = ConfidenceCalibrator.samplesFromSignals([closed({ metaScore: 80, calibrationScore: 70, ml: { probability: 0.9 } })]);
+
+    expect(samples).toEqual([{ score: 70, win: true }]);
+  });
+
+  test('keeps older records without ML and skips those with an ML-blended meta-score only', () => {
+    const samples = ConfidenceCalibrator.samplesFromSignals([
+      closed({ metaScore: 65, ml: null }, -1),
+      closed({ metaScore: 66, ml: { probability: null, fallback: true } }),
+      closed({ metaScore: 80, ml: { probability: 0.9, fallback: false } }),
+      { status: 'OPEN', explain: { metaScore: 90 } }
+    ]);
+
+    expect(samples).toEqual([{ score: 65, win: false }, { score: 66, win: true }]);
+  });
+});
@@ -0,0 +1,117 @@
+const SignalDetectors = require('../signal/detectors');
+
+const HOUR = 60 * 60 * 1000;
+
+// Deterministic noise in [-1, 1)
+function noise(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 1073741824 - 1;
+  };
+}
+
+function toCandles(returns) {
+  let close = 100;
+  const candles = [{ timestamp: 0, open: close, high: close, low: close, close, volume: 1 }];
+  returns.forEach((r, i) => {
+    const open = close;
+    close *= 1 + r;
+    candles.push({ timestamp: (i + 1) * HOUR, open, high: Math.max(open, close), low: Math.min(open, close), close, volume: 1 });
+  });
+  return candles;
+}
+
+const BARS = 72;
+const benchNoise = noise(7);
+const benchReturns = Array.from({ length: BARS }, () => benchNoise() * 0.01);
+
+// Idiosyncratic noise that cancels out over every pair of bars
+function pairedNoise(i) {
+  return (i % 2 === 0 ? 1 : -1) * 0.001 * (1 + Math.floor(i / 2) % 3);
+}
+
+// Coin = beta * benchmark + idiosyncratic noise, plus `drift` per bar over the last `driftBars`
+function coinReturns({ beta = 1.5, drift = 0, driftBars = 12, decoupleBars = 0 }) {
+  const freeNoise = noise(23);
+  return benchReturns.map((b, i) => {
+    const recent = i >= BARS - driftBars;
+    const market = i >= BARS - decoupleBars ? freeNoise() * 0.015 : beta * b;
+    return market + pairedNoise(i) + (recent ? drift : 0);
+  });
+}
+
+function detect(coin, config) {
+  return SignalDetectors.correlationBreakDetector({ '1h': toCandles(coin), benchmarks: { BTCUSDT: toCandles(benchReturns) } }, config);
+}
+
+// Reference beta and residual z-score over the aligned returns
+function expectedStats(coin, strengthWindow = 12) {
+  const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+  const coinMean = mean(coin);
+  const benchMean = mean(benchReturns);
+  const beta = mean(coin.map((r, i) => (r - coinMean) * (benchReturns[i] - benchMean))) /
+    mean(benchReturns.map(r => (r - benchMean) ** 2));
+  const residuals = coin.map((r, i) => r - beta * benchReturns[i]);
+  const residualMean = mean(residuals);
+  const residualStd = Math.sqrt(mean(residuals.map(r => (r - residualMean) ** 2)));
+  const recent = residuals.slice(-strengthWindow).reduce((a, b) => a + b, 0);
+  return { beta, residualZ: recent / (residualStd * Math.sqrt(strengthWindow)) };
+}
+
+describe('SignalDetectors.correlationBreakDetector', () => {
+  test('estimates beta and stays neutral without relative strength', () => {
+    const coin = coinReturns({});
+    const result = detect(coin);
+
+    expect(result.direction).toBe('NEUTRAL');
+    expect(result.metadata.beta).toBeCloseTo(1.5, 1);
+    expect(result.metadata.beta).toBeCloseTo(expectedStats(coin).beta, 10);
+    expect(result.metadata.decoupled).toBe(false);
+    expect(result.metadata.baselineCorrelation).toBeGreaterThan(0.9);
+  });
+
+  test('signals LONG on beta-adjusted outperformance with the residual z-score', () => {
+    const coin = coinReturns({ drift: 0.002 });
+    const result = detect(coin);
+    const { residualZ } = expectedStats(coin);
+
+    expect(result.direction).toBe('LONG');
+    expect(result.metadata.residualZ).toBeCloseTo(residualZ, 10);
+    expect(result.metadata.residualZ).toBeGreaterThan(1);
+    expect(result.score).toBe(Math.round(Math.min(100, residualZ * 25)));
+    expect(result.reason).toMatch(/^Outperforming BTC by /);
+  });
+
+  test('signals SHORT on underperformance', () => {
+    const result = detect(coinReturns({ drift: -0.002 }));
+
+    expect(result.direction).toBe('SHORT');
+    expect(result.metadata.residualZ).toBeLessThan(-1);
+    expect(result.reason).toMatch(/^Underperforming BTC/);
+  });
+
+  test('respects the z-score threshold', () => {
+    const coin = coinReturns({ drift: 0.002 });
+    const { residualZ } = expectedStats(coin);
+
+    expect(detect(coin, { residualZThreshold: residualZ + 0.1 }).direction).toBe('NEUTRAL');
+  });
+
+  test('adds the decoupling bonus when the recent correlation collapses', () => {
+    const result = detect(coinReturns({ drift: 0.003, decoupleBars: 24 }));
+
+    expect(result.metadata.decoupled).toBe(true);
+    expect(result.metadata.baselineCorrelation - result.metadata.recentCorrelation).toBeGreaterThanOrEqual(0.3);
+    expect(result.score).toBe(Math.round(Math.min(100, Math.abs(result.metadata.residualZ) * 25 + 25)));
+    expect(result.reason).toMatch(/decoupled: corr/);
+  });
+
+  test('is neutral without enough history or benchmarks', () => {
+    const short = SignalDetectors.correlationBreakDetector({ '1h': toCandles(benchReturns.slice(0, 30)), benchmarks: { BTCUSDT: toCandles(benchReturns) } });
+    const noBenchmarks = SignalDetectors.correlationBreakDetector({ '1h': toCandles(coinReturns({})), benchmarks: {} });
+
+    expect(short).toMatchObject({ score: 0, direction: 'NEUTRAL', reason: 'Insufficient data for correlation analysis' });
+    expect(noBenchmarks.reason).toBe('Insufficient data for correlation analysis');
+  });
+});
@@ -0,0 +1,99 @@
+// The exchange clients are replaced per test; the real ccxt build does not load under jest
+jest.mock('ccxt', () => {
+  class Exchange {}
+  return { binance: Exchange, bybit: Exchange, binanceusdm: Exchange };
+});
+jest.mock('winston', () => ({
+  createLogger: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+  format: { combine: () => ({}), timestamp: () => ({}), json: () => ({}), simple: () => ({}) },
+  transports: { File: function File() {}, Console: function Console() {} }
+}));
+
+const DataService = require('../services/data');
+
+function makeFutures(overrides = {}) {
+  return {
+    markets: { 'BTC/USDT:USDT': { id: 'BTCUSDT', symbol: 'BTC/USDT:USDT', swap: true, linear: true } },
+    loadMarkets: jest.fn(async () => {}),
+    fetchFundingRate: jest.fn(async () => ({ fundingRate: 0.0001, fundingTimestamp: 1000 })),
+    fetchFundingRateHistory: jest.fn(async () => [{ timestamp: 1, fundingRate: 0.0002 }]),
+    fetchOpenInterestHistory: jest.fn(async () => [{ timestamp: 2, openInterestAmount: 10, openInterestValue: 500 }]),
+    fetchLongShortRatioHistory: jest.fn(async () => [{ timestamp: 3, longShortRatio: 1.8 }]),
+    ...overrides
+  };
+}
+
+describe('DataService.fetchFundingAndOI', () => {
+  const original = { futures: DataService.futures, enabled: DataService.futuresEnabled, ttl: DataService.fundingCacheTtl };
+
+  beforeEach(() => {
+    DataService.futures = makeFutures();
+    DataService.futuresEnabled = true;
+    DataService.fundingCacheTtl = 5 * 60 * 1000;
+    DataService.fundingCache.clear();
+  });
+
+  afterAll(() => {
+    DataService.futures = original.futures;
+    DataService.futuresEnabled = original.enabled;
+    DataService.fundingCacheTtl = original.ttl;
+  });
+
+  test('maps the perpetual series and serves repeat calls from the cache', async () => {
+    const first = await DataService.fetchFundingAndOI('BTCUSDT');
+    const second = await DataService.fetchFundingAndOI('BTCUSDT');
+
+    expect(first).toEqual({
+      symbol: 'BTC/USDT:USDT',
+      fundingRate: 0.0001,
+      nextFundingTime: 1000,
+      fundingHistory: [{ timestamp: 1, rate: 0.0002 }],
+      openInterest: [{ timestamp: 2, amount: 10, value: 500 }],
+      longShortRatio: [{ timestamp: 3, ratio: 1.8 }],
+      timeframe: '1h'
+    });
+    expect(second).toBe(first);
+    expect(DataService.futures.fetchFundingRate).toHaveBeenCalledTimes(1);
+    expect(DataService.futures.fetchOpenInterestHistory).toHaveBeenCalledTimes(1);
+  });
+
+  test('caches each symbol and timeframe separately', async () => {
+    await DataService.fetchFundingAndOI('BTCUSDT', '1h');
+    await DataService.fetchFundingAndOI('BTCUSDT', '4h');
+
+    expect(DataService.futures.fetchOpenInterestHistory.mock.calls.map(call => call[1])).toEqual(['1h', '4h']);
+  });
+
+  test('refetches once the cache entry has expired', async () => {
+    DataService.fundingCacheTtl = -1;
+    await DataService.fetchFundingAndOI('BTCUSDT');
+    await DataService.fetchFundingAndOI('BTCUSDT');
+
+    expect(DataService.futures.fetchFundingRate).toHaveBeenCalledTimes(2);
+  });
+
+  test('falls back per series when one call fails', async () => {
+    DataService.futures = makeFutures({ fetchOpenInterestHistory: jest.fn(async () => { throw new Error('rate limited'); }) });
+
+    const result = await DataService.fetchFundingAndOI('BTCUSDT');
+
+    expect(result).toMatchObject({ fundingRate: 0.0001, openInterest: [], longShortRatio: [{ timestamp: 3, ratio: 1.8 }] });
+  });
+
+  test('does not cache a missing perpetual market or unavailable futures markets', async () => {
+    expect(await DataService.fetchFundingAndOI('FOOUSDT')).toBeNull();
+    expect(await DataService.fetchFundingAndOI('FOOUSDT')).toBeNull();
+    expect(DataService.futures.loadMarkets).toHaveBeenCalledTimes(2);
+
+    DataService.futures = makeFutures({ loadMarkets: jest.fn(async () => { throw new Error('down'); }) });
+    expect(await DataService.fetchFundingAndOI('BTCUSDT')).toBeNull();
+    expect(DataService.fundingCache.size).toBe(0);
+  });
+
+  test('returns null without requests when futures data is disabled', async () => {
+    DataService.futuresEnabled = false;
+
+    expect(await DataService.fetchFundingAndOI('BTCUSDT')).toBeNull();
+    expect(DataService.futures.loadMarkets).not.toHaveBeenCalled();
+  });
+});
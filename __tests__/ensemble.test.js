@@ -0,0 +1,29 @@
+const EnsembleAI = require('../signal/ensemble');
+
+describe('EnsembleAI.getConfidence', () => {
+  test('uses the heuristic meta-score without a confidence provider', () => {
+    expect(new EnsembleAI().getConfidence(72.4)).toEqual({ confidence: 72, calibrated: false });
+  });
+
+  test('uses the calibrated probability when the provider returns one', () => {
+    const ensemble = new EnsembleAI({ confidenceProvider: metaScore => metaScore * 0.6 });
+
+    expect(ensemble.getConfidence(80)).toEqual({ confidence: 48, calibrated: true });
+  });
+
+  test('falls back to the meta-score while the provider is unfitted', () => {
+    const ensemble = new EnsembleAI({ confidenceProvider: () => null });
+
+    expect(ensemble.getConfidence(65)).toEqual({ confidence: 65, calibrated: false });
+  });
+});
+
+describe('EnsembleAI calibration stage', () => {
+  test('maps the pre-ML calibration score and blends the ML probability on top', () => {
+    const mlService = { blend: (score, probability) => 0.5 * score + 0.5 * probability * 100 };
+    const ensemble = new EnsembleAI({ mlService, confidenceProvider: score => (score === 70 ? 40 : null) });
+
+    expect(ensemble.getConfidence(75, 70, { probability: 0.6 })).toEqual({ confidence: 50, calibrated: true });
+    expect(ensemble.getConfidence(75, 70, { probability: null })).toEqual({ confidence: 40, calibrated: true });
+  });
+});
@@ -0,0 +1,194 @@
+// Only the mocked exchange is used; the real ccxt build does not load under jest
+jest.mock('ccxt', () => ({}));
+
+const { createStorage } = require('../services/storage');
+const ExecutionService = require('../services/execution');
+const { createMockExchange } = require('../services/exchangeMock');
+
+function makeSignal(overrides = {}) {
+  return {
+    id: '1',
+    symbol: 'BTCUSDT',
+    direction: 'LONG',
+    entry: 50000,
+    sl: 49000,
+    tp: 52000,
+    status: 'OPEN',
+    ...overrides
+  };
+}
+
+function setup({ config = {}, prices = { BTCUSDT: 50000, ETHUSDT: 3000 } } = {}) {
+  const storage = createStorage({ driver: 'memory' });
+  const exchange = createMockExchange({ balance: 1000, prices });
+  const alerts = [];
+  const execution = new ExecutionService({
+    storage,
+    exchange,
+    alert: alert => alerts.push(alert),
+    config: { enabled: true, maxSymbolExposure: 5000, ...config }
+  });
+  return { storage, exchange, execution, alerts };
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ExecutionService rails', () => {
+  test('blocks new executions once the daily loss limit is hit', () => {
+    const { execution } = setup({ config: { maxDailyLoss: 50 } });
+    execution.addDailyPnl(-50);
+
+    const rails = execution.checkRails(makeSignal());
+    expect(rails.ok).toBe(false);
+    expect(rails.reason).toMatch(/Daily loss limit/);
+  });
+
+  test('blocks new executions at max open positions', async () => {
+    const { execution } = setup({ config: { maxOpenPositions: 1 } });
+    await execution.execute(makeSignal());
+
+    const rails = execution.checkRails(makeSignal({ id: '2', symbol: 'ETHUSDT', entry: 3000, sl: 2900, tp: 3200 }));
+    expect(rails.ok).toBe(false);
+    expect(rails.reason).toMatch(/Max open positions/);
+  });
+
+  test('caps size by the remaining symbol exposure and blocks once it is used up', async () => {
+    const { execution } = setup({ config: { maxSymbolExposure: 300 } });
+    const position = await execution.execute(makeSignal());
+
+    expect(position.notional).toBeLessThanOrEqual(300);
+    expect(execution.getSymbolExposure('BTCUSDT')).toBeCloseTo(300);
+
+    const rails = execution.checkRails(makeSignal({ id: '2' }));
+    expect(rails.ok).toBe(false);
+    expect(rails.reason).toMatch(/exposure limit/);
+  });
+
+  test('refuses to execute while the kill switch is on', async () => {
+    const { execution, exchange } = setup();
+    execution.setHalted(true);
+
+    await expect(execution.execute(makeSignal())).rejects.toThrow(/Kill switch/);
+    expect(exchange.orders).toHaveLength(0);
+  });
+});
+
+describe('ExecutionService.execute', () => {
+  test('places a market entry with reduce-only stop and take-profit', async () => {
+    const { execution, exchange } = setup();
+    const position = await execution.execute(makeSignal());
+
+    expect(exchange.orders.map(o => o.type)).toEqual(['market', 'STOP_MARKET', 'TAKE_PROFIT_MARKET']);
+    expect(exchange.orders[1].params).toMatchObject({ stopPrice: '49000', reduceOnly: true });
+    expect(position).toMatchObject({ status: 'OPEN', entryPrice: 50000, amount: 0.01 });
+  });
+
+  test('closes the position when the stop order fails', async () => {
+    const { execution, exchange } = setup();
+    exchange.failOn('STOP_MARKET');
+
+    await expect(execution.execute(makeSignal())).rejects.toThrow(/Stop order failed, position closed/);
+    expect(exchange.orders.map(o => [o.type, o.side])).toEqual([['market', 'buy'], ['market', 'sell']]);
+    expect((await exchange.fetchPositions())).toHaveLength(0);
+    expect(execution.getOpenPositions()).toHaveLength(0);
+  });
+
+  test('keeps the position as UNPROTECTED and alerts when the emergency close fails too', async () => {
+    const { execution, exchange, alerts } = setup({ config: { maxOpenPositions: 1 } });
+    exchange.failOn('STOP_MARKET');
+    exchange.failOn('market', { reduceOnly: true });
+
+    await expect(execution.execute(makeSignal())).rejects.toThrow(/UNPROTECTED/);
+
+    const open = execution.getOpenPositions();
+    expect(open).toHaveLength(1);
+    expect(open[0]).toMatchObject({ signalId: '1', status: 'UNPROTECTED' });
+    expect(alerts).toEqual([expect.objectContaining({ type: 'unprotected' })]);
+    expect(execution.checkRails(makeSignal({ id: '2', symbol: 'ETHUSDT' })).ok).toBe(false);
+  });
+});
+
+describe('ExecutionService.killSwitch', () => {
+  test('halts and flattens every open position, including unprotected ones', async () => {
+    const { execution, exchange } = setup();
+    await execution.execute(makeSignal());
+    exchange.failOn('STOP_MARKET');
+    exchange.failOn('market', { reduceOnly: true });
+    await expect(execution.execute(makeSignal({ id: '2', symbol: 'ETHUSDT', entry: 3000, sl: 2900, tp: 3200 }))).rejects.toThrow();
+    exchange.clearFailures();
+
+    const closed = await execution.killSwitch({ flatten: true });
+
+    expect(execution.isHalted()).toBe(true);
+    expect(closed.map(p => p.outcome)).toEqual(['KILLED', 'KILLED']);
+    expect(execution.getOpenPositions()).toHaveLength(0);
+    expect(await exchange.fetchPositions()).toHaveLength(0);
+    expect(exchange.cancelled.map(c => c.id)).toEqual(expect.arrayContaining(['2', '3']));
+  });
+
+  test('only halts without flatten', async () => {
+    const { execution } = setup();
+    await execution.execute(makeSignal());
+
+    expect(await execution.killSwitch()).toEqual([]);
+    expect(execution.getOpenPositions()).toHaveLength(1);
+  });
+});
+
+describe('ExecutionService reconciliation', () => {
+  test('books the stop fill when an expired signal was already stopped out', async () => {
+    const { execution, exchange } = setup();
+    const position = await execution.execute(makeSignal());
+    exchange.fill(position.orders.stop, 48900);
+
+    const closed = await execution.onSignalResolved(makeSignal({ outcome: 'EXPIRED', exitPrice: 49500 }));
+
+    expect(closed).toMatchObject({ status: 'CLOSED', outcome: 'SL', exitPrice: 48900 });
+    expect(execution.getDailyPnl()).toBeCloseTo(-11);
+    expect(exchange.cancelled.map(c => c.id)).toContain(position.orders.takeProfit);
+  });
+
+  test('closes expired signals at market', async () => {
+    const { execution, exchange } = setup();
+    await execution.execute(makeSignal());
+    exchange.prices.BTCUSDT = 50500;
+
+    const closed = await execution.onSignalResolved(makeSignal({ outcome: 'EXPIRED', exitPrice: 50400 }));
+
+    expect(closed).toMatchObject({ outcome: 'EXPIRED', exitPrice: 50500 });
+    expect(execution.getDailyPnl()).toBeCloseTo(5);
+  });
+
+  test('keeps the position open while the tracker hit TP but the exchange bracket has not filled', async () => {
+    const { execution, exchange } = setup();
+    const position = await execution.execute(makeSignal());
+
+    expect(await execution.onSignalResolved(makeSignal({ outcome: 'TP', exitPrice: 52000 }))).toBeNull();
+    expect(execution.getOpenPositions()).toHaveLength(1);
+
+    exchange.fill(position.orders.takeProfit, 52010);
+    const closed = await execution.reconcile();
+    expect(closed).toEqual([expect.objectContaining({ outcome: 'TP', exitPrice: 52010 })]);
+    expect(execution.getDailyPnl()).toBeCloseTo(20.1);
+  });
+
+  test('books positions closed outside the bracket orders from the account trades', async () => {
+    const { execution, exchange } = setup();
+    const position = await execution.execute(makeSignal());
+    exchange.prices.BTCUSDT = 49500;
+    await exchange.createOrder(position.marketSymbol, 'market', 'sell', position.amount, undefined, { reduceOnly: true });
+
+    const closed = await execution.reconcile();
+
+    expect(closed).toEqual([expect.objectContaining({ outcome: 'EXTERNAL', exitPrice: 49500 })]);
+    expect(execution.getDailyPnl()).toBeCloseTo(-5);
+  });
+});
@@ -0,0 +1,90 @@
+const { createStorage } = require('../services/storage');
+const SignalExplainer = require('../services/explain');
+const I18n = require('../services/i18n');
+
+const t = new I18n().translator('en');
+
+function setup(config = {}) {
+  const storage = createStorage({ driver: 'memory' });
+  return { storage, explainer: new SignalExplainer({ storage, config }) };
+}
+
+const explain = {
+  detectorResults: [
+    { name: 'volume_spike', score: 55, direction: 'LONG', reason: 'Volume z 2.4', metadata: { volumeZScore: 2.4 } },
+    { name: 'momentum_breakout', score: 80, direction: 'LONG', reason: 'Broke 20-bar high', metadata: { breakoutStrength: 1.234 } },
+    { name: 'rsi_momentum', score: 60, direction: 'SHORT', reason: 'RSI <30 & falling' },
+    { name: 'correlation_break', score: 0, direction: 'NEUTRAL', reason: 'Missing timeframes: 1h' }
+  ],
+  agreement: { majorityDirection: 'LONG', majorityCount: 2 },
+  metaScore: 71.26,
+  ml: { probability: 0.64, ensembleScore: 68.04, fallback: false },
+  confluence: { adjustment: 5 }
+};
+
+const record = { id: '7', symbol: 'BTCUSDT', direction: 'LONG', confidence: 72, reason: 'Breakout', explain };
+
+describe('SignalExplainer.format', () => {
+  test('groups detectors by vote, strongest first', () => {
+    const { explainer } = setup();
+    const text = explainer.format(record, t);
+    const lines = text.split('\n');
+
+    expect(lines[0]).toBe('🔍 <b>Why #7</b> – BTC LONG (72%)');
+    expect(lines.filter(l => l.startsWith('<b>'))).toEqual([
+      '<b>✅ Voted for (2)</b>',
+      '<b>❌ Voted against (1)</b>',
+      '<b>➖ Neutral / skipped (1)</b>'
+    ]);
+    expect(text.indexOf('momentum_breakout')).toBeLessThan(text.indexOf('volume_spike'));
+  });
+
+  test('escapes detector reasons and adds agreement, meta-score, ML and trend lines', () => {
+    const { explainer } = setup();
+    const text = explainer.format(record, t);
+
+    expect(text).toContain('RSI &lt;30 &amp; falling');
+    expect(text).toContain('🤝 Agreement: 2 LONG of 4 detectors');
+    expect(text).toContain('📊 Meta-score: 71.3');
+    expect(text).toContain('🧠 ML: 64% win probability (ensemble 68)');
+    expect(text).toContain('📐 Trend confluence: +5');
+  });
+
+  test('leaves out the ML line for a fallback prediction', () => {
+    const { explainer } = setup();
+    const text = explainer.format({ ...record, explain: { ...explain, ml: { probability: null, fallback: true } } }, t);
+
+    expect(text).not.toContain('🧠 ML');
+  });
+});
+
+describe('SignalExplainer.formatMetadata', () => {
+  test('labels known fields first and caps the field count', () => {
+    const { explainer } = setup({ maxMetadataFields: 3 });
+
+    expect(explainer.formatMetadata({ custom: 0.123456, fundingRate: 0.0003, vwapDistance: -1.5, beta: 1.234, label: 'x' }))
+      .toBe('VWAP dist -1.50% | Funding 0.0300% | Beta 1.23');
+    expect(explainer.formatMetadata({ samples: 12, ratio: 0.123456 })).toBe('samples 12 | ratio 0.1235');
+    expect(explainer.formatMetadata(null)).toBe('');
+  });
+});
+
+describe('SignalExplainer analyses', () => {
+  test('stores ad-hoc analyses under A-prefixed ids and looks up signals by id', () => {
+    const { explainer, storage } = setup();
+    const signal = storage.recordSignal({ symbol: 'ETHUSDT', direction: 'SHORT' });
+    const id = explainer.saveAnalysis({ symbol: 'BTCUSDT', direction: 'LONG', confidence: 65, explain });
+
+    expect(id).toBe('A1');
+    expect(explainer.get('#a1')).toMatchObject({ id: 'A1', symbol: 'BTCUSDT', confidence: 65 });
+    expect(explainer.get(`#${signal.id}`)).toMatchObject({ symbol: 'ETHUSDT' });
+    expect(explainer.get('A9')).toBeNull();
+  });
+
+  test('drops the oldest analyses beyond the cap', () => {
+    const { explainer } = setup({ maxAnalyses: 2 });
+    ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'].forEach(symbol => explainer.saveAnalysis({ symbol, direction: 'LONG' }));
+
+    expect([...explainer.analyses.keys()]).toEqual(['A2', 'A3']);
+  });
+});
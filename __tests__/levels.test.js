@@ -0,0 +1,43 @@
+const LevelEngine = require('../signal/levels');
+
+describe('LevelEngine.generate', () => {
+  test('accepts first targets at exactly the minimum RR despite float error', () => {
+    const engine = new LevelEngine({ minRR: 1.5, targetMultiples: [1.5, 2.5, 4] });
+
+    for (let i = 0; i < 200; i++) {
+      const price = 100 + i * 7.13;
+      for (const direction of ['LONG', 'SHORT']) {
+        const levels = engine.generate(direction, price, {});
+        expect(levels.valid).toBe(true);
+        expect(levels.rr).toBe('1.50');
+      }
+    }
+  });
+
+  test('rejects first targets below the minimum RR', () => {
+    const engine = new LevelEngine({ minRR: 2, targetMultiples: [1.5, 2.5] });
+    const levels = engine.generate('LONG', 100, {});
+
+    expect(levels.valid).toBe(false);
+    expect(levels.rejectReason).toBe('RR 1.50 below minimum 2');
+  });
+});
+
+describe('LevelEngine config', () => {
+  const original = process.env.LEVELS_TP_R;
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.LEVELS_TP_R;
+    else process.env.LEVELS_TP_R = original;
+  });
+
+  test('reads target multiples from LEVELS_TP_R', () => {
+    process.env.LEVELS_TP_R = '2, 3,abc';
+    expect(new LevelEngine().config.targetMultiples).toEqual([2, 3]);
+  });
+
+  test('falls back to the default targets when LEVELS_TP_R has no valid values', () => {
+    process.env.LEVELS_TP_R = 'abc,-1';
+    expect(new LevelEngine().config.targetMultiples).toEqual([1.5, 2.5, 4]);
+  });
+});
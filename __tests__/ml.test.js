@@ -0,0 +1,116 @@
+const MLService = require('../services/ml');
+const { createMockMLServer } = require('../services/mlMockServer');
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/predict`));
+  });
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+const request = {
+  symbol: 'BTCUSDT',
+  direction: 'LONG',
+  metaScore: 70,
+  features: { rsi_15m: 55, agreement_long: 3 }
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MLService with the mock ML server', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await close(server);
+    server = null;
+  });
+
+  test('returns the model probability and sends the feature vector', async () => {
+    server = createMockMLServer({ probability: 0.72 });
+    const ml = new MLService({ enabled: true, url: await listen(server) });
+
+    expect(await ml.predict(request)).toBe(0.72);
+    expect(server.requests).toHaveLength(1);
+    expect(server.requests[0]).toMatchObject({
+      symbol: 'BTCUSDT',
+      direction: 'LONG',
+      featureNames: ['rsi_15m', 'agreement_long'],
+      vector: [55, 3]
+    });
+  });
+
+  test('uses a custom predict function', async () => {
+    server = createMockMLServer({ predict: payload => (payload.direction === 'LONG' ? 0.8 : 0.2) });
+    const ml = new MLService({ enabled: true, url: await listen(server) });
+
+    expect(await ml.predict(request)).toBe(0.8);
+    expect(await ml.predict({ ...request, direction: 'SHORT' })).toBe(0.2);
+  });
+
+  test('falls back to null on timeout', async () => {
+    server = createMockMLServer({ delayMs: 200 });
+    const ml = new MLService({ enabled: true, url: await listen(server), timeoutMs: 50 });
+
+    expect(await ml.predict(request)).toBeNull();
+  });
+
+  test('falls back to null on server errors and invalid probabilities', async () => {
+    server = createMockMLServer({ statusCode: 500 });
+    const failing = new MLService({ enabled: true, url: await listen(server) });
+    expect(await failing.predict(request)).toBeNull();
+    await close(server);
+
+    server = createMockMLServer({ probability: 1.5 });
+    const invalid = new MLService({ enabled: true, url: await listen(server) });
+    expect(await invalid.predict(request)).toBeNull();
+  });
+
+  test('does not call the server when disabled', async () => {
+    server = createMockMLServer();
+    const ml = new MLService({ enabled: false, url: await listen(server) });
+
+    expect(await ml.predict(request)).toBeNull();
+    expect(server.requests).toHaveLength(0);
+  });
+});
+
+describe('MLService.blend', () => {
+  const originalWeight = process.env.ML_WEIGHT;
+
+  afterEach(() => {
+    if (originalWeight === undefined) delete process.env.ML_WEIGHT;
+    else process.env.ML_WEIGHT = originalWeight;
+  });
+
+  test('blends the probability into the meta-score by weight', () => {
+    const ml = new MLService({ weight: 0.5 });
+
+    expect(ml.blend(60, 0.8)).toBe(70);
+    expect(ml.blend(60, null)).toBe(60);
+  });
+
+  test('keeps ML_WEIGHT=0 instead of falling back to the default', () => {
+    process.env.ML_WEIGHT = '0';
+    const ml = new MLService();
+
+    expect(ml.config.weight).toBe(0);
+    expect(ml.blend(60, 0.9)).toBe(60);
+  });
+
+  test('defaults to 0.3 for a missing or invalid ML_WEIGHT', () => {
+    process.env.ML_WEIGHT = 'abc';
+    expect(new MLService().config.weight).toBe(0.3);
+
+    delete process.env.ML_WEIGHT;
+    expect(new MLService().config.weight).toBe(0.3);
+  });
+});
@@ -0,0 +1,129 @@
+const { createStorage } = require('../services/storage');
+const PaperTradingAccount = require('../services/paperTrading');
+
+function setup(config = {}) {
+  const storage = createStorage({ driver: 'memory' });
+  const dataService = { fetchTicker: jest.fn(async symbol => ({ last: symbol === 'BTCUSDT' ? 110 : 50 })) };
+  const account = new PaperTradingAccount({
+    storage,
+    dataService,
+    config: { enabled: true, initialBalance: 1000, riskPercent: 2, feePercent: 0.1, slippagePercent: 0.1, ...config }
+  });
+  return { storage, dataService, account };
+}
+
+const longSignal = { id: '1', symbol: 'BTCUSDT', direction: 'LONG', entry: 100, sl: 95, tp: 110 };
+const shortSignal = { id: '2', symbol: 'ETHUSDT', direction: 'SHORT', entry: 50, sl: 52, tp: 46 };
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PaperTradingAccount.openPosition', () => {
+  test('fills longs above the signal entry and sizes risk from the slipped fill', () => {
+    const { account } = setup();
+    const position = account.openPosition(longSignal);
+
+    const size = parseFloat((20 / (100.1 - 95)).toFixed(8));
+    expect(position.entry).toBeCloseTo(100.1);
+    expect(position.size).toBe(size);
+    expect(position.entryFee).toBeCloseTo(size * 100.1 * 0.001);
+    expect(account.getAccount().balance).toBeCloseTo(1000 - position.entryFee);
+  });
+
+  test('fills shorts below the signal entry and uses the signal risk allocation', () => {
+    const { account } = setup();
+    const position = account.openPosition({ ...shortSignal, riskPercent: 1 });
+
+    expect(position.entry).toBeCloseTo(49.95);
+    expect(position.size).toBeCloseTo(10 / (52 - 49.95), 6);
+  });
+
+  test('skips duplicates, non-directional signals, zero size and a disabled account', () => {
+    const { account } = setup();
+    account.openPosition(longSignal);
+
+    expect(account.openPosition(longSignal)).toBeNull();
+    expect(account.openPosition({ ...longSignal, id: '3', direction: 'NEUTRAL' })).toBeNull();
+    expect(account.openPosition({ ...longSignal, id: '4', sl: 100.1 })).toBeNull();
+    expect(setup({ enabled: false }).account.openPosition(longSignal)).toBeNull();
+    expect(account.getOpenPositions()).toHaveLength(1);
+  });
+});
+
+describe('PaperTradingAccount.closePosition', () => {
+  test('books a long TP net of slippage and both fees', () => {
+    const { account } = setup();
+    const position = account.openPosition(longSignal);
+    const closed = account.closePosition('1', 110, 'TP');
+
+    const exit = 110 * 0.999;
+    const exitFee = exit * position.size * 0.001;
+    const pnl = (exit - position.entry) * position.size - exitFee - position.entryFee;
+    expect(closed).toMatchObject({ status: 'CLOSED', exitReason: 'TP' });
+    expect(closed.exitPrice).toBeCloseTo(exit);
+    expect(closed.pnl).toBeCloseTo(pnl);
+
+    const state = account.getAccount();
+    expect(state.balance).toBeCloseTo(1000 + pnl);
+    expect(state.feesPaid).toBeCloseTo(position.entryFee + exitFee);
+    expect(state).toMatchObject({ trades: 1, wins: 1, losses: 0 });
+  });
+
+  test('books a short stop-out as a loss with the exit filled above the stop', () => {
+    const { account } = setup();
+    account.openPosition(shortSignal);
+    const closed = account.closePosition('2', 52, 'SL');
+
+    expect(closed.exitPrice).toBeCloseTo(52.052);
+    expect(closed.pnl).toBeLessThan(-20);
+    expect(account.getAccount()).toMatchObject({ trades: 1, wins: 0, losses: 1 });
+  });
+
+  test('ignores unknown, closed and unpriced positions', () => {
+    const { account } = setup();
+    account.openPosition(longSignal);
+
+    expect(account.closePosition('9', 110, 'TP')).toBeNull();
+    expect(account.closePosition('1', NaN, 'TP')).toBeNull();
+    account.closePosition('1', 110, 'TP');
+    expect(account.closePosition('1', 120, 'TP')).toBeNull();
+  });
+});
+
+describe('PaperTradingAccount.getSummary', () => {
+  test('marks open positions to the latest price', async () => {
+    const { account } = setup();
+    const long = account.openPosition(longSignal);
+    const short = account.openPosition(shortSignal);
+
+    const summary = await account.getSummary();
+
+    const unrealized = (110 - long.entry) * long.size + (short.entry - 50) * short.size;
+    expect(summary.unrealizedPnl).toBeCloseTo(unrealized);
+    expect(summary.equity).toBeCloseTo(summary.balance + unrealized);
+    expect(summary.exposure).toBeCloseTo(110 * long.size + 50 * short.size);
+  });
+
+  test('falls back to the entry price when a ticker fails', async () => {
+    const { account, dataService } = setup();
+    dataService.fetchTicker.mockRejectedValue(new Error('timeout'));
+    account.openPosition(longSignal);
+
+    const summary = await account.getSummary();
+
+    expect(summary.unrealizedPnl).toBe(0);
+    expect(summary.openPositions[0].currentPrice).toBeCloseTo(100.1);
+  });
+
+  test('tracks the max drawdown over the equity history', () => {
+    const { account } = setup();
+
+    expect(account.maxDrawdown([{ equity: 1000 }, { equity: 1200 }, { equity: 900 }, { equity: 1300 }])).toBeCloseTo(25);
+  });
+});
@@ -0,0 +1,84 @@
+const { summarizePerformance, summarizeAllPeriods } = require('../services/performance');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 30);
+
+let nextId = 1;
+function makeSignal({ daysAgo = 1, symbol = 'BTCUSDT', direction = 'LONG', rMultiple, outcome, status = 'CLOSED', detectors = [] }) {
+  return {
+    id: String(nextId++),
+    symbol,
+    direction,
+    status,
+    outcome: outcome || (rMultiple > 0 ? 'TP' : 'SL'),
+    rMultiple,
+    createdAt: new Date(NOW - daysAgo * DAY),
+    explain: { detectorResults: detectors }
+  };
+}
+
+describe('summarizePerformance', () => {
+  test('counts only closed signals with an R multiple inside the period', () => {
+    const signals = [
+      makeSignal({ rMultiple: 2 }),
+      makeSignal({ rMultiple: -1 }),
+      makeSignal({ rMultiple: -0.2, outcome: 'EXPIRED' }),
+      makeSignal({ rMultiple: 3, daysAgo: 8 }),
+      makeSignal({ rMultiple: undefined, status: 'OPEN' }),
+      makeSignal({ rMultiple: NaN })
+    ];
+
+    const summary = summarizePerformance(signals, 7, NOW);
+
+    expect(summary).toMatchObject({ days: 7, total: 3, wins: 1, losses: 2, expired: 1 });
+    expect(summary.winRate).toBeCloseTo(100 / 3);
+    expect(summary.avgR).toBeCloseTo(0.8 / 3);
+  });
+
+  test('ranks best and worst coins by total R', () => {
+    const signals = [
+      makeSignal({ symbol: 'BTCUSDT', rMultiple: 2 }),
+      makeSignal({ symbol: 'BTCUSDT', rMultiple: 1.5 }),
+      makeSignal({ symbol: 'ETHUSDT', rMultiple: 1 }),
+      makeSignal({ symbol: 'SOLUSDT', rMultiple: -1 }),
+      makeSignal({ symbol: 'XRPUSDT', rMultiple: -2 }),
+      makeSignal({ symbol: 'XRPUSDT', rMultiple: 0.5 })
+    ];
+
+    const { bestCoins, worstCoins } = summarizePerformance(signals, 30, NOW);
+
+    expect(bestCoins.map(c => c.symbol)).toEqual(['BTCUSDT', 'ETHUSDT']);
+    expect(bestCoins[0]).toMatchObject({ trades: 2, wins: 2, totalR: 3.5, winRate: 100, avgR: 1.75 });
+    expect(worstCoins.map(c => c.symbol)).toEqual(['XRPUSDT', 'SOLUSDT']);
+  });
+
+  test('credits detectors that voted with the signal direction', () => {
+    const long = { name: 'momentum_breakout', direction: 'LONG', score: 70 };
+    const weak = { name: 'volume_spike', direction: 'LONG', score: 40 };
+    const against = { name: 'rsi_momentum', direction: 'SHORT', score: 80 };
+    const signals = [
+      makeSignal({ rMultiple: 2, detectors: [long, weak, against] }),
+      makeSignal({ rMultiple: -1, detectors: [long] }),
+      makeSignal({ rMultiple: 1, direction: 'SHORT', detectors: [long, against] })
+    ];
+
+    const { detectors } = summarizePerformance(signals, 30, NOW);
+
+    expect(detectors).toEqual({
+      momentum_breakout: { wins: 1, losses: 1, winRate: 50 },
+      rsi_momentum: { wins: 1, losses: 0, winRate: 100 }
+    });
+  });
+
+  test('returns zeroed stats without resolved signals', () => {
+    expect(summarizePerformance([], 30, NOW)).toMatchObject({ total: 0, winRate: 0, avgR: 0, bestCoins: [], worstCoins: [], detectors: {} });
+  });
+});
+
+describe('summarizeAllPeriods', () => {
+  test('summarizes the 7, 30 and 90 day windows', () => {
+    const signals = [5, 20, 60, 120].map(daysAgo => makeSignal({ daysAgo, rMultiple: 1 }));
+
+    expect(summarizeAllPeriods(signals, NOW).map(s => [s.days, s.total])).toEqual([[7, 1], [30, 2], [90, 3]]);
+  });
+});
@@ -0,0 +1,52 @@
+const { RegimeClassifier } = require('../signal/regime');
+
+const MINUTE_15 = 15 * 60 * 1000;
+
+// Alternating candles around a drifting price; `swing` sets the bar size and close-to-close noise
+function makeCandles(segments) {
+  const candles = [];
+  let price = 100;
+  for (const { bars, drift = 0, swing } of segments) {
+    for (let i = 0; i < bars; i++) {
+      const open = price;
+      price += drift + (i % 2 === 0 ? swing : -swing);
+      candles.push({
+        timestamp: candles.length * MINUTE_15,
+        open,
+        high: Math.max(open, price) + swing / 2,
+        low: Math.min(open, price) - swing / 2,
+        close: price,
+        volume: 100
+      });
+    }
+  }
+  return candles;
+}
+
+describe('RegimeClassifier.classify', () => {
+  test('labels a Bollinger squeeze RANGE even when ADX is above the trend threshold', () => {
+    const classifier = new RegimeClassifier({ trendAdx: 0 });
+    const regime = classifier.classify({ '15m': makeCandles([{ bars: 80, drift: 0.4, swing: 1 }, { bars: 25, swing: 0.05 }]) });
+
+    expect(regime.bbWidthPercentile).toBeLessThanOrEqual(10);
+    expect(regime.regime).toBe('RANGE');
+  });
+
+  test('labels a Bollinger expansion HIGH_VOL', () => {
+    const classifier = new RegimeClassifier({ highVolPercentile: 101 });
+    const regime = classifier.classify({ '15m': makeCandles([{ bars: 80, swing: 0.5 }, { bars: 20, drift: 1.5, swing: 0.5 }]) });
+
+    expect(regime.atrPercentile).toBeLessThan(101);
+    expect(regime.bbWidthPercentile).toBeGreaterThanOrEqual(95);
+    expect(regime.regime).toBe('HIGH_VOL');
+  });
+
+  test('labels a trend with normal band width TREND', () => {
+    const classifier = new RegimeClassifier();
+    const regime = classifier.classify({ '15m': makeCandles([{ bars: 50, drift: 0.2, swing: 0.3 }, { bars: 50, drift: 0.5, swing: 0.3 }]) });
+
+    expect(regime.bbWidthPercentile).toBeGreaterThan(10);
+    expect(regime.bbWidthPercentile).toBeLessThan(95);
+    expect(regime.regime).toBe('TREND');
+  });
+});
@@ -0,0 +1,118 @@
+const { DetectorRegistry } = require('../signal/registry');
+
+const neutral = () => ({ score: 0, direction: 'NEUTRAL', reason: 'test' });
+
+function makeRegistry() {
+  return new DetectorRegistry()
+    .register('trend', neutral, { weight: 1.2, timeframes: ['15m', '1h'], params: { period: 20, threshold: 1 } })
+    .register('funding', neutral, { weight: 0.8, timeframes: ['4h'], regimes: ['TREND'] });
+}
+
+// Fresh detectors module with only the given detectors registered on its registry
+function isolatedDetectors(register) {
+  let modules;
+  jest.isolateModules(() => {
+    modules = { registry: require('../signal/registry').registry, SignalDetectors: require('../signal/detectors') };
+  });
+  modules.registry.list().forEach(d => modules.registry.unregister(d.name));
+  register(modules.registry);
+  return modules.SignalDetectors;
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DetectorRegistry.register', () => {
+  test('stores defaults for omitted options', () => {
+    const registry = new DetectorRegistry().register('plain', neutral);
+
+    expect(registry.get('plain')).toMatchObject({ weight: 1, params: {}, timeframes: [], regimes: null, enabled: true });
+  });
+
+  test('rejects a detector without a detect function', () => {
+    expect(() => new DetectorRegistry().register('broken', null)).toThrow(/must provide a detect function/);
+  });
+});
+
+describe('DetectorRegistry enable/disable', () => {
+  test('drops disabled detectors from getEnabled and their timeframes from getRequiredTimeframes', () => {
+    const registry = makeRegistry();
+    expect(registry.getRequiredTimeframes().sort()).toEqual(['15m', '1h', '4h']);
+
+    registry.configure({ funding: { enabled: false } });
+
+    expect(registry.getEnabled().map(d => d.name)).toEqual(['trend']);
+    expect(registry.getRequiredTimeframes().sort()).toEqual(['15m', '1h']);
+  });
+});
+
+describe('DetectorRegistry.configure', () => {
+  test('overrides weight and regimes and merges params', () => {
+    const registry = makeRegistry().configure({ trend: { weight: '1.5', params: { threshold: 2 }, regimes: ['RANGE'] } });
+
+    expect(registry.get('trend')).toMatchObject({ weight: 1.5, params: { period: 20, threshold: 2 }, regimes: ['RANGE'] });
+  });
+
+  test('warns about and skips unknown detectors', () => {
+    const registry = makeRegistry();
+    console.warn.mockClear();
+
+    registry.configure({ missing: { weight: 2 } });
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('unknown detector: missing'));
+    expect(registry.get('missing')).toBeNull();
+  });
+});
+
+describe('DetectorRegistry.loadFromEnvironment', () => {
+  test('applies DETECTORS_DISABLED and DETECTOR_WEIGHTS', () => {
+    const registry = makeRegistry().loadFromEnvironment({
+      DETECTORS_DISABLED: 'funding',
+      DETECTOR_WEIGHTS: 'trend:0.5, funding:abc'
+    });
+
+    expect(registry.get('funding')).toMatchObject({ enabled: false, weight: 0.8 });
+    expect(registry.get('trend').weight).toBe(0.5);
+  });
+
+  test('warns only when an explicit DETECTOR_CONFIG is missing', () => {
+    console.warn.mockClear();
+    makeRegistry().loadFromEnvironment({});
+    expect(console.warn).not.toHaveBeenCalled();
+
+    makeRegistry().loadFromEnvironment({ DETECTOR_CONFIG: 'config/missing.json' });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Detector config not found'));
+  });
+});
+
+describe('SignalDetectors.runAllDetectors', () => {
+  test('skips detectors whose required timeframes are missing from the data', async () => {
+    const detect = jest.fn(() => ({ score: 70, direction: 'LONG', reason: 'ran' }));
+    const SignalDetectors = isolatedDetectors(registry => registry
+      .register('needs_4h', detect, { weight: 0.8, timeframes: ['4h'] })
+      .register('needs_15m', detect, { weight: 1.2, timeframes: ['15m'] }));
+
+    const results = await SignalDetectors.runAllDetectors({ '15m': [{ close: 1 }], '4h': [] });
+
+    expect(detect).toHaveBeenCalledTimes(1);
+    expect(results).toEqual([
+      { name: 'needs_4h', score: 0, direction: 'NEUTRAL', reason: 'Missing timeframes: 4h', weight: 0.8 },
+      { name: 'needs_15m', score: 70, direction: 'LONG', reason: 'ran', weight: 1.2 }
+    ]);
+  });
+
+  test('passes registry params merged with per-call overrides', async () => {
+    const detect = jest.fn(neutral);
+    const SignalDetectors = isolatedDetectors(registry => registry
+      .register('tuned', detect, { timeframes: ['15m'], params: { period: 20, threshold: 1 } }));
+
+    await SignalDetectors.runAllDetectors({ '15m': [{ close: 1 }] }, { tuned: { threshold: 3 } });
+
+    expect(detect).toHaveBeenCalledWith(expect.any(Object), { period: 20, threshold: 3 });
+  });
+});
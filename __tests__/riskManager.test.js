@@ -0,0 +1,124 @@
+const { createStorage } = require('../services/storage');
+const PortfolioRiskManager = require('../services/riskManager');
+
+const HOUR = 60 * 60 * 1000;
+
+function toCandles(returns) {
+  let close = 100;
+  return [{ timestamp: 0, close }, ...returns.map((r, i) => ({ timestamp: (i + 1) * HOUR, close: (close *= 1 + r) }))];
+}
+
+// BTC and ETH move together; SOL follows a series uncorrelated with them
+const base = Array.from({ length: 60 }, (_, i) => Math.sin(i * 1.7) * 0.01);
+const RETURNS = {
+  BTCUSDT: base,
+  ETHUSDT: base.map((r, i) => r * 1.2 + (i % 2 === 0 ? 0.0005 : -0.0005)),
+  SOLUSDT: base.map((_, i) => (i % 4 < 2 ? 0.01 : -0.01))
+};
+
+function setup(config = {}) {
+  const storage = createStorage({ driver: 'memory' });
+  const dataService = { fetchOHLCV: jest.fn(async symbol => toCandles(RETURNS[symbol] || base)) };
+  const riskManager = new PortfolioRiskManager({
+    storage,
+    dataService,
+    config: { riskPercent: 2, maxTotalRiskPercent: 6, maxDirectionRiskPercent: 4, correlationThreshold: 0.7, ...config }
+  });
+  const open = (symbol, direction, riskPercent) => storage.recordSignal({ symbol, direction, riskPercent, source: 'bot' });
+  return { storage, dataService, riskManager, open };
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PortfolioRiskManager.assess', () => {
+  test('allows the full base risk on an empty book', async () => {
+    const { riskManager } = setup();
+
+    expect(await riskManager.assess({ symbol: 'BTCUSDT', direction: 'LONG' })).toMatchObject({
+      allowed: true, riskPercent: 2, openRiskPercent: 0, adjustments: [], reason: null
+    });
+  });
+
+  test('reduces risk for a correlated position in the same direction', async () => {
+    const { riskManager, open } = setup();
+    open('BTCUSDT', 'LONG', 2);
+
+    const result = await riskManager.assess({ symbol: 'ETHUSDT', direction: 'LONG' });
+    const { correlation } = result.correlated[0];
+
+    expect(correlation).toBeGreaterThan(0.9);
+    expect(result.riskPercent).toBeCloseTo(2 / (1 + 0.5 * correlation), 2);
+    expect(result.adjustments).toEqual([expect.objectContaining({ type: 'correlation', direction: 'LONG' })]);
+    expect(result.reason).toMatch(/^Risk reduced from 2% to .*correlated with open LONG BTC/);
+  });
+
+  test('ignores uncorrelated and opposite-direction positions for the correlation penalty', async () => {
+    const { riskManager, open, dataService } = setup();
+    open('SOLUSDT', 'LONG', 1);
+    open('ETHUSDT', 'SHORT', 1);
+
+    const result = await riskManager.assess({ symbol: 'BTCUSDT', direction: 'LONG' });
+
+    expect(result).toMatchObject({ allowed: true, riskPercent: 2, correlated: [], openRiskPercent: 2, directionRiskPercent: 1 });
+    expect(dataService.fetchOHLCV.mock.calls.map(call => call[0]).sort()).toEqual(['BTCUSDT', 'SOLUSDT']);
+  });
+
+  test('caps risk at the remaining per-direction budget', async () => {
+    const { riskManager, open } = setup({ correlationThreshold: 1.1 });
+    open('ETHUSDT', 'SHORT', 2);
+    open('SOLUSDT', 'SHORT', 1.5);
+
+    const result = await riskManager.assess({ symbol: 'BTCUSDT', direction: 'SHORT' });
+
+    expect(result.riskPercent).toBe(0.5);
+    expect(result.adjustments).toEqual([expect.objectContaining({ type: 'direction_cap', usedPercent: 3.5, maxPercent: 4 })]);
+  });
+
+  test('caps risk at the remaining total budget across directions', async () => {
+    const { riskManager, open } = setup({ correlationThreshold: 1.1 });
+    open('ETHUSDT', 'SHORT', 4);
+    open('SOLUSDT', 'LONG', 1);
+
+    const result = await riskManager.assess({ symbol: 'BTCUSDT', direction: 'LONG' });
+
+    expect(result.riskPercent).toBe(1);
+    expect(result.adjustments).toEqual([expect.objectContaining({ type: 'total_cap', usedPercent: 5, maxPercent: 6 })]);
+  });
+
+  test('blocks the signal when the remaining budget is below the minimum', async () => {
+    const { riskManager, open } = setup({ correlationThreshold: 1.1 });
+    open('ETHUSDT', 'LONG', 2);
+    open('SOLUSDT', 'LONG', 1.9);
+
+    const result = await riskManager.assess({ symbol: 'BTCUSDT', direction: 'LONG' });
+
+    expect(result).toMatchObject({ allowed: false, riskPercent: 0 });
+    expect(result.reason).toMatch(/^Risk budget exhausted: LONG risk 3\.9% of 4% used/);
+  });
+
+  test('keeps the base risk when correlation data is unavailable', async () => {
+    const { riskManager, open, dataService } = setup();
+    open('ETHUSDT', 'LONG', 2);
+    dataService.fetchOHLCV.mockRejectedValue(new Error('timeout'));
+
+    const result = await riskManager.assess({ symbol: 'BTCUSDT', direction: 'LONG' });
+
+    expect(result).toMatchObject({ allowed: true, riskPercent: 2, correlated: [] });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('correlation BTCUSDT/ETHUSDT unavailable'));
+  });
+
+  test('skips the signal itself and manual or resolved signals when counting open risk', async () => {
+    const { riskManager, open, storage } = setup();
+    const self = open('BTCUSDT', 'LONG', 2);
+    storage.recordSignal({ symbol: 'ETHUSDT', direction: 'LONG', riskPercent: 2, source: 'manual' });
+    storage.recordSignal({ symbol: 'SOLUSDT', direction: 'LONG', riskPercent: 2, source: 'bot', status: 'CLOSED' });
+
+    expect(await riskManager.assess(self)).toMatchObject({ openPositions: 0, openRiskPercent: 0, riskPercent: 2 });
+  });
+});
@@ -0,0 +1,111 @@
+const { CandleCloseScheduler, SignalDeduplicator } = require('../services/scheduler');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const TOP_OF_HOUR = Date.UTC(2024, 0, 1, 11, 0, 0);
+
+function makeScheduler(config = {}) {
+  const scheduler = new CandleCloseScheduler({
+    symbols: ['BTCUSDT', 'ETHUSDT'],
+    evaluate: jest.fn(),
+    config: { timeframes: ['15m', '1h'], settleDelayMs: 3 * SECOND, ...config }
+  });
+  jest.spyOn(scheduler, 'flush').mockResolvedValue();
+  return scheduler;
+}
+
+function pendingTimeframes(scheduler) {
+  return Object.fromEntries([...scheduler.pending].map(([symbol, timeframes]) => [symbol, [...timeframes].sort()]));
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CandleCloseScheduler timers', () => {
+  let scheduler;
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  test('enqueues only the timeframes closing at the boundary', () => {
+    jest.useFakeTimers({ now: TOP_OF_HOUR - 20 * MINUTE });
+    scheduler = makeScheduler();
+    scheduler.start();
+
+    jest.advanceTimersByTime(5 * MINUTE);
+    expect(pendingTimeframes(scheduler)).toEqual({ BTCUSDT: ['15m'], ETHUSDT: ['15m'] });
+
+    scheduler.pending.clear();
+    jest.advanceTimersByTime(15 * MINUTE);
+    expect(pendingTimeframes(scheduler)).toEqual({ BTCUSDT: ['15m', '1h'], ETHUSDT: ['15m', '1h'] });
+  });
+
+  test('still sees the close when the timer fires late', () => {
+    jest.useFakeTimers({ now: TOP_OF_HOUR - SECOND });
+    scheduler = makeScheduler();
+    scheduler.start();
+
+    // The event loop stalls for 5s; the timer fires at 11:00:05
+    jest.setSystemTime(TOP_OF_HOUR + 4 * SECOND);
+    jest.advanceTimersByTime(SECOND);
+
+    expect(pendingTimeframes(scheduler)).toEqual({ BTCUSDT: ['15m', '1h'], ETHUSDT: ['15m', '1h'] });
+  });
+
+  test('catches up on boundaries a stalled timer slept through and realigns', () => {
+    jest.useFakeTimers({ now: TOP_OF_HOUR - 16 * MINUTE });
+    scheduler = makeScheduler();
+    scheduler.start();
+
+    jest.setSystemTime(TOP_OF_HOUR + 2 * MINUTE);
+    jest.advanceTimersByTime(MINUTE);
+    expect(pendingTimeframes(scheduler)).toEqual({ BTCUSDT: ['15m', '1h'], ETHUSDT: ['15m', '1h'] });
+
+    scheduler.pending.clear();
+    jest.advanceTimersByTime(11 * MINUTE);
+    expect(scheduler.pending.size).toBe(0);
+    jest.advanceTimersByTime(MINUTE);
+    expect(pendingTimeframes(scheduler)).toEqual({ BTCUSDT: ['15m'], ETHUSDT: ['15m'] });
+  });
+
+  test('coalesces a boundary into one flush after the settle delay', () => {
+    jest.useFakeTimers({ now: TOP_OF_HOUR - MINUTE });
+    scheduler = makeScheduler();
+    scheduler.start();
+
+    jest.advanceTimersByTime(MINUTE + 2 * SECOND);
+    expect(scheduler.flush).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(SECOND);
+    expect(scheduler.flush).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('CandleCloseScheduler.onCandleClose', () => {
+  test('ignores unscheduled timeframes and unknown symbols', () => {
+    const scheduler = makeScheduler();
+    scheduler.onCandleClose({ symbol: 'BTCUSDT', timeframe: '1m' });
+    scheduler.onCandleClose({ symbol: 'DOGEUSDT', timeframe: '15m' });
+    scheduler.onCandleClose({ symbol: 'ETHUSDT', timeframe: '1h' });
+    scheduler.stop();
+
+    expect(pendingTimeframes(scheduler)).toEqual({ ETHUSDT: ['1h'] });
+  });
+});
+
+describe('SignalDeduplicator', () => {
+  test('suppresses the same symbol and direction within the cooldown', () => {
+    const dedup = new SignalDeduplicator(60 * MINUTE);
+    dedup.seed([{ symbol: 'BTCUSDT', direction: 'LONG', createdAt: new Date(TOP_OF_HOUR).toISOString() }]);
+
+    expect(dedup.isDuplicate('BTCUSDT', 'LONG', TOP_OF_HOUR + 59 * MINUTE)).toBe(true);
+    expect(dedup.isDuplicate('BTCUSDT', 'SHORT', TOP_OF_HOUR + MINUTE)).toBe(false);
+    expect(dedup.isDuplicate('BTCUSDT', 'LONG', TOP_OF_HOUR + 60 * MINUTE)).toBe(false);
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Storage, PersistentMap, createStorage, registerDriver, SCHEMA_VERSION } = require('../services/storage');
+
+// Driver over a string with the writes and backups it received
+function makeDriver(content = null) {
+  return {
+    content,
+    backups: [],
+    read() { return this.content; },
+    write(value) { this.content = value; },
+    backup(suffix) { this.backups.push(suffix); }
+  };
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Storage migrations', () => {
+  test('initializes an empty store at the current schema without a backup', () => {
+    const driver = makeDriver();
+    const storage = new Storage(driver);
+
+    expect(driver.backups).toEqual([]);
+    expect(JSON.parse(driver.content)).toMatchObject({ version: SCHEMA_VERSION, meta: { signalCountToday: 0, nextSignalId: 1 } });
+    expect(storage.collection('signals').size).toBe(0);
+  });
+
+  test('backs up and upgrades a v0 file, keeping its data', () => {
+    const driver = makeDriver(JSON.stringify({
+      meta: { signalCountToday: 3, nextSignalId: 8 },
+      collections: { subscribedUsers: [['42', { activatedAt: '2024-01-02T03:04:05.000Z' }]] }
+    }));
+    const storage = new Storage(driver);
+
+    expect(driver.backups).toEqual(['bak-v0']);
+    expect(storage.get('nextSignalId')).toBe(8);
+    expect(storage.collection('subscribedUsers').get('42').activatedAt).toEqual(new Date('2024-01-02T03:04:05.000Z'));
+    expect(storage.collection('activationKeys')).toBeInstanceOf(PersistentMap);
+    expect(JSON.parse(driver.content).version).toBe(SCHEMA_VERSION);
+  });
+
+  test('refuses a store written by a newer schema', () => {
+    const driver = makeDriver(JSON.stringify({ version: SCHEMA_VERSION + 1, meta: {}, collections: {} }));
+
+    expect(() => new Storage(driver)).toThrow(/newer than supported/);
+  });
+});
+
+describe('PersistentMap', () => {
+  test('notifies on set, effective delete and clear', () => {
+    const onChange = jest.fn();
+    const map = new PersistentMap([['a', 1]], onChange);
+
+    map.set('b', 2);
+    map.delete('missing');
+    map.delete('a');
+    map.clear();
+
+    expect(onChange).toHaveBeenCalledTimes(3);
+    expect(map.size).toBe(0);
+  });
+});
+
+describe('Storage saving', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('debounces mutations into one write', () => {
+    jest.useFakeTimers();
+    const driver = makeDriver();
+    const storage = new Storage(driver, { saveDelay: 500 });
+    const write = jest.spyOn(driver, 'write');
+
+    storage.collection('activationKeys').set('KEY', { used: false });
+    storage.set('signalCountToday', 2);
+    expect(write).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(500);
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(driver.content)).toMatchObject({ meta: { signalCountToday: 2 }, collections: { activationKeys: [['KEY', { used: false }]] } });
+  });
+
+  test('assigns sequential ids to recorded signals and patches them', () => {
+    const storage = createStorage({ driver: 'memory' });
+    const first = storage.recordSignal({ symbol: 'BTCUSDT' });
+    const second = storage.recordSignal({ symbol: 'ETHUSDT' });
+
+    expect([first.id, second.id]).toEqual(['1', '2']);
+    expect(storage.updateSignal(2, { status: 'CLOSED' })).toMatchObject({ id: '2', symbol: 'ETHUSDT', status: 'CLOSED' });
+    expect(storage.updateSignal(9, { status: 'CLOSED' })).toBeNull();
+    expect(storage.listSignals(s => s.status === 'OPEN').map(s => s.id)).toEqual(['1']);
+  });
+});
+
+describe('createStorage drivers', () => {
+  test('round-trips a JSON file through an atomic rename', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    const file = path.join(dir, 'nested', 'store.json');
+    try {
+      const storage = createStorage({ driver: 'json', path: file });
+      storage.recordSignal({ symbol: 'BTCUSDT' });
+      storage.saveNow();
+
+      expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+      const reloaded = createStorage({ driver: 'json', path: file });
+      expect(reloaded.getSignal('1')).toMatchObject({ symbol: 'BTCUSDT', createdAt: expect.any(Date) });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('uses registered drivers and rejects unknown ones', () => {
+    const driver = makeDriver();
+    registerDriver('custom', () => driver);
+
+    expect(createStorage({ driver: 'custom' }).driver).toBe(driver);
+    expect(JSON.parse(driver.content).version).toBe(SCHEMA_VERSION);
+    expect(() => createStorage({ driver: 'missing' })).toThrow(/Unknown storage driver: missing/);
+  });
+});
@@ -0,0 +1,108 @@
+const MarketStream = require('../services/stream');
+const { createFakeExchangeServer } = require('../services/wsMockServer');
+
+const MINUTE = 60 * 1000;
+
+function candle(timestamp, close) {
+  return { timestamp, open: close, high: close + 1, low: close - 1, close, volume: 10 };
+}
+
+function makeDataService() {
+  return {
+    fetchOHLCV: jest.fn(async () => [candle(0, 100), candle(MINUTE, 101)]),
+    summarizeOrderBook: jest.fn((symbol, book) => ({ symbol, bestBid: book.bids[0][0], bestAsk: book.asks[0][0] }))
+  };
+}
+
+function once(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+// Resolves once the stream has processed whatever the server sent before
+function flush() {
+  return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MarketStream with the fake exchange server', () => {
+  let server;
+  let stream;
+  let dataService;
+
+  beforeEach(async () => {
+    server = createFakeExchangeServer({ port: 0 });
+    await once(server, 'listening');
+    dataService = makeDataService();
+    stream = new MarketStream({
+      symbols: ['BTCUSDT'],
+      timeframes: ['1m'],
+      dataService,
+      config: { url: `ws://127.0.0.1:${server.address().port}`, reconnectDelayMs: 20 }
+    });
+  });
+
+  afterEach(async () => {
+    stream.stop();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('backfills over REST and subscribes to the combined streams', async () => {
+    const connection = new Promise(resolve => server.once('connection', (ws, request) => resolve(request)));
+    await stream.start();
+    const request = await connection;
+
+    expect(dataService.fetchOHLCV).toHaveBeenCalledWith('BTCUSDT', '1m', 200);
+    expect(stream.buffers.BTCUSDT['1m']).toHaveLength(2);
+    expect(request.url).toBe('/stream?streams=btcusdt@kline_1m/btcusdt@depth20@100ms/btcusdt@ticker');
+  });
+
+  test('updates the open candle and emits candleClose on closed klines', async () => {
+    await stream.start();
+    await once(stream, 'connected');
+    const closes = [];
+    stream.on('candleClose', event => closes.push(event));
+
+    server.pushKline('BTCUSDT', '1m', candle(MINUTE, 105));
+    server.pushKline('BTCUSDT', '1m', candle(2 * MINUTE, 106), true);
+    await flush();
+
+    const buffer = stream.buffers.BTCUSDT['1m'];
+    expect(buffer.map(c => c.close)).toEqual([100, 105, 106]);
+    expect(closes).toEqual([{ symbol: 'BTCUSDT', timeframe: '1m', candle: expect.objectContaining({ close: 106 }) }]);
+  });
+
+  test('keeps the latest orderbook and ticker in getData', async () => {
+    await stream.start();
+    await once(stream, 'connected');
+
+    server.pushDepth('BTCUSDT', [[99, 5]], [[101, 3]]);
+    server.pushTicker('BTCUSDT', { last: 100.5, quoteVolume: 1000 });
+    await flush();
+
+    const data = stream.getData('BTCUSDT');
+    expect(data['1m']).toHaveLength(2);
+    expect(data.orderbook).toEqual({ symbol: 'BTCUSDT', bestBid: 99, bestAsk: 101 });
+    expect(data.ticker).toMatchObject({ symbol: 'BTCUSDT', last: 100.5, quoteVolume: 1000 });
+  });
+
+  test('reconnects after a disconnect and backfills the gap', async () => {
+    await stream.start();
+    await once(stream, 'connected');
+    expect(dataService.fetchOHLCV).toHaveBeenCalledTimes(1);
+
+    const reconnected = once(stream, 'connected');
+    server.clients.forEach(client => client.terminate());
+    await reconnected;
+
+    expect(dataService.fetchOHLCV).toHaveBeenCalledTimes(2);
+    expect(stream.reconnectAttempts).toBe(0);
+  });
+});
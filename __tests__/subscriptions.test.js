@@ -0,0 +1,87 @@
+const { createStorage } = require('../services/storage');
+const { SubscriptionFilters } = require('../services/subscriptions');
+
+const COINS = ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'];
+const CHAT = 42;
+
+function setup() {
+  return new SubscriptionFilters({ storage: createStorage({ driver: 'memory' }), coins: COINS });
+}
+
+const signal = { symbol: 'BTCUSDT', direction: 'LONG', confidence: 70 };
+
+describe('SubscriptionFilters.matches', () => {
+  test('lets every signal through with the defaults', () => {
+    expect(setup().matches(CHAT, signal, 12)).toEqual({ ok: true, reason: null });
+  });
+
+  test('filters by the selected coins', () => {
+    const filters = setup();
+    filters.toggleCoin(CHAT, 'BTCUSDT');
+
+    expect(filters.matches(CHAT, signal, 12)).toEqual({ ok: false, reason: 'coin' });
+    expect(filters.matches(CHAT, { ...signal, symbol: 'ETHUSDT' }, 12).ok).toBe(true);
+  });
+
+  test('filters by direction', () => {
+    const filters = setup();
+    filters.setDirection(CHAT, 'SHORT');
+
+    expect(filters.matches(CHAT, signal, 12)).toEqual({ ok: false, reason: 'direction' });
+    expect(filters.matches(CHAT, { ...signal, direction: 'SHORT' }, 12).ok).toBe(true);
+  });
+
+  test('filters by the personal minimum confidence', () => {
+    const filters = setup();
+    filters.setMinConfidence(CHAT, 75);
+
+    expect(filters.matches(CHAT, signal, 12)).toEqual({ ok: false, reason: 'confidence' });
+    expect(filters.matches(CHAT, { ...signal, confidence: 75 }, 12).ok).toBe(true);
+  });
+
+  test('mutes quiet hours, including ranges that wrap past midnight', () => {
+    const filters = setup();
+    filters.setQuietHours(CHAT, 22, 6);
+
+    expect([21, 22, 3, 5, 6].map(hour => filters.matches(CHAT, signal, hour).reason))
+      .toEqual([null, 'quiet hours', 'quiet hours', 'quiet hours', null]);
+
+    filters.setQuietHours(CHAT, 1, 5);
+    expect([0, 1, 4, 5].map(hour => filters.isQuiet(filters.get(CHAT), hour))).toEqual([false, true, true, false]);
+  });
+
+  test('keeps filters per chat', () => {
+    const filters = setup();
+    filters.setDirection(CHAT, 'SHORT');
+
+    expect(filters.matches(7, signal, 12).ok).toBe(true);
+  });
+});
+
+describe('SubscriptionFilters updates', () => {
+  test('collapses the coin list back to all coins once every coin is selected', () => {
+    const filters = setup();
+
+    expect(filters.toggleCoin(CHAT, 'SOLUSDT').coins).toEqual(['BTCUSDT', 'ETHUSDT']);
+    expect(filters.toggleCoin(CHAT, 'SOLUSDT').coins).toBeNull();
+    expect(filters.toggleCoin(CHAT, 'DOGEUSDT').coins).toBeNull();
+    expect(filters.setAllCoins(CHAT, false).coins).toEqual([]);
+  });
+
+  test('rejects invalid directions, confidences and quiet hours', () => {
+    const filters = setup();
+
+    expect(filters.setDirection(CHAT, 'UP').direction).toBe('BOTH');
+    expect(filters.setMinConfidence(CHAT, 150).minConfidence).toBe(100);
+    expect(filters.setMinConfidence(CHAT, 0).minConfidence).toBeNull();
+    expect(filters.setQuietHours(CHAT, 5, 5).quietHours).toBeNull();
+    expect(filters.setQuietHours(CHAT, 22, 24).quietHours).toBeNull();
+  });
+
+  test('reset restores the defaults', () => {
+    const filters = setup();
+    filters.setDirection(CHAT, 'LONG');
+
+    expect(filters.reset(CHAT)).toEqual({ coins: null, direction: 'BOTH', minConfidence: null, quietHours: null });
+  });
+});
@@ -0,0 +1,33 @@
+const SignalTracker = require('../services/tracker');
+
+const MINUTE_5 = 5 * 60 * 1000;
+
+function candle(timestamp, low, high) {
+  return { timestamp, open: (low + high) / 2, high, low, close: (low + high) / 2, volume: 1 };
+}
+
+describe('SignalTracker.findOutcome', () => {
+  const tracker = new SignalTracker({ storage: null, dataService: null });
+  const createdAt = new Date(10 * MINUTE_5 + 2 * 60 * 1000); // 2 minutes into the 10th candle
+  const signal = { direction: 'LONG', entry: 100, sl: 95, tp: 110, createdAt };
+
+  test('ignores the candle that was already open when the signal was created', () => {
+    const candles = [
+      candle(9 * MINUTE_5, 94, 101),
+      candle(10 * MINUTE_5, 94, 111),
+      candle(11 * MINUTE_5, 99, 111)
+    ];
+
+    expect(tracker.findOutcome(signal, candles)).toEqual({ outcome: 'TP', exitPrice: 110, exitTime: 11 * MINUTE_5 });
+  });
+
+  test('assumes the stop fills first when both levels are inside one candle', () => {
+    const candles = [candle(11 * MINUTE_5, 94, 111)];
+
+    expect(tracker.findOutcome(signal, candles)).toMatchObject({ outcome: 'SL', exitPrice: 95 });
+  });
+
+  test('returns null while neither level is hit', () => {
+    expect(tracker.findOutcome(signal, [candle(11 * MINUTE_5, 96, 109)])).toBeNull();
+  });
+});
@@ -0,0 +1,28 @@
+const TrendFilter = require('../signal/trend');
+
+// Zig-zag candles: `drift` per leg of four bars, so swings form higher/lower highs and lows
+function makeCandles(count, drift) {
+  return Array.from({ length: count }, (_, i) => {
+    const close = 100 + i * drift + (Math.floor(i / 4) % 2 === 0 ? 1 : -1);
+    return { timestamp: i, open: close, high: close + 0.5, low: close - 0.5, close, volume: 10 };
+  });
+}
+
+describe('TrendFilter', () => {
+  test('classifies an uptrend UP with higher highs and lows', () => {
+    const state = new TrendFilter().analyzeTimeframe(makeCandles(80, 0.3));
+
+    expect(state.structure).toBe('HH_HL');
+    expect(state.emaFast).toBeGreaterThan(state.emaSlow);
+    expect(state.trend).toBe('UP');
+  });
+
+  test('penalizes signals against the filter timeframes', () => {
+    const down = makeCandles(80, -0.3);
+    const result = new TrendFilter({ mode: 'penalize' }).assess('LONG', { '15m': down, '1h': down, '4h': down });
+
+    expect(result.counter).toEqual(['1h', '4h']);
+    expect(result.adjustment).toBe(-30);
+    expect(result.vetoed).toBe(false);
+  });
+});
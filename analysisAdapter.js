@@ -5,37 +5,56 @@
 const DataService = require('./services/data');
 const SignalDetectors = require('./signal/detectors');
 const EnsembleAI = require('./signal/ensemble');
+const { registry } = require('./signal/registry');
+const AdaptiveWeights = require('./signal/adaptiveWeights');
+const ConfidenceCalibrator = require('./signal/calibration');
+const MLService = require('./services/ml');
+const { RegimeClassifier } = require('./signal/regime');
 const TradingUtils = require('./utils');
 
+// Learned detector weights (ADAPTIVE_WEIGHTS=off|dryrun|on)
+const adaptiveWeights = new AdaptiveWeights();
+
+// Meta-score -> empirical win probability (fitted from resolved outcomes)
+const calibrator = new ConfidenceCalibrator();
+
 // Initialize ensemble with configuration from environment
 const ensembleConfig = {
   minConfidence: process.env.MIN_CONFIDENCE || 60,
   minDetectorAgreement: 2,
-  detectorWeights: {
-    momentum_breakout: 1.2,
-    vwap_pullback: 1.1,
-    volatility_squeeze: 1.0,
-    orderbook_sweep: 0.9,
-    funding_oi_divergence: 0.8,
-    volume_spike: 1.0,
-    correlation_break: 0.7
-  }
+  // Optional model blend (ML_ENABLED, ML_SERVICE_URL, ML_WEIGHT, ML_TIMEOUT_MS)
+  mlService: new MLService(),
+  weightProvider: (detector, context) => adaptiveWeights.getWeight(detector, context),
+  // Calibrated win probability replaces the heuristic confidence once the calibrator is fitted
+  confidenceProvider: (metaScore) => calibrator.predict(metaScore)
 };
 
+// Signals are generated and levels placed on the 15m timeframe
+const SIGNAL_TIMEFRAME = '15m';
+
+// Detector weights live in the registry (signal/registry.js); always fetch the
+// default timeframes plus anything an enabled detector requires
+const DEFAULT_TIMEFRAMES = ['1m', '15m', '1h', '4h'];
+
 const ensemble = new EnsembleAI(ensembleConfig);
 
+// Trend / range / high-vol / low-liquidity label that gates which detectors run
+const regimeClassifier = new RegimeClassifier({ timeframe: SIGNAL_TIMEFRAME });
+
 async function analyzeSymbol(symbol) {
   try {
     console.log(`🔍 Starting analysis for ${symbol}`);
     
     // Fetch multi-timeframe data for the symbol
-    const data = await DataService.fetchMultiTimeframeData(symbol);
+    const timeframes = [...new Set([...DEFAULT_TIMEFRAMES, ...registry.getRequiredTimeframes()])];
+    const data = await DataService.fetchMultiTimeframeData(symbol, timeframes);
+    data.regime = regimeClassifier.classify(data);
     
     // Run all detectors
     const detectorResults = await SignalDetectors.runAllDetectors(data, {});
     
     // Get ensemble decision
-    const ensembleDecision = await ensemble.analyze(detectorResults, data);
+    const ensembleDecision = await ensemble.analyze(detectorResults, data, { symbol, timeframe: SIGNAL_TIMEFRAME });
     
     // If no trade, return early
     if (ensembleDecision.direction === 'NO_TRADE' || ensembleDecision.direction === 'NEUTRAL') {
@@ -44,6 +63,7 @@ async function analyzeSymbol(symbol) {
         direction: ensembleDecision.direction,
         confidence: ensembleDecision.confidence,
         reason: ensembleDecision.reason,
+        regime: data.regime,
         explain: ensembleDecision.explain
       };
     }
@@ -63,14 +83,20 @@ async function analyzeSymbol(symbol) {
     // Format the response according to the contract
     return {
       symbol,
+      timeframe: SIGNAL_TIMEFRAME,
       direction: ensembleDecision.direction,
       confidence: ensembleDecision.confidence,
+      calibrated: ensembleDecision.calibrated,
       entry: ensembleDecision.levels.entry,
       sl: ensembleDecision.levels.sl,
       tp: ensembleDecision.levels.tp,
+      targets: ensembleDecision.levels.targets,
       rr: ensembleDecision.levels.rr,
+      stopBasis: ensembleDecision.levels.stopBasis,
+      trailing: ensembleDecision.levels.trailing,
       positionSize: positionData.size,
       maxLoss: positionData.maxLoss,
+      regime: data.regime,
       explain: ensembleDecision.explain
     };
     
@@ -128,4 +154,4 @@ async function testAnalyzeSymbol() {
   return mockResult;
 }
 
-module.exports = { analyzeSymbol, testAnalyzeSymbol };
+module.exports = { analyzeSymbol, testAnalyzeSymbol, adaptiveWeights, calibrator };
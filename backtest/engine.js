@@ -0,0 +1,320 @@
+/**
+ * Backtest Engine - Replays the ensemble bar-by-bar over stored candles
+ * Runs fully offline: no exchange access, data comes from local CSV/JSON files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SignalDetectors = require('../signal/detectors');
+const EnsembleAI = require('../signal/ensemble');
+const { RegimeClassifier } = require('../signal/regime');
+
+const TIMEFRAME_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+/**
+ * Convert a raw row (ccxt array or object) into the candle shape used by DataService
+ */
+function normalizeCandle(row, timeframe) {
+  if (Array.isArray(row)) {
+    return {
+      timestamp: Number(row[0]),
+      open: Number(row[1]),
+      high: Number(row[2]),
+      low: Number(row[3]),
+      close: Number(row[4]),
+      volume: Number(row[5]),
+      timeframe
+    };
+  }
+
+  const timestamp = row.timestamp ?? row.time ?? row.openTime;
+  return {
+    timestamp: typeof timestamp === 'string' && isNaN(timestamp) ? Date.parse(timestamp) : Number(timestamp),
+    open: Number(row.open),
+    high: Number(row.high),
+    low: Number(row.low),
+    close: Number(row.close),
+    volume: Number(row.volume),
+    timeframe
+  };
+}
+
+/**
+ * Load candles from a CSV (timestamp,open,high,low,close,volume) or JSON file
+ */
+function loadCandles(filePath, timeframe) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  let rows;
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    rows = JSON.parse(content);
+  } else {
+    rows = content
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+      .map(line => line.split(','))
+      // Skip header row if present
+      .filter(cols => !isNaN(parseFloat(cols[1])));
+  }
+
+  return rows
+    .map(row => normalizeCandle(row, timeframe))
+    .filter(c => Number.isFinite(c.timestamp) && Number.isFinite(c.close))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Find <SYMBOL>_<timeframe>.(csv|json) files in a directory
+ */
+function loadSymbolHistory(dir, symbol, timeframes = Object.keys(TIMEFRAME_MS)) {
+  const history = {};
+
+  for (const tf of timeframes) {
+    for (const ext of ['.csv', '.json']) {
+      const filePath = path.join(dir, `${symbol}_${tf}${ext}`);
+      if (fs.existsSync(filePath)) {
+        history[tf] = loadCandles(filePath, tf);
+        break;
+      }
+    }
+  }
+
+  return history;
+}
+
+class BacktestEngine {
+  constructor(config = {}) {
+    this.config = {
+      stepTimeframe: '15m',
+      lookback: 100,
+      warmupBars: 50,
+      maxHoldBars: 96,
+      feePercent: 0.04,
+      initialBalance: 1000,
+      riskPercent: 2,
+      detectorConfig: {},
+      ensembleConfig: {},
+      benchmarkHistory: {}, // { BTCUSDT: { '1h': candles }, ... } for correlation analysis
+      ...config
+    };
+
+    this.ensemble = new EnsembleAI({
+      minConfidence: process.env.MIN_CONFIDENCE || 60,
+      minDetectorAgreement: 2,
+      ...this.config.ensembleConfig
+    });
+    this.regimeClassifier = new RegimeClassifier({ timeframe: this.config.stepTimeframe });
+  }
+
+  /**
+   * Candles of one timeframe fully closed at `closeTime`, limited to the lookback
+   */
+  visibleCandles(candles, timeframe, closeTime) {
+    const tfMs = TIMEFRAME_MS[timeframe] || 0;
+
+    // Binary search for the number of candles fully closed at closeTime
+    let lo = 0;
+    let hi = candles.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (candles[mid].timestamp + tfMs <= closeTime) lo = mid + 1;
+      else hi = mid;
+    }
+
+    return candles.slice(Math.max(0, lo - this.config.lookback), lo);
+  }
+
+  /**
+   * Build the multi-timeframe data object visible at the close of `closeTime`
+   */
+  buildSnapshot(history, closeTime) {
+    const data = {};
+
+    for (const [tf, candles] of Object.entries(history)) {
+      data[tf] = this.visibleCandles(candles, tf, closeTime);
+    }
+
+    data.benchmarks = {};
+    for (const [benchmark, benchmarkHistory] of Object.entries(this.config.benchmarkHistory)) {
+      if (benchmark === this.config.symbol || !benchmarkHistory['1h']) continue;
+      data.benchmarks[benchmark] = this.visibleCandles(benchmarkHistory['1h'], '1h', closeTime);
+    }
+
+    const lastStep = data[this.config.stepTimeframe] || [];
+    const last = lastStep[lastStep.length - 1];
+    data.ticker = last ? { symbol: this.config.symbol, last: last.close, timestamp: closeTime } : null;
+    // No historical orderbook snapshots: the orderbook detector stays neutral
+    data.orderbook = null;
+
+    return data;
+  }
+
+  /**
+   * Simulate the fill of an open trade against one candle.
+   * When SL and TP are both inside the bar the stop is assumed to fill first.
+   */
+  checkExit(trade, candle) {
+    if (trade.direction === 'LONG') {
+      if (candle.low <= trade.sl) return { price: trade.sl, outcome: 'SL' };
+      if (candle.high >= trade.tp) return { price: trade.tp, outcome: 'TP' };
+    } else {
+      if (candle.high >= trade.sl) return { price: trade.sl, outcome: 'SL' };
+      if (candle.low <= trade.tp) return { price: trade.tp, outcome: 'TP' };
+    }
+    return null;
+  }
+
+  /**
+   * Close a trade and compute its R multiple and net percentage return
+   */
+  closeTrade(trade, exitPrice, outcome, candle) {
+    const sign = trade.direction === 'LONG' ? 1 : -1;
+    const risk = Math.abs(trade.entry - trade.sl);
+    const grossPercent = sign * (exitPrice - trade.entry) / trade.entry * 100;
+    const netPercent = grossPercent - this.config.feePercent * 2;
+
+    return {
+      ...trade,
+      exit: exitPrice,
+      exitTime: candle.timestamp,
+      outcome,
+      rMultiple: risk > 0 ? sign * (exitPrice - trade.entry) / risk : 0,
+      pnlPercent: netPercent
+    };
+  }
+
+  /**
+   * Replay the history bar-by-bar and return trades plus summary statistics
+   */
+  async run(history) {
+    const { stepTimeframe, warmupBars, maxHoldBars, detectorConfig } = this.config;
+    const stepCandles = history[stepTimeframe] || [];
+    const stepMs = TIMEFRAME_MS[stepTimeframe];
+
+    if (stepCandles.length <= warmupBars) {
+      throw new Error(`Not enough ${stepTimeframe} candles: ${stepCandles.length} (need > ${warmupBars})`);
+    }
+
+    const trades = [];
+    let openTrade = null;
+    let signalsSeen = 0;
+
+    for (let i = warmupBars; i < stepCandles.length; i++) {
+      const candle = stepCandles[i];
+
+      if (openTrade) {
+        const exit = this.checkExit(openTrade, candle);
+        const barsHeld = i - openTrade.barIndex;
+
+        if (exit) {
+          trades.push(this.closeTrade(openTrade, exit.price, exit.outcome, candle));
+          openTrade = null;
+        } else if (barsHeld >= maxHoldBars) {
+          trades.push(this.closeTrade(openTrade, candle.close, 'EXPIRED', candle));
+          openTrade = null;
+        }
+        continue;
+      }
+
+      const data = this.buildSnapshot(history, candle.timestamp + stepMs);
+      data.regime = this.regimeClassifier.classify(data);
+      const detectorResults = await SignalDetectors.runAllDetectors(data, detectorConfig);
+      const decision = await this.ensemble.analyze(detectorResults, data, { symbol: this.config.symbol, timeframe: stepTimeframe });
+
+      if (decision.direction !== 'LONG' && decision.direction !== 'SHORT') continue;
+      signalsSeen++;
+
+      openTrade = {
+        symbol: this.config.symbol,
+        direction: decision.direction,
+        confidence: decision.confidence,
+        metaScore: decision.explain.metaScore,
+        calibrationScore: decision.explain.calibrationScore,
+        entry: decision.levels.entry,
+        sl: decision.levels.sl,
+        tp: decision.levels.tp,
+        entryTime: candle.timestamp + stepMs,
+        barIndex: i,
+        regime: data.regime?.regime || null,
+        detectors: detectorResults
+          .filter(d => d.direction === decision.direction && d.score > 40)
+          .map(d => d.name)
+      };
+    }
+
+    if (openTrade) {
+      const last = stepCandles[stepCandles.length - 1];
+      trades.push(this.closeTrade(openTrade, last.close, 'EXPIRED', last));
+    }
+
+    return {
+      symbol: this.config.symbol,
+      signals: signalsSeen,
+      trades,
+      stats: this.summarize(trades)
+    };
+  }
+
+  /**
+   * Win rate, expectancy, max drawdown, per-detector and per-regime hit rates
+   */
+  summarize(trades) {
+    const wins = trades.filter(t => t.rMultiple > 0);
+    const losses = trades.filter(t => t.rMultiple <= 0);
+
+    let equity = this.config.initialBalance;
+    let peak = equity;
+    let maxDrawdown = 0;
+
+    for (const trade of trades) {
+      equity *= 1 + (trade.rMultiple * this.config.riskPercent) / 100;
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak * 100);
+    }
+
+    const detectorStats = {};
+    for (const trade of trades) {
+      for (const name of trade.detectors) {
+        if (!detectorStats[name]) detectorStats[name] = { trades: 0, wins: 0, hitRate: 0 };
+        detectorStats[name].trades++;
+        if (trade.rMultiple > 0) detectorStats[name].wins++;
+      }
+    }
+    const regimeStats = {};
+    for (const trade of trades) {
+      const regime = trade.regime || 'UNKNOWN';
+      if (!regimeStats[regime]) regimeStats[regime] = { trades: 0, wins: 0, hitRate: 0 };
+      regimeStats[regime].trades++;
+      if (trade.rMultiple > 0) regimeStats[regime].wins++;
+    }
+    [...Object.values(detectorStats), ...Object.values(regimeStats)].forEach(s => {
+      s.hitRate = s.trades > 0 ? s.wins / s.trades * 100 : 0;
+    });
+
+    const avg = arr => arr.length > 0 ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+
+    return {
+      totalTrades: trades.length,
+      wins: wins.length,
+      losses: losses.length,
+      expired: trades.filter(t => t.outcome === 'EXPIRED').length,
+      winRate: trades.length > 0 ? wins.length / trades.length * 100 : 0,
+      expectancyR: avg(trades.map(t => t.rMultiple)),
+      expectancyPercent: avg(trades.map(t => t.pnlPercent)),
+      maxDrawdownPercent: maxDrawdown,
+      finalEquity: equity,
+      detectorStats,
+      regimeStats
+    };
+  }
+}
+
+module.exports = { BacktestEngine, loadCandles, loadSymbolHistory, TIMEFRAME_MS };
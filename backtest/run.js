@@ -0,0 +1,111 @@
+/**
+ * Backtest CLI
+ *
+ * Usage:
+ *   node backtest/run.js --dir ./history --symbols BTCUSDT,ETHUSDT [--step 15m] [--json]
+ *                        [--calibration-out samples.json]
+ *
+ * Expects files named <SYMBOL>_<timeframe>.csv or .json in --dir
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { BacktestEngine, loadSymbolHistory } = require('./engine');
+const { registry } = require('../signal/registry');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function printReport(result) {
+  const s = result.stats;
+  console.log(`\n📈 Backtest ${result.symbol}`);
+  console.log(`   Signals: ${result.signals} | Trades: ${s.totalTrades} (${s.wins}W / ${s.losses}L, ${s.expired} expired)`);
+  console.log(`   Win rate: ${s.winRate.toFixed(1)}%`);
+  console.log(`   Expectancy: ${s.expectancyR.toFixed(2)}R (${s.expectancyPercent.toFixed(2)}% per trade)`);
+  console.log(`   Max drawdown: ${s.maxDrawdownPercent.toFixed(2)}% | Final equity: $${s.finalEquity.toFixed(2)}`);
+
+  const detectors = Object.entries(s.detectorStats).sort(([, a], [, b]) => b.hitRate - a.hitRate);
+  if (detectors.length > 0) {
+    console.log('   Detector hit rates:');
+    for (const [name, stat] of detectors) {
+      console.log(`     - ${name}: ${stat.hitRate.toFixed(1)}% (${stat.wins}/${stat.trades})`);
+    }
+  }
+
+  const regimes = Object.entries(s.regimeStats);
+  if (regimes.length > 0) {
+    console.log('   Regime hit rates:');
+    for (const [regime, stat] of regimes) {
+      console.log(`     - ${regime}: ${stat.hitRate.toFixed(1)}% (${stat.wins}/${stat.trades})`);
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const dir = args.dir || './history';
+  const symbols = (args.symbols || args.symbol || 'BTCUSDT').split(',');
+  registry.loadFromEnvironment();
+
+  // BTC/ETH 1h history (when present) feeds the correlation detector
+  const benchmarkHistory = {};
+  for (const benchmark of (process.env.BENCHMARK_SYMBOLS || 'BTCUSDT,ETHUSDT').split(',')) {
+    const history = loadSymbolHistory(dir, benchmark, ['1h']);
+    if (history['1h']) benchmarkHistory[benchmark] = history;
+  }
+
+  const results = [];
+  for (const symbol of symbols) {
+    const history = loadSymbolHistory(dir, symbol);
+    if (Object.keys(history).length === 0) {
+      console.error(`❌ No history files found for ${symbol} in ${dir}`);
+      continue;
+    }
+
+    const engine = new BacktestEngine({
+      symbol,
+      stepTimeframe: args.step || '15m',
+      maxHoldBars: args.maxHold ? parseInt(args.maxHold) : 96,
+      feePercent: args.fee ? parseFloat(args.fee) : 0.04,
+      initialBalance: parseFloat(process.env.ACCOUNT_BALANCE) || 1000,
+      riskPercent: parseFloat(process.env.RISK_PERCENT) || 2,
+      benchmarkHistory
+    });
+
+    try {
+      results.push(await engine.run(history));
+    } catch (error) {
+      console.error(`❌ Backtest failed for ${symbol}: ${error.message}`);
+    }
+  }
+
+  if (args['calibration-out']) {
+    const samples = results.flatMap(r => r.trades.map(t => ({ score: t.calibrationScore, win: t.rMultiple > 0 })));
+    fs.writeFileSync(args['calibration-out'], JSON.stringify(samples));
+    console.log(`💾 Wrote ${samples.length} calibration samples to ${args['calibration-out']}`);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach(printReport);
+  }
+}
+
+main().catch(error => {
+  console.error('💥 Backtest error:', error);
+  process.exit(1);
+});
@@ -7,9 +7,33 @@ require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
 const moment = require('moment-timezone');
 const express = require('express');
-const { analyzeSymbol } = require('./analysisAdapter');
+const Bottleneck = require('bottleneck');
+const { analyzeSymbol, adaptiveWeights, calibrator } = require('./analysisAdapter');
+const { registry } = require('./signal/registry');
+const ConfidenceCalibrator = require('./signal/calibration');
+const { createStorage } = require('./services/storage');
+const DataService = require('./services/data');
+const SignalTracker = require('./services/tracker');
+const MarketStream = require('./services/stream');
+const { CandleCloseScheduler, SignalDeduplicator } = require('./services/scheduler');
+const { summarizePerformance, summarizeAllPeriods, PERFORMANCE_PERIODS } = require('./services/performance');
+const PaperTradingAccount = require('./services/paperTrading');
+const ExecutionService = require('./services/execution');
+const PortfolioRiskManager = require('./services/riskManager');
+const TradingUtils = require('./utils');
+const { UserSettings, SETTING_FIELDS, QUOTE_CURRENCIES } = require('./services/userSettings');
+const { SubscriptionFilters } = require('./services/subscriptions');
+const ChartRenderer = require('./services/chart');
+const SignalExplainer = require('./services/explain');
+const { CommandRouter } = require('./services/router');
+const { chunk, coinPicker, paginate, pageRow, confirmRow } = require('./services/keyboards');
+const I18n = require('./services/i18n');
+const AdminDashboard = require('./services/dashboard');
 
 // --- CONFIGURATION ---
+// Apply DETECTOR_CONFIG and the DETECTOR_* env overrides to the built-in detectors
+registry.loadFromEnvironment();
+
 const token = process.env.TELEGRAM_BOT_TOKEN || 'YOUR_TELEGRAM_BOT_TOKEN_HERE';
 
 // --- BOT CONFIGURATION WITH POLLING ERROR HANDLING ---
@@ -41,15 +65,69 @@ const TARGET_COINS = process.env.TARGET_COINS
       'ADAUSDT', 'MATICUSDT', 'LINKUSDT', 'DOTUSDT', 'AVAXUSDT'
     ];
 
+// --- REAL-TIME MARKET DATA (OPTIONAL) ---
+const STREAMING_ENABLED = process.env.STREAMING_ENABLED === 'true';
+const marketStream = STREAMING_ENABLED 
+  ? new MarketStream({ symbols: TARGET_COINS, dataService: DataService }) 
+  : null;
+
+if (marketStream) {
+  DataService.attachStream(marketStream);
+  marketStream.start().catch(err => console.error('❌ Failed to start market stream:', err.message));
+}
+
+// --- PERSISTENT STORAGE ---
+const storage = createStorage();
+
 // --- ADMIN SYSTEM & KEY MANAGEMENT ---
 const ADMIN_IDS = (process.env.ADMIN_IDS || '8560521739').split(',');
-const activationKeys = new Map(); // Stores keys: {type, created, expires, used, usedBy}
-const subscribedUsers = new Map(); // Active users: {userInfo, activatedAt, keyUsed}
+const activationKeys = storage.collection('activationKeys'); // Stores keys: {type, created, expires, used, usedBy}
+const subscribedUsers = storage.collection('subscribedUsers'); // Active users: {userInfo, activatedAt, keyUsed}
+const userSettings = new UserSettings({ storage }); // Per-chat balance, risk, leverage, quote currency
+const subscriptionFilters = new SubscriptionFilters({ storage, coins: TARGET_COINS }); // Per-chat coins, direction, confidence, quiet hours
+const i18n = new I18n(); // Message catalogs; each chat's /language choice lives in userSettings
 
 // --- STATUS VARIABLES ---
-let signalCountToday = 0;
+let signalCountToday = storage.get('signalCountToday', 0);
 let isAutoAnalysisRunning = false;
 
+// Virtual account that executes every broadcast signal (PAPER_TRADING_ENABLED)
+const paperAccount = new PaperTradingAccount({ storage, dataService: DataService });
+
+// Caps total / per-direction open risk and shrinks correlated positions
+const riskManager = new PortfolioRiskManager({ storage, dataService: DataService });
+// Assess + record one signal at a time so concurrent evaluations see each other's risk
+const riskLimiter = new Bottleneck({ maxConcurrent: 1 });
+
+// Optional live order execution, admin-confirmed (LIVE_TRADING_ENABLED)
+const executionService = new ExecutionService({ storage, alert: alertExecutionAdmins });
+const chartRenderer = new ChartRenderer();
+const signalExplainer = new SignalExplainer({ storage });
+const pendingExecutions = new Map(); // signalId -> requestedAt
+
+// Restore previously applied adaptive detector weights
+adaptiveWeights.apply(storage.get('adaptiveWeights', {}));
+
+// Fit confidence calibration from resolved live signals plus backtest samples
+function refitCalibration() {
+  const samples = [
+    ...ConfidenceCalibrator.samplesFromSignals(storage.listSignals()),
+    ...calibrator.loadSamplesFile()
+  ];
+  calibrator.fit(samples);
+  return calibrator.isFitted();
+}
+refitCalibration();
+
+// Flush pending writes before the process exits
+for (const sig of ['SIGINT', 'SIGTERM']) {
+  process.on(sig, () => {
+    storage.saveNow();
+    if (marketStream) marketStream.stop();
+    process.exit(0);
+  });
+}
+
 // --- EXPRESS SERVER (KEEP-ALIVE) ---
 app.use(express.json());
 
@@ -74,6 +152,35 @@ app.get('/health', (req, res) => {
   });
 });
 
+app.get('/api/performance', (req, res) => {
+  const signals = storage.listSignals();
+  if (req.query.days) {
+    const days = parseInt(req.query.days);
+    if (!PERFORMANCE_PERIODS.includes(days)) {
+      return res.status(400).json({ error: `days must be one of ${PERFORMANCE_PERIODS.join(', ')}` });
+    }
+    return res.json(summarizePerformance(signals, days));
+  }
+  res.json({ periods: summarizeAllPeriods(signals) });
+});
+
+app.get('/api/calibration', (req, res) => {
+  res.json(calibrator.getCurve());
+});
+
+app.get('/api/portfolio', async (req, res) => {
+  try {
+    const summary = await paperAccount.getSummary();
+    res.json({
+      ...summary,
+      closedPositions: paperAccount.getClosedPositions().slice(-50),
+      equityCurve: paperAccount.getEquityCurve()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`🤖 Bot initialized with ${TARGET_COINS.length} target coins`);
@@ -89,6 +196,16 @@ function isAdmin(user) {
   return ADMIN_IDS.includes(user.id.toString());
 }
 
+// Chat language: /language choice, then the Telegram client language, then DEFAULT_LANGUAGE
+function localeOf(chatId, from = null) {
+  const clientLanguage = from?.language_code || subscribedUsers.get(chatId)?.userInfo.language_code;
+  return i18n.resolve(userSettings.get(chatId).language, clientLanguage);
+}
+
+function translatorFor(chatId) {
+  return i18n.translator(localeOf(chatId));
+}
+
 function generateKey(length = 16) {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
   let result = '';
@@ -114,49 +231,169 @@ function calculateKeyExpiry(type) {
   }
 }
 
-function formatSignalMessage(data, signalIndex, source = 'bot') {
-  const icon = data.direction === 'LONG' ? '🟢' : '🔴';
+function nextSignalIndex() {
+  signalCountToday++;
+  storage.set('signalCountToday', signalCountToday);
+  return signalCountToday;
+}
 
-  const fmt = (num) => { 
-    if (num === undefined || num === null) return 'N/A'; 
-    const number = parseFloat(num); 
-    if (isNaN(number)) return 'N/A'; 
-    return number > 10 ? number.toFixed(2) : number.toFixed(4); 
-  }; 
+// Position size and max loss for one recipient's risk profile
+function formatPersonalSizing(data, settings, locale) {
+  if (!settings || !Number.isFinite(parseFloat(data.entry)) || !Number.isFinite(parseFloat(data.sl))) return '';
 
-  const baseMessage = `🤖 AI Trading Signal [${signalIndex} today] 
+  const position = userSettings.personalize({ ...data, entry: parseFloat(data.entry), sl: parseFloat(data.sl) }, settings); 
+  if (!(position.size > 0)) return ''; 
+  
+  const t = i18n.translator(locale); 
+  const amount = (v) => i18n.formatFixed(locale, v, 2); 
+  const quote = position.quoteCurrency; 
+  const leverageText = position.leverage > 1 ? t('sizing.leverage', { margin: amount(position.margin), quote, leverage: position.leverage }) : ''; 
+  const marginWarning = position.insufficientMargin ? `\n${t('sizing.marginWarning')}` : ''; 
+  
+  return `\n\n${t('sizing.header', { balance: settings.balance, quote, risk: amount(position.riskPercent) })}\n` + 
+    `${t('sizing.size', { size: i18n.formatNumber(locale, position.size, { maxDecimals: 8 }), coin: data.symbol.replace('USDT', ''), notional: amount(position.notional), quote, leverage: leverageText })}\n` + 
+    `${t('sizing.maxLoss', { maxLoss: amount(position.maxLoss), quote })}${marginWarning}`; 
+}
 
-#${data.symbol.replace('USDT', '')} – ${data.direction} 📌
+// Portfolio risk manager adjustment (see services/riskManager.js) in the recipient's language
+function formatRiskAdjustment(adjustment, locale) {
+  const t = i18n.translator(locale);
+  const percent = (value) => i18n.formatFixed(locale, value, 1);
+  
+  if (adjustment.type === 'correlation') { 
+    const symbols = adjustment.correlated 
+      .map(c => `${c.symbol.replace('USDT', '')} (${i18n.formatFixed(locale, c.correlation, 2)})`) 
+      .join(', '); 
+    return t('signal.riskAdjustments.correlation', { direction: adjustment.direction, symbols }); 
+  } 
+  if (adjustment.type === 'direction_cap') { 
+    return t('signal.riskAdjustments.directionCap', { direction: adjustment.direction, used: percent(adjustment.usedPercent), max: adjustment.maxPercent }); 
+  } 
+  if (adjustment.type === 'total_cap') { 
+    return t('signal.riskAdjustments.totalCap', { used: percent(adjustment.usedPercent), max: adjustment.maxPercent }); 
+  } 
+  return adjustment.detail; 
+}
 
-${icon} Entry: ${fmt(data.entry)}
-🎯 Take Profit: ${fmt(data.tp)}
-🛑 Stop-Loss: ${fmt(data.sl)}
-📊 Risk/Reward: ${data.rr} (Confidence: ${data.confidence}%)`;
+function formatSignalMessage(data, signalIndex, source = 'bot', settings = null, locale = i18n.resolve()) {
+  const t = i18n.translator(locale);
+  const icon = data.direction === 'LONG' ? '🟢' : '🔴';
+  const fmt = (num) => i18n.formatPrice(locale, num);
+  const ratio = (rr) => i18n.formatFixed(locale, parseFloat(rr), 2);
 
-  const riskWarning = `\n\n🧠 AI Ensemble Analysis 
+  const stopBasisText = i18n.has(`signal.stopBasis.${data.stopBasis}`) ? ` (${t(`signal.stopBasis.${data.stopBasis}`)})` : ''; 
+  
+  const targetLines = data.targets && data.targets.length > 1 
+    ? data.targets.map((target, i) => t('signal.target', { n: i + 1, price: fmt(target.price), rr: ratio(target.rr) })).join('\n') 
+    : t('signal.takeProfit', { price: fmt(data.tp) }); 
+  
+  const trailingLine = data.trailing 
+    ? `\n${t('signal.trailing', { stop: fmt(data.trailing.moveStopTo), distance: fmt(data.trailing.trailDistance) })}` 
+    : ''; 
+  
+  const regime = data.regime && (i18n.has(`signal.regimes.${data.regime.regime}`) ? t(`signal.regimes.${data.regime.regime}`) : data.regime.regime); 
+  const regimeLine = data.regime 
+    ? `\n${t('signal.regime', { regime, adx: Math.round(data.regime.adx), percentile: Math.round(data.regime.atrPercentile) })}` 
+    : ''; 
+  
+  // Per-timeframe trend from the ensemble confluence layer
+  const trendIcons = { UP: '↑', DOWN: '↓', RANGE: '→' }; 
+  const alignment = data.explain?.confluence?.alignment; 
+  const trendLine = alignment 
+    ? `\n${t('signal.trend', { trend: Object.entries(alignment).map(([tf, a]) => `${tf} ${trendIcons[a.trend] || '?'}`).join(' | ') })}` 
+    : ''; 
+  
+  // Portfolio risk allocation, with the adjustments when it was reduced
+  const riskAdjustments = (data.risk?.adjustments || []).map(a => formatRiskAdjustment(a, locale)).join('; '); 
+  const riskReduction = riskAdjustments 
+    ? `\n${t('signal.riskReduced', { from: data.risk.baseRiskPercent, to: data.riskPercent, details: riskAdjustments })}` 
+    : ''; 
+  const riskLine = Number.isFinite(data.riskPercent) 
+    ? `\n${t('signal.risk', { percent: data.riskPercent })}${riskReduction}` 
+    : ''; 
+  
+  const idLine = data.id ? `\n${t('signal.id', { id: data.id })}` : ''; 
+  
+  // Confidence is the calibrated win probability once enough outcomes are resolved
+  const riskRewardKey = data.calibrated ? 'signal.riskRewardCalibrated' : 'signal.riskReward'; 
+  
+  const baseMessage = `${t('signal.header', { index: signalIndex })}\n\n` + 
+    `#${data.symbol.replace('USDT', '')} – ${data.direction} 📌\n\n` + 
+    `${icon} ${t('signal.entry', { price: fmt(data.entry) })}\n` + 
+    `${targetLines}\n` + 
+    `${t('signal.stopLoss', { price: fmt(data.sl), basis: stopBasisText })}\n` + 
+    `${t(riskRewardKey, { rr: ratio(data.rr), confidence: data.confidence })}${riskLine}${regimeLine}${trendLine}${trailingLine}${idLine}`; 
+  
+  return baseMessage + formatPersonalSizing(data, settings, locale) + `\n\n${t('signal.footer')}`; 
+}
+
+// Inline "Why?" button opening the detector breakdown of a signal or analysis
+function whyButton(id, t) {
+  return { inline_keyboard: [[{ text: t('buttons.why'), callback_data: `why:${id}` }]] };
+}
 
-⚠️ RISK MANAGEMENT REQUIRED – Max 2-3% risk per trade
-💡 Use proper position sizing
-🔒 Always use stop losses`;
+// Candlestick chart PNG for a signal, or null when disabled or unavailable
+async function renderSignalChart(signal) {
+  if (!chartRenderer.config.enabled) return null;
 
-  return baseMessage + riskWarning; 
+  try { 
+    const candles = await DataService.fetchOHLCV(signal.symbol, chartRenderer.config.timeframe, 100); 
+    return chartRenderer.render(signal, candles); 
+  } catch (error) { 
+    console.error(`❌ Failed to render chart for ${signal.symbol}:`, error.message); 
+    return null; 
+  } 
 }
 
-// Broadcast function with retry mechanism
-async function broadcastToAllUsers(message) {
+// Send a chart (PNG buffer or Telegram file_id) below a message; a failed photo
+// never fails the delivery. Returns the file_id of the largest uploaded size so
+// a broadcast uploads the PNG only once.
+async function sendChart(chatId, chart) {
+  if (!chart) return null;
+
+  try { 
+    const sentPhoto = await bot.sendPhoto(chatId, chart, {}, { filename: 'chart.png', contentType: 'image/png' }); 
+    const sizes = (sentPhoto && sentPhoto.photo) || []; 
+    return sizes.length > 0 ? sizes[sizes.length - 1].file_id : null; 
+  } catch (error) { 
+    console.log(`⚠️ Failed to send chart to ${chatId}:`, error.message); 
+    return null; 
+  } 
+}
+
+// Broadcast function with retry mechanism. `message` is a string or a
+// (chatId, userData) => string builder for personalized (and localized)
+// messages. Passing `options.signal` applies each user's subscription filters
+// and `options.photo` (PNG buffer) is sent after each delivered message; it is
+// uploaded once and re-sent by file_id.
+// `options.replyMarkup` attaches an inline keyboard (or a per-chat builder).
+async function broadcastToAllUsers(message, options = {}) {
   let successCount = 0;
   let failCount = 0;
+  let filteredCount = 0;
+  const messages = [];
+  const hour = getVietnamTime().hours();
+  let photo = options.photo;
 
   for (const [chatId, userData] of subscribedUsers) { 
+    if (options.signal && !subscriptionFilters.matches(chatId, options.signal, hour).ok) { 
+      filteredCount++; 
+      continue; 
+    } 
+    
     let retryCount = 0; 
     const maxRetries = 3; 
     let sent = false; 
     
     while (retryCount < maxRetries && !sent) { 
       try { 
-        await bot.sendMessage(chatId, message); 
+        const text = typeof message === 'function' ? message(chatId, userData) : message; 
+        const replyMarkup = typeof options.replyMarkup === 'function' ? options.replyMarkup(chatId, userData) : options.replyMarkup; 
+        const sentMessage = await bot.sendMessage(chatId, text, replyMarkup ? { reply_markup: replyMarkup } : {}); 
+        messages.push({ chatId, messageId: sentMessage.message_id }); 
         successCount++; 
         sent = true; 
+        photo = (await sendChart(chatId, photo)) || photo; 
         // Small delay to avoid rate limiting
         await new Promise(resolve => setTimeout(resolve, 100)); 
       } catch (err) { 
@@ -178,34 +415,186 @@ async function broadcastToAllUsers(message) {
     } 
   } 
   
-  console.log(`📤 Broadcast completed: ${successCount} successful, ${failCount} failed`); 
-  return { success: successCount, fail: failCount }; 
+  console.log(`📤 Broadcast completed: ${successCount} successful, ${failCount} failed, ${filteredCount} filtered`); 
+  return { success: successCount, fail: failCount, filtered: filteredCount, messages }; 
 }
 
+// Reply to the original broadcast messages once a signal is resolved
+async function notifySignalOutcome(signal) {
+  refitCalibration();
+  paperAccount.closePosition(signal.id, signal.exitPrice, signal.outcome);
+  pendingExecutions.delete(signal.id);
+  executionService.onSignalResolved(signal)
+    .catch(err => console.error(`❌ Failed to close live position for signal #${signal.id}:`, err.message));
+
+  // Each recipient gets the outcome in their own language
+  const formatOutcome = (locale) => { 
+    const t = i18n.translator(locale); 
+    return `${t(`outcome.${signal.outcome}`)}\n\n` + 
+      `#${signal.symbol.replace('USDT', '')} – ${signal.direction}\n` + 
+      `${t('outcome.prices', { entry: i18n.formatPrice(locale, signal.entry), exit: i18n.formatPrice(locale, signal.exitPrice) })}\n` + 
+      t('outcome.result', { r: i18n.formatSigned(locale, signal.rMultiple) }); 
+  }; 
+
+  for (const { chatId, messageId } of signal.messages || []) { 
+    try { 
+      await bot.sendMessage(chatId, formatOutcome(localeOf(chatId)), { reply_to_message_id: messageId }); 
+      await new Promise(resolve => setTimeout(resolve, 100)); 
+    } catch (err) { 
+      console.log(`❌ Failed to send outcome for signal #${signal.id} to ${chatId}:`, err.message); 
+    } 
+  } 
+}
+
+const signalTracker = new SignalTracker({ 
+  storage, 
+  dataService: DataService, 
+  notify: notifySignalOutcome 
+});
+
 // --- AUTO ANALYSIS SCHEDULER ---
-async function runAutoAnalysis() {
-  if (isAutoAnalysisRunning) {
-    console.log('⏳ Auto analysis already running, skipping...');
-    return;
-  }
+const SCAN_MODE = process.env.SCAN_MODE || 'candle'; // candle | interval
+const signalDeduplicator = new SignalDeduplicator();
+signalDeduplicator.seed(storage.listSignals());
 
+// Only run during trading hours (4:00 - 23:30 Vietnam time) with at least one subscriber
+function canRunAutoAnalysis() {
   const now = getVietnamTime(); 
   const currentHour = now.hours(); 
   const currentMinute = now.minutes(); 
   
-  // Only run during trading hours (4:00 - 23:30 Vietnam time)
   if (currentHour < 4 || (currentHour === 23 && currentMinute > 30)) { 
     console.log('💤 Outside trading hours (04:00 - 23:30). Sleeping...'); 
-    return; 
+    return false; 
   } 
   
   if (subscribedUsers.size === 0) { 
     console.log('👥 No subscribed users. Skipping auto analysis.'); 
+    return false; 
+  } 
+  
+  return true; 
+}
+
+// Analyze one coin and broadcast the signal if it qualifies. Returns the signal or null.
+async function evaluateSymbol(coin) {
+  const result = await analyzeSymbol(coin); 
+  
+  if (!result || result.direction === 'NEUTRAL' || result.direction === 'NO_TRADE') { 
+    console.log(`➖ No signal for ${coin}: ${result?.direction} - ${result?.reason}`); 
+    return null; 
+  } 
+  
+  if (result.confidence < (process.env.MIN_CONFIDENCE || 60)) { 
+    console.log(`⏭️ Skip ${coin}: Confidence ${result.confidence}% below minimum`); 
+    return null; 
+  } 
+  
+  const pending = await riskLimiter.schedule(() => reserveSignal(coin, result)); 
+  if (!pending) return null; 
+  const { signalIndex } = pending; 
+  
+  const chart = await renderSignalChart(result); 
+  const broadcastResult = await broadcastToAllUsers( 
+    (recipientId) => formatSignalMessage(pending, signalIndex, 'bot', userSettings.get(recipientId), localeOf(recipientId)), 
+    { signal: result, photo: chart, replyMarkup: (recipientId) => whyButton(pending.id, translatorFor(recipientId)) } 
+  ); 
+  const record = storage.updateSignal(pending.id, { 
+    delivered: broadcastResult.success, 
+    messages: broadcastResult.messages 
+  }); 
+  paperAccount.openPosition(record); 
+  await requestExecutionConfirmation(record); 
+  
+  return result; 
+}
+
+// Dedup, portfolio risk and recording of a new signal; returns the stored record or null
+async function reserveSignal(coin, result) {
+  if (signalDeduplicator.isDuplicate(coin, result.direction)) { 
+    console.log(`🔁 Skip ${coin}: ${result.direction} already signaled within cooldown`); 
+    return null; 
+  } 
+  
+  const risk = await riskManager.assess(result); 
+  if (!risk.allowed) { 
+    console.log(`⚖️ Skip ${coin}: ${risk.reason}`); 
+    return null; 
+  } 
+  signalDeduplicator.record(coin, result.direction); 
+  
+  // Re-size with the risk allocated by the portfolio risk manager
+  const positionData = TradingUtils.calculatePositionSize( 
+    parseFloat(process.env.ACCOUNT_BALANCE) || 1000, 
+    risk.riskPercent, 
+    result.entry, 
+    result.sl 
+  ); 
+  result.riskPercent = risk.riskPercent; 
+  result.positionSize = positionData.size; 
+  result.maxLoss = positionData.maxLoss; 
+  result.risk = { 
+    baseRiskPercent: risk.baseRiskPercent, 
+    reason: risk.reason, 
+    adjustments: risk.adjustments, 
+    correlated: risk.correlated 
+  }; 
+  
+  const signalIndex = nextSignalIndex(); 
+  console.log(`✅ Signal found: ${coin} ${result.direction} (${result.confidence}% confidence)`); 
+  
+  // Record first so the broadcast can carry the signal ID, and so the next assessment counts its risk
+  return storage.recordSignal({ ...result, source: 'bot', signalIndex }); 
+}
+
+// Ask admins to confirm live execution of a signal that passes the safety rails
+async function requestExecutionConfirmation(signal) {
+  if (!executionService.isEnabled()) return;
+
+  const rails = executionService.checkRails(signal); 
+  if (!rails.ok) { 
+    console.log(`⛔ Live execution skipped for #${signal.id}: ${rails.reason}`); 
     return; 
   } 
   
+  pendingExecutions.set(signal.id, new Date()); 
+  const ttlMinutes = Math.round(executionService.config.confirmTtlMs / 60000); 
+  
+  for (const [chatId, userData] of subscribedUsers) { 
+    if (!userData.isAdmin) continue; 
+    const locale = localeOf(chatId); 
+    const t = i18n.translator(locale); 
+    const fmt = (num) => i18n.formatPrice(locale, num); 
+    const text = `${t('execution.title')}${executionService.config.sandbox ? t('execution.sandbox') : ''}\n\n` + 
+      `#${signal.id} ${signal.symbol} ${signal.direction}\n` + 
+      `${t('execution.levels', { entry: fmt(signal.entry), sl: fmt(signal.sl), tp: fmt(signal.tp) })}\n\n` + 
+      t('execution.request', { minutes: ttlMinutes }); 
+    const opts = { 
+      parse_mode: 'HTML', 
+      reply_markup: { 
+        inline_keyboard: [confirmRow(`exec:confirm:${signal.id}`, `exec:skip:${signal.id}`, { confirm: t('execution.executeButton'), cancel: t('execution.skipButton') })] 
+      } 
+    }; 
+    try { 
+      await bot.sendMessage(chatId, text, opts); 
+    } catch (err) { 
+      console.log(`❌ Failed to send execution request to ${chatId}:`, err.message); 
+    } 
+  } 
+}
+
+// Full serial scan of all target coins (interval mode and startup)
+// `force` (dashboard "scan now") skips the trading hours / subscriber check
+async function runAutoAnalysis({ force = false } = {}) {
+  if (isAutoAnalysisRunning) {
+    console.log('⏳ Auto analysis already running, skipping...');
+    return;
+  }
+
+  if (!force && !canRunAutoAnalysis()) return; 
+  
   isAutoAnalysisRunning = true; 
-  console.log(`🔄 Starting Auto Analysis at ${now.format('HH:mm')} - ${subscribedUsers.size} users`);
+  console.log(`🔄 Starting Auto Analysis at ${getVietnamTime().format('HH:mm')} - ${subscribedUsers.size} users`);
   
   let signalsFound = 0; 
   let analyzedCount = 0; 
@@ -214,29 +603,18 @@ async function runAutoAnalysis() {
     for (const coin of TARGET_COINS) { 
       analyzedCount++; 
       
-      // Rate limiting delay between coins
-      const baseDelay = process.env.REQUEST_DELAY_MS || 5000;
+      // Rate limiting delay between coins (not needed when reading from stream buffers)
+      const baseDelay = STREAMING_ENABLED ? 0 : (process.env.REQUEST_DELAY_MS || 5000);
       await new Promise(r => setTimeout(r, baseDelay)); 
       
       try { 
         console.log(`🔍 Analyzing ${coin} (${analyzedCount}/${TARGET_COINS.length})...`); 
-        const result = await analyzeSymbol(coin); 
+        const signal = await evaluateSymbol(coin); 
         
-        if (result && result.direction !== 'NEUTRAL' && result.direction !== 'NO_TRADE') { 
-          if (result.confidence >= (process.env.MIN_CONFIDENCE || 60)) { 
-            signalCountToday++; 
-            signalsFound++; 
-            const msg = formatSignalMessage(result, signalCountToday, 'bot'); 
-            console.log(`✅ Signal found: ${coin} ${result.direction} (${result.confidence}% confidence)`); 
-            
-            await broadcastToAllUsers(msg); 
-            // Additional delay after broadcasting signal
-            await new Promise(r => setTimeout(r, 3000)); 
-          } else { 
-            console.log(`⏭️ Skip ${coin}: Confidence ${result.confidence}% below minimum`); 
-          } 
-        } else { 
-          console.log(`➖ No signal for ${coin}: ${result?.direction} - ${result?.reason}`); 
+        if (signal) { 
+          signalsFound++; 
+          // Additional delay after broadcasting signal
+          await new Promise(r => setTimeout(r, 3000)); 
         } 
       } catch (coinError) { 
         console.error(`❌ Error analyzing ${coin}:`, coinError.message); 
@@ -252,29 +630,70 @@ async function runAutoAnalysis() {
   } 
 }
 
+// Candle-close driven scanning: each symbol is evaluated when its 15m/1h candle closes
+const candleScheduler = new CandleCloseScheduler({ 
+  symbols: TARGET_COINS, 
+  stream: marketStream, 
+  shouldRun: canRunAutoAnalysis, 
+  evaluate: (coin, timeframes) => { 
+    console.log(`🔍 Analyzing ${coin} (${timeframes.join('/')} close)...`); 
+    return evaluateSymbol(coin); 
+  } 
+}); 
+
 // Daily greeting function
 function checkDailyGreeting() {
   const now = getVietnamTime();
   if (now.hours() === 4 && now.minutes() === 0) {
     signalCountToday = 0;
-    const greetingMsg = "🌞 Good morning traders! AI Trading Bot V3 is ready to find opportunities. Wishing you big wins today! 🚀";
-    broadcastToAllUsers(greetingMsg);
+    storage.set('signalCountToday', 0);
+    broadcastToAllUsers((chatId) => translatorFor(chatId)('greeting.morning'));
     console.log('🌞 Sent morning greeting to all users');
   }
 }
 
 // --- BOT COMMAND HANDLERS ---
 
-// /start - REGISTER FOR MESSAGES
-bot.onText(/\/start/, (msg) => {
-  const chatId = msg.chat.id;
-  const user = msg.from;
+// Single dispatcher for commands, reply-keyboard buttons and inline callbacks; every
+// route declares who may use it ('public', 'user' = activated, 'admin')
+const router = new CommandRouter({ 
+  bot, 
+  getUser: (chatId) => subscribedUsers.get(chatId), 
+  isAdmin, 
+  i18n, 
+  localeOf 
+}); 
+
+const KEY_TYPES = ['1week', '1month', '3month', 'forever'];
+const MANUAL_SIGNAL_TTL_MS = 5 * 60 * 1000;
+const pendingManualSignals = new Map(); // id -> { signal, chatId, author, createdAt }
+const coinAnalysisResults = new Map(); // chatId -> analyzeAllCoins results, for paging
+const RESULTS_PAGE_SIZE = 5;
+
+// Persistent reply keyboard in the chat's language; each button opens an inline menu
+function mainKeyboard(admin, t) {
+  const keyboard = admin 
+    ? [ 
+        [t('buttons.broadcast'), t('buttons.analyze')], 
+        [t('buttons.status'), t('buttons.generateKey')], 
+        [t('buttons.analyzeAll'), t('buttons.subscriptions')] 
+      ] 
+    : [ 
+        [t('buttons.broadcast')], 
+        [t('buttons.analyze')], 
+        [t('buttons.subscriptions')] 
+      ]; 
+  return { reply_markup: { keyboard, resize_keyboard: true, one_time_keyboard: false } }; 
+}
 
+// /start - REGISTER FOR MESSAGES
+function handleStart({ chatId, from: user, t }) {
   const userInfo = { 
     id: user.id, 
     username: user.username, 
     first_name: user.first_name, 
-    last_name: user.last_name 
+    last_name: user.last_name, 
+    language_code: user.language_code 
   }; 
   
   // Check if user is admin
@@ -286,44 +705,33 @@ bot.onText(/\/start/, (msg) => {
     }; 
     subscribedUsers.set(chatId, adminData); 
     
-    const welcomeMsg = `👋 Welcome Admin ${user.first_name || ''}!\n🧠 AI TRADING BOT V3 - ENSEMBLE EDITION\n\nYou have been automatically granted admin privileges!`; 
-    const opts = { 
-      reply_markup: { 
-        keyboard: [ 
-          ['📤 Broadcast Signal', '🔍 Analyze Symbol'], 
-          ['📊 Bot Status', '🔑 Generate Key'], 
-          ['🔎 Analyze All Coins'] 
-        ], 
-        resize_keyboard: true, 
-        one_time_keyboard: false 
-      } 
-    }; 
-    bot.sendMessage(chatId, welcomeMsg, opts); 
+    const welcomeMsg = t('start.welcomeAdmin', { name: user.first_name || '' }); 
+    bot.sendMessage(chatId, welcomeMsg, mainKeyboard(true, t)); 
     console.log(`✅ Admin subscribed: ${user.username || user.first_name} (ID: ${user.id})`); 
   } else { 
     // Regular user - show activation instructions
-    const welcomeMsg = `👋 Welcome ${user.first_name || 'Trader'}!\n🧠 AI TRADING BOT V3 - ENSEMBLE EDITION\n\n🔐 You need an activation key to access all features.\n\n📝 Use command: /key <activation_code>`; 
+    const welcomeMsg = t('start.welcomeUser', { name: user.first_name || t('start.trader') }); 
     bot.sendMessage(chatId, welcomeMsg); 
   } 
-});
+}
 
 // /key - ACTIVATE USER
-bot.onText(/\/key (.+)/, (msg, match) => {
-  const chatId = msg.chat.id;
-  const user = msg.from;
-  const key = match[1].trim();
-
+function handleKey({ chatId, from: user, t }, [key]) {
+  if (!key) { 
+    return bot.sendMessage(chatId, t('key.usage')); 
+  } 
+  
   // Check if key exists and is valid
   const keyInfo = activationKeys.get(key); 
   if (!keyInfo) { 
-    return bot.sendMessage(chatId, '❌ Activation key does not exist!'); 
+    return bot.sendMessage(chatId, t('key.notFound')); 
   } 
   if (keyInfo.used) { 
-    return bot.sendMessage(chatId, '❌ Activation key has already been used!'); 
+    return bot.sendMessage(chatId, t('key.used')); 
   } 
   // Check expiration
   if (keyInfo.expires && new Date() > keyInfo.expires) { 
-    return bot.sendMessage(chatId, '❌ Activation key has expired!'); 
+    return bot.sendMessage(chatId, t('key.expired')); 
   } 
   
   // Activate the key
@@ -337,7 +745,8 @@ bot.onText(/\/key (.+)/, (msg, match) => {
       id: user.id, 
       username: user.username, 
       first_name: user.first_name, 
-      last_name: user.last_name 
+      last_name: user.last_name, 
+      language_code: user.language_code 
     }, 
     activatedAt: new Date(), 
     keyUsed: key, 
@@ -345,36 +754,12 @@ bot.onText(/\/key (.+)/, (msg, match) => {
   }; 
   subscribedUsers.set(chatId, userData); 
   
-  const opts = { 
-    reply_markup: { 
-      keyboard: [ 
-        ['📤 Broadcast Signal'], 
-        ['🔍 Analyze Symbol'] 
-      ], 
-      resize_keyboard: true, 
-      one_time_keyboard: false 
-    } 
-  }; 
-  
-  bot.sendMessage(chatId, `✅ Activation successful! Welcome to AI Trading Bot V3.`, opts); 
+  bot.sendMessage(chatId, t('key.activated'), mainKeyboard(false, t)); 
   console.log(`✅ User activated: ${user.username || user.first_name} with key: ${key}`); 
-});
-
-// /createkey - GENERATE ACTIVATION KEY (ADMIN ONLY)
-bot.onText(/\/createkey (.+)/, (msg, match) => {
-  const chatId = msg.chat.id;
-  const user = msg.from;
+}
 
-  if (!isAdmin(user)) { 
-    return bot.sendMessage(chatId, '❌ You do not have permission to use this command!'); 
-  } 
-  
-  const type = match[1].trim(); 
-  const validTypes = ['1week', '1month', '3month', 'forever']; 
-  if (!validTypes.includes(type)) { 
-    return bot.sendMessage(chatId, `❌ Invalid key type! Valid types: ${validTypes.join(', ')}`); 
-  } 
-  
+// Generate and store an activation key
+function issueActivationKey(type) {
   const key = generateKey(); 
   const expires = calculateKeyExpiry(type); 
   
@@ -385,179 +770,345 @@ bot.onText(/\/createkey (.+)/, (msg, match) => {
     used: false, 
     usedBy: null 
   }); 
-  
-  const expiryText = expires ? moment(expires).format('DD/MM/YYYY HH:mm') : 'Permanent'; 
-  bot.sendMessage(chatId, 
-    `✅ Key created successfully!\n\n` + 
-    `🔑 Key: <code>${key}</code>\n` + 
-    `⏰ Type: ${type}\n` + 
-    `📅 Expires: ${expiryText}\n\n` + 
-    `Send this key to users for activation: /key ${key}`, 
-    { parse_mode: 'HTML' } 
-  ); 
-});
+  return { key, expires }; 
+}
 
-// Handle menu button clicks
-bot.on('message', async (msg) => {
-  const chatId = msg.chat.id;
-  const text = msg.text;
-  const userData = subscribedUsers.get(chatId);
-
-  if (!userData) { 
-    if (text.startsWith('/key')) return; 
-    return bot.sendMessage(chatId, '🔐 Please activate the bot first using /key <activation_code>!'); 
-  } 
-  
-  const user = userData.userInfo; 
-  const isAdminUser = userData.isAdmin; 
-  
-  // Handle menu buttons
-  if (text === '📤 Broadcast Signal') { 
-    const helpMsg = `To broadcast a signal to the community, use the format:\n\n` + 
-      `🔹 <b>Example 1:</b> <code>/signal BTCUSDT LONG 50000 49000 52000</code>\n` + 
-      `🔹 <b>Example 2:</b> <code>/signal ETHUSDT SHORT 2500 2550 2400</code>\n\n` + 
-      `📝 <b>Format:</b> /signal [SYMBOL] [LONG/SHORT] [ENTRY] [STOPLOSS] [TAKEPROFIT]`; 
-    bot.sendMessage(chatId, helpMsg, { parse_mode: 'HTML' }); 
-  } else if (text === '🔍 Analyze Symbol') { 
-    const helpMsg = isAdminUser ? 
-      'To analyze a coin, use:\n<code>/analyzesymbol BTCUSDT</code>\n\nOr analyze all coins:\n<code>/analyzesymbol Allcoin</code>' : 
-      'To analyze a coin, use:\n<code>/analyzesymbol BTCUSDT</code>'; 
-    bot.sendMessage(chatId, helpMsg, { parse_mode: 'HTML' }); 
-  } else if (text === '📊 Bot Status' && isAdminUser) { 
-    const statusMsg = `🤖 <b>BOT STATUS</b>\n\n` + 
-      `👥 Active users: <b>${subscribedUsers.size}</b>\n` + 
-      `📈 Signals today: <b>${signalCountToday}</b>\n` + 
-      `⏰ Operating hours: <b>04:00 - 23:30</b>\n` + 
-      `🔄 Scan interval: <b>2 hours</b>\n` + 
-      `🎯 Min confidence: <b>${process.env.MIN_CONFIDENCE || 60}%</b>\n` + 
-      `💰 Account balance: <b>$${process.env.ACCOUNT_BALANCE || 1000}</b>`; 
-    bot.sendMessage(chatId, statusMsg, { parse_mode: 'HTML' }); 
-  } else if (text === '🔑 Generate Key' && isAdminUser) { 
-    const helpMsg = `To generate activation keys, use:\n\n` + 
-      `<code>/createkey 1week</code>\n` + 
-      `<code>/createkey 1month</code>\n` + 
-      `<code>/createkey 3month</code>\n` + 
-      `<code>/createkey forever</code>`; 
-    bot.sendMessage(chatId, helpMsg, { parse_mode: 'HTML' }); 
-  } else if (text === '🔎 Analyze All Coins' && isAdminUser) { 
-    bot.sendMessage(chatId, 'Analyzing all 10 coins...'); 
-    analyzeAllCoins(chatId); 
-  } 
-  
-  // Handle manual signal broadcasting
-  if (text.startsWith('/signal')) { 
-    const parts = text.split(' '); 
-    if (parts.length < 6) { 
-      return bot.sendMessage(chatId, 
-        '❌ <b>Invalid format!</b>\n\n' + 
-        '✅ <b>Correct format:</b> <code>/signal SYMBOL LONG/SHORT ENTRY STOPLOSS TAKEPROFIT</code>\n\n' + 
-        '📝 <b>Example:</b> <code>/signal BTCUSDT LONG 50000 49000 52000</code>', 
-        { parse_mode: 'HTML' } 
-      ); 
-    } 
-    
-    const symbol = parts[1].toUpperCase(); 
-    const direction = parts[2].toUpperCase(); 
-    const entry = parts[3]; 
-    const sl = parts[4]; 
-    const tp = parts[5]; 
-    
-    if (!['LONG', 'SHORT'].includes(direction)) { 
-      return bot.sendMessage(chatId, '❌ Direction must be LONG or SHORT'); 
-    } 
-    if (isNaN(entry) || isNaN(sl) || isNaN(tp)) { 
-      return bot.sendMessage(chatId, '❌ Entry, SL, TP must be numbers'); 
-    } 
-    
-    const rr = (Math.abs(tp - entry) / Math.abs(entry - sl)).toFixed(2); 
-    const userName = isAdminUser ? 'Admin' : (user.username ? `@${user.username}` : user.first_name); 
-    
-    signalCountToday++; 
-    const userSignalMsg = `🤖 Manual Signal [${signalCountToday} today]\n` + 
-      `#${symbol.replace('USDT', '')} – ${direction} 📌\n\n` + 
-      `🟢 Entry: ${parseFloat(entry).toFixed(2)}\n` + 
-      `🎯 Take Profit: ${parseFloat(tp).toFixed(2)}\n` + 
-      `🛑 Stop-Loss: ${parseFloat(sl).toFixed(2)}\n` + 
-      `📊 Risk/Reward: ${rr}\n\n` + 
-      `👤 Shared by ${userName}\n\n` + 
-      `⚠️ Always practice risk management – Max 1-2% risk\n` +
-      `💡 Manual signal - verify before trading`; 
-    
-    const broadcastResult = await broadcastToAllUsers(userSignalMsg); 
-    bot.sendMessage(chatId, 
-      `✅ Signal sent to ${broadcastResult.success} users!\n` + 
-      `❌ ${broadcastResult.fail} failed deliveries` 
-    ); 
+// New key plus the confirmation message for Telegram
+function createActivationKey(type, t) {
+  const { key, expires } = issueActivationKey(type); 
+  const expiryText = expires ? moment(expires).format('DD/MM/YYYY HH:mm') : t('key.permanent'); 
+  return t('key.created', { key, type, expires: expiryText }); 
+}
+
+function keyTypeMenu() {
+  return { 
+    parse_mode: 'HTML', 
+    reply_markup: { inline_keyboard: chunk(KEY_TYPES.map(type => ({ text: type, callback_data: `key:${type}` })), 2) } 
+  }; 
+}
+
+// /createkey [type] - GENERATE ACTIVATION KEY (ADMIN ONLY)
+function handleCreateKey({ chatId, t }, [type]) {
+  if (!type) { 
+    return bot.sendMessage(chatId, t('key.choose'), keyTypeMenu()); 
   } 
-});
+  if (!KEY_TYPES.includes(type)) { 
+    return bot.sendMessage(chatId, t('key.invalidType', { types: KEY_TYPES.join(', ') })); 
+  } 
+  bot.sendMessage(chatId, createActivationKey(type, t), { parse_mode: 'HTML' }); 
+}
+
+function handleKeyButton({ edit, t }, [type]) {
+  if (!KEY_TYPES.includes(type)) return; 
+  return edit(createActivationKey(type, t), { parse_mode: 'HTML' }); 
+}
+
+// /help - commands available to the caller
+function handleHelp({ chatId, role, t }) {
+  const lines = router.listCommands(role).map(c => `${c.name} - ${t(c.description)}`); 
+  bot.sendMessage(chatId, `${t('commands.title')}\n\n${lines.join('\n')}`, { parse_mode: 'HTML' }); 
+}
+
+function languageMenu(t) {
+  return { 
+    reply_markup: { inline_keyboard: [i18n.locales.map(code => ({ text: t(`language.names.${code}`), callback_data: `lang:${code}` }))] } 
+  }; 
+}
+
+// Save the language and resend the reply keyboard with translated labels
+function applyLanguage({ chatId, role, isAdmin: admin }, code) {
+  userSettings.setLanguage(chatId, code); 
+  const t = i18n.translator(code); 
+  return bot.sendMessage(chatId, t('language.changed'), role === 'public' ? {} : mainKeyboard(admin, t)); 
+}
+
+// /language [code] - without a code opens the language picker
+function handleLanguage(ctx, [code]) {
+  if (!code) { 
+    return bot.sendMessage(ctx.chatId, ctx.t('language.choose'), languageMenu(ctx.t)); 
+  } 
+  code = code.toLowerCase(); 
+  if (!i18n.isSupported(code)) { 
+    return bot.sendMessage(ctx.chatId, ctx.t('language.invalid', { languages: i18n.locales.join(', ') })); 
+  } 
+  return applyLanguage(ctx, code); 
+}
+
+async function handleLanguageButton(ctx, [code]) {
+  if (!i18n.isSupported(code)) return; 
+  await bot.deleteMessage(ctx.chatId, ctx.messageId).catch(() => {}); 
+  return applyLanguage(ctx, code); 
+}
 
-// /analyzesymbol [Coin] command handler
-bot.onText(/\/analyzesymbol (.+)/, async (msg, match) => {
-  const chatId = msg.chat.id;
-  const userData = subscribedUsers.get(chatId);
+// Bot status (admin only)
+function handleBotStatus({ chatId, t }) {
+  const scanMode = SCAN_MODE === 'interval' 
+    ? t('status.scanInterval', { minutes: ANALYSIS_INTERVAL / 60000 }) 
+    : t('status.scanCandle', { timeframes: candleScheduler.config.timeframes.join('/') }); 
+  const statusMsg = `${t('status.title')}\n\n` + 
+    `${t('status.users', { count: subscribedUsers.size })}\n` + 
+    `${t('status.signals', { count: signalCountToday })}\n` + 
+    `${t('status.hours')}\n` + 
+    `${scanMode}\n` + 
+    `${t('status.minConfidence', { confidence: parseFloat(process.env.MIN_CONFIDENCE) || 60 })}\n` + 
+    t('status.balance', { balance: parseFloat(process.env.ACCOUNT_BALANCE) || 1000 }); 
+  bot.sendMessage(chatId, statusMsg, { parse_mode: 'HTML' }); 
+}
+
+// --- MANUAL SIGNALS: coin -> direction -> levels -> confirm ---
 
-  if (!userData) { 
-    return bot.sendMessage(chatId, 'Please activate the bot first using /key!'); 
+// Validate "/signal" style arguments into a manual signal or { error } (a manual.errors.* key)
+function parseManualSignal([symbol, direction, entry, sl, tp]) {
+  if (!symbol || !direction || entry === undefined || sl === undefined || tp === undefined) { 
+    return { error: 'manual.errors.format' }; 
+  } 
+  direction = direction.toUpperCase(); 
+  if (!['LONG', 'SHORT'].includes(direction)) { 
+    return { error: 'manual.errors.direction' }; 
+  } 
+  if (isNaN(entry) || isNaN(sl) || isNaN(tp)) { 
+    return { error: 'manual.errors.numbers' }; 
   } 
   
-  let symbol = match[1].toUpperCase().trim(); 
+  const signal = { symbol: symbol.toUpperCase(), direction, entry: parseFloat(entry), sl: parseFloat(sl), tp: parseFloat(tp) }; 
+  signal.rr = (Math.abs(signal.tp - signal.entry) / Math.abs(signal.entry - signal.sl)).toFixed(2); 
+  return { signal }; 
+}
+
+function formatManualSignal(signal, signalIndex, author, locale) {
+  const t = i18n.translator(locale); 
+  const fmt = (num) => i18n.formatFixed(locale, num, 2); 
+  return `${t('manual.header', { index: signalIndex })}\n` + 
+    `#${signal.symbol.replace('USDT', '')} – ${signal.direction} 📌\n\n` + 
+    `${t('manual.entry', { price: fmt(signal.entry) })}\n` + 
+    `${t('manual.takeProfit', { price: fmt(signal.tp) })}\n` + 
+    `${t('manual.stopLoss', { price: fmt(signal.sl) })}\n` + 
+    `${t('manual.riskReward', { rr: fmt(parseFloat(signal.rr)) })}\n\n` + 
+    `${t('manual.sharedBy', { name: manualSignalAuthorName(author, t) })}\n\n` + 
+    t('manual.footer'); 
+}
+
+// Admins pass the router by id alone and may have no subscriber record, so fall back to the Telegram sender
+function manualSignalAuthor({ userData, from, isAdmin }) {
+  return { isAdmin, user: userData ? userData.userInfo : from }; 
+}
+
+function manualSignalAuthorName(author, t) {
+  const { user } = author; 
+  return author.isAdmin ? t('manual.admin') : (user.username ? `@${user.username}` : user.first_name); 
+}
+
+// Show a preview with Confirm / Cancel; nothing is broadcast until confirmed
+function previewManualSignal(ctx, signal) {
+  const { chatId, locale, t } = ctx; 
+  const id = Date.now().toString(36); 
+  const author = manualSignalAuthor(ctx); 
+  pendingManualSignals.set(id, { signal, chatId, author, createdAt: Date.now() }); 
   
-  // Check if analyzing all coins (admin only)
-  if (symbol === 'ALLCOIN') { 
-    if (!userData.isAdmin) { 
-      return bot.sendMessage(chatId, '❌ Only admins can analyze all coins!'); 
+  const preview = `${t('manual.preview', { minutes: MANUAL_SIGNAL_TTL_MS / 60000 })}\n\n` + 
+    formatManualSignal(signal, signalCountToday + 1, author, locale); 
+  return bot.sendMessage(chatId, preview, { 
+    parse_mode: 'HTML', 
+    reply_markup: { inline_keyboard: [confirmRow(`msig:send:${id}`, `msig:cancel:${id}`, { confirm: t('manual.broadcastButton'), cancel: t('common.cancel') })] } 
+  }); 
+}
+
+async function broadcastManualSignal({ signal, author }) {
+  const signalIndex = nextSignalIndex(); 
+  const broadcastResult = await broadcastToAllUsers((recipientId) => { 
+    const locale = localeOf(recipientId); 
+    return formatManualSignal(signal, signalIndex, author, locale) + formatPersonalSizing(signal, userSettings.get(recipientId), locale); 
+  }); 
+  storage.recordSignal({ 
+    ...signal, 
+    source: 'manual', 
+    sharedBy: author.user.id, 
+    signalIndex, 
+    delivered: broadcastResult.success, 
+    messages: broadcastResult.messages 
+  }); 
+  return broadcastResult; 
+}
+
+function manualSignalCoinMenu(t) {
+  return { 
+    reply_markup: { 
+      inline_keyboard: coinPicker(TARGET_COINS, 'msig:coin', { extraRows: [[{ text: t('common.cancel'), callback_data: 'msig:cancel' }]] }) 
     } 
-    return analyzeAllCoins(chatId); 
+  }; 
+}
+
+// /signal [SYMBOL LONG/SHORT ENTRY SL TP] - without arguments opens the coin picker
+function handleSignal(ctx, args) {
+  const { chatId, t } = ctx; 
+  if (args.length === 0) { 
+    return bot.sendMessage(chatId, t('manual.pickCoin'), { parse_mode: 'HTML', ...manualSignalCoinMenu(t) }); 
   } 
   
-  // Analyze specific coin
-  if (!symbol.endsWith('USDT')) symbol += 'USDT'; 
+  const { signal, error } = parseManualSignal(args); 
+  if (error) { 
+    return bot.sendMessage(chatId, t('manual.invalidFormat', { error: t(error) }), { parse_mode: 'HTML' }); 
+  } 
+  return previewManualSignal(ctx, signal); 
+}
+
+async function handleManualSignalButton({ chatId, edit, answer, t }, [action, value, direction]) {
+  if (action === 'coin') { 
+    const row = ['LONG', 'SHORT'].map(dir => ({ text: dir === 'LONG' ? '🟢 LONG' : '🔴 SHORT', callback_data: `msig:dir:${value}:${dir}` })); 
+    return edit(t('manual.chooseDirection', { symbol: value }), { 
+      reply_markup: { inline_keyboard: [row, [{ text: t('common.back'), callback_data: 'msig:coins' }]] } 
+    }); 
+  } 
+  if (action === 'coins') { 
+    return edit(t('manual.pickCoinShort'), manualSignalCoinMenu(t)); 
+  } 
+  if (action === 'dir') { 
+    router.awaitInput(chatId, (ctx, text) => { 
+      const { signal, error } = parseManualSignal([value, direction, ...text.trim().split(/\s+/)]); 
+      if (error) return ctx.reply(ctx.t('manual.retry', { error: ctx.t(error) })); 
+      return previewManualSignal(ctx, signal); 
+    }); 
+    return edit(t('manual.enterLevels', { symbol: value, direction }), { parse_mode: 'HTML' }); 
+  } 
+  if (action === 'cancel') { 
+    pendingManualSignals.delete(value); 
+    router.cancelInput(chatId); 
+    return edit(t('manual.cancelled')); 
+  } 
   
-  const processingMsg = await bot.sendMessage(chatId, 
-    `⏳ Analyzing ${symbol}...\n📊 Loading multi-timeframe analysis`
+  // action === 'send'
+  answer(); 
+  const pending = pendingManualSignals.get(value); 
+  pendingManualSignals.delete(value); 
+  if (!pending || pending.chatId !== chatId || Date.now() - pending.createdAt > MANUAL_SIGNAL_TTL_MS) { 
+    return edit(t('manual.expired')); 
+  } 
+  
+  await edit(t('manual.broadcasting', { symbol: pending.signal.symbol, direction: pending.signal.direction })); 
+  const broadcastResult = await broadcastManualSignal(pending); 
+  return edit( 
+    `${t('manual.sent', { count: broadcastResult.success })}\n` + 
+    t('manual.failed', { count: broadcastResult.fail }) 
   ); 
+}
+
+// --- ANALYSIS ---
+
+function analyzeMenu(admin, t) {
+  const extraRows = admin ? [[{ text: t('analysis.allCoinsButton'), callback_data: 'an:ALL' }]] : []; 
+  return { reply_markup: { inline_keyboard: coinPicker(TARGET_COINS, 'an', { extraRows }) } }; 
+}
+
+// Analyze one coin for a chat and reply with the signal or the reason there is none
+async function analyzeSymbolFor({ chatId, locale, t }, symbol) {
+  if (!symbol.endsWith('USDT')) symbol += 'USDT'; 
+  
+  const processingMsg = await bot.sendMessage(chatId, t('analysis.analyzing', { symbol })); 
   
   try { 
     const result = await analyzeSymbol(symbol); 
+    const analysisId = signalExplainer.saveAnalysis(result); 
     
     if (result && result.direction !== 'NEUTRAL' && result.direction !== 'NO_TRADE') { 
       bot.deleteMessage(chatId, processingMsg.message_id); 
       
       let advice = ""; 
       if (result.confidence < 60) { 
-        advice = "\n\n⚠️ <b>Warning:</b> Low Confidence Score (<60%), high risk - DO NOT TRADE"; 
+        advice = `\n\n${t('analysis.adviceLow')}`; 
       } else if (result.confidence >= 80) { 
-        advice = "\n\n✅ <b>High Confidence</b> - Consider trading with proper risk management"; 
+        advice = `\n\n${t('analysis.adviceHigh')}`; 
       } else { 
-        advice = "\n\n🟡 <b>Medium Confidence</b> - Trade with caution and proper risk management"; 
+        advice = `\n\n${t('analysis.adviceMedium')}`; 
       } 
       
-      const msgContent = formatSignalMessage(result, "MANUAL") + advice; 
-      bot.sendMessage(chatId, msgContent, { parse_mode: 'HTML' }); 
+      const msgContent = formatSignalMessage({ ...result, id: analysisId }, "MANUAL", 'manual', userSettings.get(chatId), locale) + advice; 
+      await bot.sendMessage(chatId, msgContent, { parse_mode: 'HTML', reply_markup: whyButton(analysisId, t) }); 
+      await sendChart(chatId, await renderSignalChart(result)); 
     } else { 
       bot.editMessageText( 
-        `❌ No trading signal found for ${symbol}\n` + 
-        `📊 Market: ${result?.direction || 'NEUTRAL'}\n` + 
-        `🎯 Confidence: ${result?.confidence || 0}%\n` +
-        `💡 Reason: ${result?.reason || 'No clear signal'}`,
-        { chat_id: chatId, message_id: processingMsg.message_id } 
+        t('analysis.noSignal', { 
+          symbol, 
+          direction: result?.direction || 'NEUTRAL', 
+          confidence: result?.confidence || 0, 
+          reason: result?.reason || t('analysis.noClearSignal') 
+        }), 
+        { chat_id: chatId, message_id: processingMsg.message_id, reply_markup: whyButton(analysisId, t) } 
       ); 
     } 
   } catch (error) { 
     bot.editMessageText( 
-      `❌ Error analyzing ${symbol}: ${error.message}`, 
+      t('analysis.error', { symbol, error: error.message }), 
       { chat_id: chatId, message_id: processingMsg.message_id } 
     ); 
   } 
-});
+}
+
+// /analyzesymbol [coin|Allcoin] - without a coin opens the coin picker
+function handleAnalyzeSymbol(ctx, [coin]) {
+  const { chatId, isAdmin: admin, t } = ctx; 
+  if (!coin) { 
+    return bot.sendMessage(chatId, t('analysis.pickCoin'), analyzeMenu(admin, t)); 
+  } 
+  
+  const symbol = coin.toUpperCase(); 
+  
+  // Check if analyzing all coins (admin only)
+  if (symbol === 'ALLCOIN') { 
+    if (!admin) { 
+      return bot.sendMessage(chatId, t('analysis.onlyAdmins')); 
+    } 
+    return analyzeAllCoins(ctx); 
+  } 
+  return analyzeSymbolFor(ctx, symbol); 
+}
+
+function handleAnalyzeButton(ctx, [symbol]) {
+  const { isAdmin: admin, answer, t } = ctx; 
+  if (symbol === 'ALL') { 
+    if (!admin) return answer(t('analysis.onlyAdmins')); 
+    answer(t('analysis.analyzingAll', { count: TARGET_COINS.length })); 
+    return analyzeAllCoins(ctx); 
+  } 
+  answer(t('analysis.analyzingShort', { symbol: symbol.replace('USDT', '') })); 
+  return analyzeSymbolFor(ctx, symbol); 
+}
+
+// One page of analyzeAllCoins results with "Why?" and paging buttons
+function buildCoinResultsPage({ chatId, locale, t }, page = 0) {
+  const { results, analyzed } = coinAnalysisResults.get(chatId) || { results: [], analyzed: 0 }; 
+  const current = paginate(results, page, RESULTS_PAGE_SIZE); 
+  const fmt = (num) => i18n.formatPrice(locale, num); 
+  
+  let text = `${t('analysis.resultsTitle')}\n` + 
+    `${t('analysis.found', { count: results.length, coins: analyzed })}\n\n`; 
+  for (const result of current.items) { 
+    text += `${t('analysis.resultLine', { coin: result.symbol.replace('USDT', ''), direction: result.direction, confidence: result.confidence })}\n`; 
+    text += `${t('analysis.levelsLine', { entry: fmt(result.entry), sl: fmt(result.sl), tp: fmt(result.tp) })}\n\n`; 
+  } 
+  
+  const whyButtons = current.items.map(r => ({ text: `❓ ${r.symbol.replace('USDT', '')}`, callback_data: `why:${r.analysisId}` })); 
+  const labels = { prev: t('common.prev'), next: t('common.next') }; 
+  return { 
+    text, 
+    options: { 
+      parse_mode: 'HTML', 
+      reply_markup: { inline_keyboard: [...chunk(whyButtons, 5), ...pageRow('all', current.page, current.pages, labels)] } 
+    } 
+  }; 
+}
+
+function handleResultsPage(ctx, [page]) {
+  if (!coinAnalysisResults.has(ctx.chatId)) return ctx.edit(ctx.t('analysis.resultsExpired')); 
+  const view = buildCoinResultsPage(ctx, parseInt(page) || 0); 
+  return ctx.edit(view.text, view.options); 
+}
 
 // Function to analyze all coins (admin only)
-async function analyzeAllCoins(chatId) {
-  const processingMsg = await bot.sendMessage(chatId, 
-    `⏳ Analyzing all ${TARGET_COINS.length} coins...\n📊 This may take 3-5 minutes`
-  );
+async function analyzeAllCoins(ctx) {
+  const { chatId, t } = ctx;
+  const analyzingText = t('analysis.analyzingAll', { count: TARGET_COINS.length });
+  const processingMsg = await bot.sendMessage(chatId, `${analyzingText}\n${t('analysis.allDuration')}`);
 
-  let signalsFound = 0; 
   let analysisResults = []; 
   
   try { 
@@ -568,7 +1119,7 @@ async function analyzeAllCoins(chatId) {
       if (i % 5 === 0) { 
         const progress = Math.round((i / TARGET_COINS.length) * 100); 
         bot.editMessageText( 
-          `⏳ Analyzing all ${TARGET_COINS.length} coins...\n📊 Progress: ${progress}% (${i}/${TARGET_COINS.length})`, 
+          `${analyzingText}\n${t('analysis.progress', { percent: progress, done: i, total: TARGET_COINS.length })}`, 
           { chat_id: chatId, message_id: processingMsg.message_id } 
         ); 
       } 
@@ -578,8 +1129,7 @@ async function analyzeAllCoins(chatId) {
       try { 
         const result = await analyzeSymbol(coin); 
         if (result && result.direction !== 'NEUTRAL' && result.direction !== 'NO_TRADE' && result.confidence >= 60) { 
-          signalsFound++; 
-          analysisResults.push(result); 
+          analysisResults.push({ ...result, analysisId: signalExplainer.saveAnalysis(result) }); 
         } 
       } catch (error) { 
         console.error(`Error analyzing ${coin}:`, error.message); 
@@ -589,45 +1139,25 @@ async function analyzeAllCoins(chatId) {
     bot.deleteMessage(chatId, processingMsg.message_id); 
     
     if (analysisResults.length > 0) { 
-      let response = `🔍 <b>COMPLETE COIN ANALYSIS RESULTS</b>\n` + 
-        `📈 Found: <b>${signalsFound}</b> signals\n\n`; 
-      
-      // Show top 5 best signals
-      const bestSignals = analysisResults 
-        .sort((a, b) => b.confidence - a.confidence) 
-        .slice(0, 5); 
-      
-      for (const result of bestSignals) { 
-        response += `🎯 <b>${result.symbol.replace('USDT', '')}</b> - ${result.direction} (${result.confidence}%)\n`; 
-        response += `📍 Entry: ${result.entry} | SL: ${result.sl} | TP: ${result.tp}\n\n`; 
-      } 
-      
-      if (signalsFound > 5) { 
-        response += `... and ${signalsFound - 5} more signals`; 
-      } 
-      
-      bot.sendMessage(chatId, response, { parse_mode: 'HTML' }); 
+      // Best signals first, paged with inline buttons
+      analysisResults.sort((a, b) => b.confidence - a.confidence); 
+      coinAnalysisResults.set(chatId, { results: analysisResults, analyzed: TARGET_COINS.length }); 
+      const view = buildCoinResultsPage(ctx); 
+      bot.sendMessage(chatId, view.text, view.options); 
     } else { 
-      bot.sendMessage(chatId, '❌ No signals found in 10 coins (Confidence ≥ 60%).'); 
+      bot.sendMessage(chatId, t('analysis.noSignals', { coins: TARGET_COINS.length })); 
     } 
   } catch (error) { 
     bot.editMessageText( 
-      `❌ Error analyzing all coins: ${error.message}`, 
+      t('analysis.errorAll', { error: error.message }), 
       { chat_id: chatId, message_id: processingMsg.message_id } 
     ); 
   } 
 }
 
 // /users command to view active users (admin only)
-bot.onText(/\/users/, (msg) => {
-  const chatId = msg.chat.id;
-  const userData = subscribedUsers.get(chatId);
-
-  if (!userData || !userData.isAdmin) { 
-    return bot.sendMessage(chatId, '❌ You do not have permission to use this command'); 
-  } 
-  
-  let userList = `📊 <b>ACTIVATED USERS LIST</b> (${subscribedUsers.size} users)\n\n`; 
+function handleUsers({ chatId, t }) {
+  let userList = `${t('users.title', { count: subscribedUsers.size })}\n\n`; 
   
   subscribedUsers.forEach((userData, id) => { 
     const user = userData.userInfo; 
@@ -635,14 +1165,469 @@ bot.onText(/\/users/, (msg) => {
   }); 
   
   bot.sendMessage(chatId, userList, { parse_mode: 'HTML' }); 
-});
+}
+
+// /performance [7|30|90] - resolved signal statistics
+function handlePerformance({ chatId, locale, t }, args) {
+  const days = args[0] ? parseInt(args[0]) : 30; 
+  if (!PERFORMANCE_PERIODS.includes(days)) { 
+    return bot.sendMessage(chatId, t('performance.invalidPeriod', { periods: PERFORMANCE_PERIODS.join(', ') })); 
+  } 
+  
+  const signals = storage.listSignals(); 
+  const overview = summarizeAllPeriods(signals); 
+  const detail = summarizePerformance(signals, days); 
+  const fmtR = (r) => i18n.formatSigned(locale, r) + 'R'; 
+  
+  let text = `${t('performance.title')}\n\n`; 
+  for (const period of overview) { 
+    text += `${t('performance.period', { days: period.days, winRate: i18n.formatFixed(locale, period.winRate, 1), avgR: fmtR(period.avgR), count: period.total })}\n`; 
+  } 
+  
+  text += `\n${t('performance.detail', { days, wins: detail.wins, losses: detail.losses, expired: detail.expired })}\n`; 
+  
+  if (detail.total === 0) { 
+    text += `\n${t('performance.noResolved')}`; 
+    return bot.sendMessage(chatId, text, { parse_mode: 'HTML' }); 
+  } 
+  
+  const fmtCoin = (c) => `${c.symbol.replace('USDT', '')} ${fmtR(c.totalR)} (${c.wins}/${c.trades})`; 
+  if (detail.bestCoins.length > 0) { 
+    text += `${t('performance.best', { coins: detail.bestCoins.map(fmtCoin).join(', ') })}\n`; 
+  } 
+  if (detail.worstCoins.length > 0) { 
+    text += `${t('performance.worst', { coins: detail.worstCoins.map(fmtCoin).join(', ') })}\n`; 
+  } 
+  
+  const detectors = Object.entries(detail.detectors).sort(([, a], [, b]) => b.winRate - a.winRate); 
+  if (detectors.length > 0) { 
+    text += `\n${t('performance.detectorsTitle')}\n`; 
+    for (const [name, stat] of detectors) { 
+      text += `${t('performance.detector', { name, wins: stat.wins, losses: stat.losses, winRate: i18n.formatFixed(locale, stat.winRate, 0) })}\n`; 
+    } 
+  } 
+  
+  bot.sendMessage(chatId, text, { parse_mode: 'HTML' }); 
+}
+
+// /settings [balance|risk|leverage|quote <value> | reset] - personal risk profile
+function handleSettings({ chatId, t }, args) {
+  const [rawField, value] = args; 
+  const field = rawField ? rawField.toLowerCase() : null; 
+  const describeField = (key) => t(`settings.fields.${key}`, { currencies: QUOTE_CURRENCIES.join(', ') }); 
+  let settings = userSettings.get(chatId); 
+  let header = t('settings.title'); 
+  
+  if (field === 'reset') { 
+    settings = userSettings.reset(chatId); 
+    header = t('settings.reset'); 
+  } else if (field) { 
+    if (!SETTING_FIELDS[field]) { 
+      return bot.sendMessage(chatId, t('settings.unknownField', { field, fields: Object.keys(SETTING_FIELDS).join(', ') })); 
+    } 
+    if (!value) { 
+      return bot.sendMessage(chatId, t('settings.missingValue', { field, description: describeField(field) }), { parse_mode: 'HTML' }); 
+    } 
+    const result = userSettings.update(chatId, field, value); 
+    if (result.error) { 
+      return bot.sendMessage(chatId, t(result.error, { field, description: describeField(field) })); 
+    } 
+    settings = result.settings; 
+    header = t('settings.updated'); 
+  } 
+  
+  const text = `${header}\n\n` + 
+    `${t('settings.balance', { balance: settings.balance, quote: settings.quoteCurrency })}\n` + 
+    `${t('settings.risk', { risk: settings.riskPercent })}\n` + 
+    `${t('settings.leverage', { leverage: settings.leverage })}\n` + 
+    `${t('settings.quote', { quote: settings.quoteCurrency })}\n\n` + 
+    `${t('settings.hint')}\n` + 
+    Object.keys(SETTING_FIELDS).map(key => `<code>/settings ${key} ...</code> - ${describeField(key)}`).join('\n') + 
+    `\n${t('settings.resetHint')}`; 
+  
+  bot.sendMessage(chatId, text, { parse_mode: 'HTML' }); 
+}
+
+// Inline-keyboard menu for subscription filters; `view` is main, coins, dir, conf or quiet
+function buildSubscriptionMenu(chatId, t, view = 'main') {
+  const filters = subscriptionFilters.get(chatId); 
+  const back = [{ text: t('common.back'), callback_data: 'sub:menu' }]; 
+  const mark = (selected, label) => `${selected ? '✅' : '▫️'} ${label}`; 
+  let keyboard; 
+  
+  if (view === 'coins') { 
+    keyboard = coinPicker(TARGET_COINS, 'sub:coin', { 
+      selected: filters.coins, 
+      extraRows: [[{ text: t('subscriptions.buttons.selectAll'), callback_data: 'sub:coins:all' }, { text: t('subscriptions.buttons.clear'), callback_data: 'sub:coins:none' }], back] 
+    }); 
+  } else if (view === 'dir') { 
+    keyboard = [ 
+      [ 
+        { text: mark(filters.direction === 'BOTH', t('subscriptions.buttons.both')), callback_data: 'sub:dir:BOTH' }, 
+        { text: mark(filters.direction === 'LONG', t('subscriptions.buttons.longOnly')), callback_data: 'sub:dir:LONG' }, 
+        { text: mark(filters.direction === 'SHORT', t('subscriptions.buttons.shortOnly')), callback_data: 'sub:dir:SHORT' } 
+      ], 
+      back 
+    ]; 
+  } else if (view === 'conf') { 
+    keyboard = [ 
+      [0, 60, 70, 80, 90].map(value => ({ 
+        text: mark((filters.minConfidence || 0) === value, value === 0 ? t('subscriptions.buttons.default') : `${value}%`), 
+        callback_data: `sub:conf:${value}` 
+      })), 
+      back 
+    ]; 
+  } else if (view === 'quiet') { 
+    const presets = [[22, 6], [23, 7], [0, 8], [12, 14]]; 
+    const isPreset = ([start, end]) => filters.quietHours && filters.quietHours.start === start && filters.quietHours.end === end; 
+    keyboard = [ 
+      [{ text: mark(!filters.quietHours, t('subscriptions.buttons.off')), callback_data: 'sub:quiet:off' }], 
+      presets.map(preset => ({ text: mark(isPreset(preset), `${preset[0]}h-${preset[1]}h`), callback_data: `sub:quiet:${preset[0]}-${preset[1]}` })), 
+      back 
+    ]; 
+  } else { 
+    keyboard = [ 
+      [{ text: t('subscriptions.buttons.coins'), callback_data: 'sub:view:coins' }, { text: t('subscriptions.buttons.direction'), callback_data: 'sub:view:dir' }], 
+      [{ text: t('subscriptions.buttons.confidence'), callback_data: 'sub:view:conf' }, { text: t('subscriptions.buttons.quiet'), callback_data: 'sub:view:quiet' }], 
+      [{ text: t('subscriptions.buttons.reset'), callback_data: 'sub:reset' }] 
+    ]; 
+  } 
+  
+  return { 
+    text: `${t('subscriptions.title')}\n\n${subscriptionFilters.describe(filters, t)}\n\n${t('subscriptions.quietNote')}`, 
+    options: { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } } 
+  }; 
+}
+
+// /subscriptions - choose which auto signals to receive
+function handleSubscriptions({ chatId, t }) {
+  const menu = buildSubscriptionMenu(chatId, t); 
+  bot.sendMessage(chatId, menu.text, menu.options); 
+}
+
+// /explain <id> - detector breakdown behind a signal
+function handleExplain({ chatId, t }, [id]) {
+  if (!id) { 
+    return bot.sendMessage(chatId, t('explain.usage'), { parse_mode: 'HTML' }); 
+  } 
+  
+  const record = signalExplainer.get(id); 
+  if (!record || !record.explain) { 
+    return bot.sendMessage(chatId, t('explain.notFound', { id })); 
+  } 
+  bot.sendMessage(chatId, signalExplainer.format(record, t), { parse_mode: 'HTML' }); 
+}
+
+// "Why?" button under signals
+function handleWhyButton({ chatId, messageId, answer, t }, [id]) {
+  const record = signalExplainer.get(id); 
+  if (!record || !record.explain) { 
+    return answer(t('explain.notFound', { id })); 
+  } 
+  bot.sendMessage(chatId, signalExplainer.format(record, t), { parse_mode: 'HTML', reply_to_message_id: messageId }); 
+}
+
+// Subscription menu buttons
+async function handleSubscriptionButton({ chatId, edit, t }, [action, value]) {
+  let view = 'main'; 
+  if (action === 'view') { 
+    view = value; 
+  } else if (action === 'coin') { 
+    subscriptionFilters.toggleCoin(chatId, value); 
+    view = 'coins'; 
+  } else if (action === 'coins') { 
+    subscriptionFilters.setAllCoins(chatId, value === 'all'); 
+    view = 'coins'; 
+  } else if (action === 'dir') { 
+    subscriptionFilters.setDirection(chatId, value); 
+    view = 'dir'; 
+  } else if (action === 'conf') { 
+    subscriptionFilters.setMinConfidence(chatId, parseInt(value)); 
+    view = 'conf'; 
+  } else if (action === 'quiet') { 
+    const [start, end] = value === 'off' ? [] : value.split('-').map(h => parseInt(h)); 
+    subscriptionFilters.setQuietHours(chatId, start, end); 
+    view = 'quiet'; 
+  } else if (action === 'reset') { 
+    subscriptionFilters.reset(chatId); 
+  } 
+  
+  const menu = buildSubscriptionMenu(chatId, t, view); 
+  await edit(menu.text, menu.options); 
+}
+
+// /portfolio - paper trading balance, equity and open positions
+async function handlePortfolio({ chatId, locale, t }) {
+  const summary = await paperAccount.getSummary(); 
+  const usd = (v) => i18n.formatFixed(locale, v, 2); 
+  const fmtUsd = (v) => (v >= 0 ? '+' : '-') + '$' + usd(Math.abs(v)); 
+  const fmt4 = (v) => i18n.formatFixed(locale, v, 4); 
+  
+  let text = `${t('portfolio.title')}${summary.enabled ? '' : t('portfolio.disabled')}\n\n`; 
+  text += `${t('portfolio.balance', { balance: usd(summary.balance) })}\n`; 
+  text += `${t('portfolio.equity', { equity: usd(summary.equity), returnPercent: i18n.formatSigned(locale, summary.returnPercent) })}\n`; 
+  text += `${t('portfolio.pnl', { realized: fmtUsd(summary.realizedPnl), unrealized: fmtUsd(summary.unrealizedPnl) })}\n`; 
+  text += `${t('portfolio.fees', { fees: usd(summary.feesPaid) })}\n`; 
+  text += `${t('portfolio.exposure', { exposure: usd(summary.exposure), percent: Math.round(summary.exposurePercent) })}\n`; 
+  
+  text += `\n${t('portfolio.openTitle', { count: summary.openPositions.length })}\n`; 
+  if (summary.openPositions.length === 0) { 
+    text += t('portfolio.noOpen'); 
+  } 
+  for (const p of summary.openPositions) { 
+    text += `• #${p.id} ${p.symbol.replace('USDT', '')} ${p.direction} ${fmt4(p.size)} @ ${fmt4(p.entry)} → ${fmt4(p.currentPrice)} (${fmtUsd(p.unrealizedPnl)})\n`; 
+  } 
+  
+  bot.sendMessage(chatId, text, { parse_mode: 'HTML' }); 
+}
+
+// /equity - paper trading equity curve and trade statistics
+async function handleEquity({ chatId, locale, t }) {
+  const summary = await paperAccount.getSummary(); 
+  const curve = paperAccount.getEquityCurve().slice(-30).map(p => p.equity); 
+  const min = Math.min(...curve); 
+  const max = Math.max(...curve); 
+  const bars = '▁▂▃▄▅▆▇█'; 
+  const sparkline = curve.map(v => bars[max > min ? Math.round((v - min) / (max - min) * (bars.length - 1)) : 0]).join(''); 
+  
+  const usd = (v) => i18n.formatFixed(locale, v, 2); 
+  
+  let text = `${t('equity.title')}\n\n`; 
+  text += `<code>${sparkline}</code>\n`; 
+  text += `${t('equity.change', { start: usd(summary.initialBalance), equity: usd(summary.equity), returnPercent: i18n.formatSigned(locale, summary.returnPercent) })}\n`; 
+  text += `${t('equity.drawdown', { drawdown: usd(summary.maxDrawdownPercent) })}\n`; 
+  text += t('equity.trades', { count: summary.trades, wins: summary.wins, losses: summary.losses, winRate: i18n.formatFixed(locale, summary.winRate, 1) }); 
+  
+  bot.sendMessage(chatId, text, { parse_mode: 'HTML' }); 
+}
+
+// Periodic detector weight recalibration (applied only when ADAPTIVE_WEIGHTS=on)
+function recalibrateDetectorWeights() {
+  if (adaptiveWeights.config.mode === 'off') return null;
+
+  const report = adaptiveWeights.recalibrate(storage.listSignals());
+  if (adaptiveWeights.config.mode === 'on') {
+    storage.set('adaptiveWeights', adaptiveWeights.apply(report));
+    console.log(`⚖️ Applied adaptive weights (${report.entries.length} entries)`);
+  } else {
+    console.log(`⚖️ Adaptive weights dry run: ${report.entries.length} entries (not applied)`);
+  }
+  return report;
+}
+
+// /weights [apply] - adaptive weight report (admin only)
+function handleWeights({ chatId, locale, t }, [mode]) {
+  const report = adaptiveWeights.recalibrate(storage.listSignals()); 
+  
+  if (mode === 'apply') { 
+    storage.set('adaptiveWeights', adaptiveWeights.apply(report)); 
+    const note = adaptiveWeights.config.mode === 'on' ? '' : `\n${t('weights.modeNote', { mode: adaptiveWeights.config.mode })}`; 
+    return bot.sendMessage(chatId, `${t('weights.applied', { count: report.entries.length })}${note}`); 
+  } 
+  
+  const weight = (v) => i18n.formatFixed(locale, v, 2); 
+  let text = `${t('weights.title', { mode: report.mode })}\n` + 
+    `${t('weights.baseline', { winRate: i18n.formatFixed(locale, report.baselineWinRate, 1), count: report.resolvedSignals })}\n\n`; 
+  
+  if (report.entries.length === 0) { 
+    text += t('weights.notEnough'); 
+  } 
+  for (const entry of report.entries.slice(0, 30)) { 
+    const scope = entry.symbol === '*' ? t('weights.allCoins') : `${entry.symbol.replace('USDT', '')} ${entry.timeframe}`; 
+    text += `${t('weights.entry', { 
+      detector: entry.detector, 
+      scope, 
+      oldWeight: weight(entry.oldWeight), 
+      newWeight: weight(entry.newWeight), 
+      hitRate: i18n.formatFixed(locale, entry.hitRate, 0), 
+      samples: entry.samples 
+    })}\n`; 
+  } 
+  if (report.entries.length > 30) { 
+    text += `${t('weights.more', { count: report.entries.length - 30 })}\n`; 
+  } 
+  text += `\n${t('weights.applyHint')}`; 
+  
+  bot.sendMessage(chatId, text, { parse_mode: 'HTML' }); 
+}
+
+// /killswitch [on|off|flatten] - live execution status and kill switch (admin only)
+async function handleKillSwitch({ chatId, locale, t }, [mode]) {
+  if (mode === 'on' || mode === 'flatten') { 
+    pendingExecutions.clear(); 
+    const closed = await executionService.killSwitch({ flatten: mode === 'flatten' }); 
+    const note = mode === 'flatten' ? `\n${t('execution.flattened', { count: closed.length })}` : ''; 
+    return bot.sendMessage(chatId, `${t('execution.killOn')}${note}`); 
+  } 
+  if (mode === 'off') { 
+    executionService.setHalted(false); 
+    return bot.sendMessage(chatId, t('execution.killOff')); 
+  } 
+  
+  const status = executionService.getStatus(); 
+  let text = `${t('execution.title')}\n\n`; 
+  text += `${t('execution.enabled', { enabled: `${status.enabled ? '✅' : '❌'}${status.sandbox ? t('execution.sandbox') : ''}` })}\n`; 
+  text += `${t('execution.killSwitch', { state: t(status.halted ? 'execution.killSwitchOn' : 'execution.killSwitchOff') })}\n`; 
+  text += `${t('execution.dailyPnl', { pnl: i18n.formatFixed(locale, status.dailyPnl, 2), maxLoss: status.maxDailyLoss })}\n`; 
+  text += `${t('execution.openPositions', { count: status.openPositions.length, max: status.maxOpenPositions, exposure: status.maxSymbolExposure })}\n`; 
+  for (const p of status.openPositions) { 
+    text += `${p.status === 'UNPROTECTED' ? '⚠️' : '•'} #${p.signalId} ${p.marketSymbol} ${p.direction} ${p.amount} @ ${i18n.formatPrice(locale, p.entryPrice)}\n`; 
+  } 
+  text += `\n${t('execution.usage')}`; 
+  
+  bot.sendMessage(chatId, text, { parse_mode: 'HTML' }); 
+}
+
+// Execution problems that need a human, e.g. a position left open without a stop
+async function alertExecutionAdmins({ position, error }) {
+  for (const [chatId, userData] of subscribedUsers) { 
+    if (!userData.isAdmin) continue; 
+    const locale = localeOf(chatId); 
+    const text = i18n.t(locale, 'execution.unprotected', { 
+      id: position.signalId, 
+      direction: position.direction, 
+      amount: String(position.amount), 
+      market: position.marketSymbol, 
+      error 
+    }); 
+    try { 
+      await bot.sendMessage(chatId, text, { parse_mode: 'HTML' }); 
+    } catch (err) { 
+      console.log(`❌ Failed to send execution alert to ${chatId}:`, err.message); 
+    } 
+  } 
+}
+
+// Confirm / skip buttons on live execution requests (admin only)
+async function handleExecutionButton({ from, edit, answer, locale, t }, [action, signalId]) {
+  const finish = (text) => edit(text); 
+  answer(); 
+  
+  const requestedAt = pendingExecutions.get(signalId); 
+  const signal = storage.getSignal(signalId); 
+  if (action === 'skip') { 
+    pendingExecutions.delete(signalId); 
+    return finish(t('execution.skipped', { id: signalId, name: from.first_name || from.id })); 
+  } 
+  
+  if (!requestedAt || !signal || !executionService.isConfirmationValid(signal, requestedAt)) { 
+    pendingExecutions.delete(signalId); 
+    return finish(t('execution.expired', { id: signalId })); 
+  } 
+  
+  // Remove first so a second admin's click cannot execute twice
+  pendingExecutions.delete(signalId); 
+  try { 
+    const position = await executionService.execute(signal); 
+    const fmt = (num) => i18n.formatPrice(locale, num); 
+    finish(t('execution.executed', { 
+      id: signalId, 
+      direction: position.direction, 
+      amount: String(position.amount), 
+      market: position.marketSymbol, 
+      price: fmt(position.entryPrice), 
+      sl: fmt(position.sl), 
+      tp: fmt(position.tp) 
+    })); 
+  } catch (error) { 
+    console.error(`❌ Live execution failed for #${signalId}:`, error.message); 
+    finish(t('execution.failed', { id: signalId, error: error.message })); 
+  } 
+}
+
+// --- ROUTES ---
+// Command descriptions are catalog keys, translated by /help
+router 
+  .command('start', { permission: 'public', handler: handleStart }) 
+  .command('key', { permission: 'public', handler: handleKey }) 
+  .command('help', { permission: 'public', description: 'commands.help', handler: handleHelp }) 
+  .command('language', { permission: 'public', description: 'commands.language', handler: handleLanguage }) 
+  .command('signal', { description: 'commands.signal', handler: handleSignal }) 
+  .command('analyzesymbol', { description: 'commands.analyzesymbol', handler: handleAnalyzeSymbol }) 
+  .command('explain', { description: 'commands.explain', handler: handleExplain }) 
+  .command('performance', { description: 'commands.performance', handler: handlePerformance }) 
+  .command('settings', { description: 'commands.settings', handler: handleSettings }) 
+  .command('subscriptions', { description: 'commands.subscriptions', handler: handleSubscriptions }) 
+  .command('portfolio', { description: 'commands.portfolio', handler: handlePortfolio }) 
+  .command('equity', { description: 'commands.equity', handler: handleEquity }) 
+  .command('createkey', { permission: 'admin', description: 'commands.createkey', handler: handleCreateKey }) 
+  .command('users', { permission: 'admin', description: 'commands.users', handler: handleUsers }) 
+  .command('weights', { permission: 'admin', description: 'commands.weights', handler: handleWeights }) 
+  .command('killswitch', { permission: 'admin', description: 'commands.killswitch', handler: handleKillSwitch }) 
+  .action('lang', { permission: 'public', handler: handleLanguageButton }) 
+  .action('why', { handler: handleWhyButton }) 
+  .action('sub', { handler: handleSubscriptionButton }) 
+  .action('msig', { handler: handleManualSignalButton }) 
+  .action('an', { handler: handleAnalyzeButton }) 
+  .action('all', { permission: 'admin', handler: handleResultsPage }) 
+  .action('key', { permission: 'admin', handler: handleKeyButton }) 
+  .action('exec', { permission: 'admin', handler: handleExecutionButton }); 
+
+// Reply-keyboard labels are registered in every language so old keyboards keep working
+for (const locale of i18n.locales) {
+  const label = (key) => i18n.t(locale, `buttons.${key}`); 
+  router 
+    .button(label('broadcast'), { handler: (ctx) => handleSignal(ctx, []) }) 
+    .button(label('analyze'), { handler: (ctx) => handleAnalyzeSymbol(ctx, []) }) 
+    .button(label('subscriptions'), { handler: handleSubscriptions }) 
+    .button(label('status'), { permission: 'admin', handler: handleBotStatus }) 
+    .button(label('generateKey'), { permission: 'admin', handler: (ctx) => handleCreateKey(ctx, []) }) 
+    .button(label('analyzeAll'), { permission: 'admin', handler: (ctx) => analyzeAllCoins(ctx) }); 
+}
+router.attach();
+
+// --- ADMIN DASHBOARD ---
+
+// Remove a subscriber; admins are re-granted on /start, so they cannot be revoked
+function revokeSubscriber(chatId) {
+  const id = [...subscribedUsers.keys()].find(key => String(key) === String(chatId)); 
+  const userData = subscribedUsers.get(id); 
+  if (!userData || userData.isAdmin) return false; 
+  
+  subscribedUsers.delete(id); 
+  console.log(`🚫 User revoked: ${userData.userInfo.username || userData.userInfo.first_name} (chat ${id})`); 
+  return true; 
+}
+
+const dashboard = new AdminDashboard({ 
+  storage, 
+  subscribedUsers, 
+  activationKeys, 
+  keyTypes: KEY_TYPES, 
+  createKey: issueActivationKey, 
+  revokeUser: revokeSubscriber, 
+  isScanRunning: () => isAutoAnalysisRunning, 
+  startScan: () => { 
+    if (isAutoAnalysisRunning) return false; 
+    runAutoAnalysis({ force: true }); 
+    return true; 
+  } 
+}); 
+
+if (dashboard.isEnabled()) {
+  app.use('/admin', dashboard.router());
+  console.log(`🖥️ Admin dashboard enabled at /admin (user: ${dashboard.config.user})`);
+} else {
+  console.log('🖥️ Admin dashboard disabled (set DASHBOARD_PASSWORD to enable)');
+}
 
 // --- SCHEDULED INTERVALS ---
 const ANALYSIS_INTERVAL = process.env.SCAN_INTERVAL_MS || 2 * 60 * 60 * 1000; // 2 hours default
 
 // Set up intervals
-setInterval(runAutoAnalysis, ANALYSIS_INTERVAL);
+if (SCAN_MODE === 'interval') {
+  setInterval(runAutoAnalysis, ANALYSIS_INTERVAL);
+} else {
+  candleScheduler.start();
+}
 setInterval(checkDailyGreeting, 60 * 1000); // Check for daily greeting every minute
+signalTracker.start();
+setInterval(recalibrateDetectorWeights, parseInt(process.env.ADAPTIVE_WEIGHTS_INTERVAL_MS) || 6 * 60 * 60 * 1000);
+if (executionService.isEnabled()) { 
+  // Book bracket fills and positions closed on the exchange side
+  setInterval(() => executionService.reconcile() 
+    .catch(err => console.error('❌ Live position reconciliation failed:', err.message)), executionService.config.reconcileIntervalMs); 
+}
 
 // Initial analysis after startup
 setTimeout(() => { 
@@ -651,7 +1636,9 @@ setTimeout(() => {
 }, 15000);
 
 console.log('🤖 AI Trading Bot V3 is running with ensemble detection...');
-console.log(`⏰ Auto analysis every ${ANALYSIS_INTERVAL / 1000 / 60} minutes (04:00 - 23:30)`);
+console.log(SCAN_MODE === 'interval' 
+  ? `⏰ Auto analysis every ${ANALYSIS_INTERVAL / 1000 / 60} minutes (04:00 - 23:30)` 
+  : `⏰ Auto analysis on ${candleScheduler.config.timeframes.join('/')} candle close (04:00 - 23:30)`);
 console.log(`🎯 Min confidence: ${process.env.MIN_CONFIDENCE || 60}% | Target coins: ${TARGET_COINS.length}`);
 console.log(`👑 Admin IDs: ${ADMIN_IDS.join(', ')}`);
 console.log(`💰 Account balance: $${process.env.ACCOUNT_BALANCE || 1000}`);
@@ -0,0 +1,341 @@
+/**
+ * English message catalog (fallback for missing keys in other locales)
+ */
+
+module.exports = {
+  common: {
+    na: 'N/A',
+    activateFirst: 'Please activate the bot first using /key!',
+    noPermission: '❌ You do not have permission to use this command',
+    error: '❌ Something went wrong, please try again.',
+    unknownCommand: '❓ Unknown command /{name} - see /help',
+    back: '« Back',
+    cancel: '✖️ Cancel',
+    prev: '« Prev',
+    next: 'Next »'
+  },
+
+  router: {
+    deniedUser: '🔐 Please activate the bot first using /key <activation_code>!',
+    deniedAdmin: '❌ You do not have permission to use this command',
+    deniedUserShort: 'Please activate the bot first using /key!',
+    deniedAdminShort: '❌ Admins only'
+  },
+
+  buttons: {
+    broadcast: '📤 Broadcast Signal',
+    analyze: '🔍 Analyze Symbol',
+    status: '📊 Bot Status',
+    generateKey: '🔑 Generate Key',
+    analyzeAll: '🔎 Analyze All Coins',
+    subscriptions: '🔔 Subscriptions',
+    why: '❓ Why?'
+  },
+
+  commands: {
+    title: '📖 <b>COMMANDS</b>',
+    help: 'Show available commands',
+    language: 'Change the bot language',
+    signal: 'Broadcast a manual signal (preview + confirm)',
+    analyzesymbol: 'Analyze a coin, e.g. /analyzesymbol BTC',
+    explain: 'Detector breakdown of a signal ID',
+    performance: 'Signal win rates (7, 30 or 90 days)',
+    settings: 'Your balance, risk, leverage and quote currency',
+    subscriptions: 'Choose which auto signals you receive',
+    portfolio: 'Paper trading balance and open positions',
+    equity: 'Paper trading equity curve',
+    createkey: 'Generate an activation key',
+    users: 'List activated users',
+    weights: 'Adaptive detector weights',
+    killswitch: 'Live execution status and kill switch'
+  },
+
+  language: {
+    choose: '🌐 Choose your language:',
+    changed: '✅ Language set to English',
+    invalid: '❌ Unsupported language. Available: {languages}',
+    names: { en: 'English', vi: 'Tiếng Việt' }
+  },
+
+  start: {
+    welcomeAdmin: '👋 Welcome Admin {name}!\n🧠 AI TRADING BOT V3 - ENSEMBLE EDITION\n\nYou have been automatically granted admin privileges!',
+    welcomeUser: '👋 Welcome {name}!\n🧠 AI TRADING BOT V3 - ENSEMBLE EDITION\n\n🔐 You need an activation key to access all features.\n\n📝 Use command: /key <activation_code>',
+    trader: 'Trader'
+  },
+
+  key: {
+    usage: '📝 Usage: /key <activation_code>',
+    notFound: '❌ Activation key does not exist!',
+    used: '❌ Activation key has already been used!',
+    expired: '❌ Activation key has expired!',
+    activated: '✅ Activation successful! Welcome to AI Trading Bot V3.',
+    choose: '🔑 Choose the key duration:',
+    invalidType: '❌ Invalid key type! Valid types: {types}',
+    created: '✅ Key created successfully!\n\n🔑 Key: <code>{key}</code>\n⏰ Type: {type}\n📅 Expires: {expires}\n\nSend this key to users for activation: /key {key}',
+    permanent: 'Permanent'
+  },
+
+  status: {
+    title: '🤖 <b>BOT STATUS</b>',
+    users: '👥 Active users: <b>{count}</b>',
+    signals: '📈 Signals today: <b>{count}</b>',
+    hours: '⏰ Operating hours: <b>04:00 - 23:30</b>',
+    scanInterval: '🔄 Scan mode: <b>every {minutes} min</b>',
+    scanCandle: '🔄 Scan mode: <b>on {timeframes} candle close</b>',
+    minConfidence: '🎯 Min confidence: <b>{confidence}%</b>',
+    balance: '💰 Account balance: <b>${balance}</b>'
+  },
+
+  greeting: {
+    morning: '🌞 Good morning traders! AI Trading Bot V3 is ready to find opportunities. Wishing you big wins today! 🚀'
+  },
+
+  signal: {
+    header: '🤖 AI Trading Signal [{index} today]',
+    entry: 'Entry: {price}',
+    target: '🎯 TP{n}: {price} ({rr}R)',
+    takeProfit: '🎯 Take Profit: {price}',
+    stopLoss: '🛑 Stop-Loss: {price}{basis}',
+    stopBasis: {
+      swing_low: 'below swing low',
+      swing_high: 'above swing high',
+      vwap: 'beyond VWAP',
+      atr: 'ATR-based'
+    },
+    riskReward: '📊 Risk/Reward: {rr} (Confidence: {confidence}%)',
+    riskRewardCalibrated: '📊 Risk/Reward: {rr} (Win probability: {confidence}%, calibrated)',
+    risk: '⚖️ Risk: {percent}% of account',
+    riskReduced: '↘️ Risk reduced from {from}% to {to}%: {details}',
+    riskAdjustments: {
+      correlation: 'correlated with open {direction} {symbols}',
+      directionCap: '{direction} risk {used}% of {max}% used',
+      totalCap: 'total open risk {used}% of {max}% used'
+    },
+    regime: '🌐 Regime: {regime} (ADX {adx}, ATR percentile {percentile})',
+    regimes: {
+      TREND: 'Trending',
+      RANGE: 'Ranging',
+      HIGH_VOL: 'High volatility',
+      LOW_LIQUIDITY: 'Low liquidity'
+    },
+    trend: '📐 Trend: {trend}',
+    trailing: '🔁 Trailing: after TP1 move SL to {stop}, then trail {distance} behind price',
+    id: '🆔 Signal ID: {id} – tap "Why?" or /explain {id}',
+    footer: '🧠 AI Ensemble Analysis \n\n⚠️ RISK MANAGEMENT REQUIRED – Max 2-3% risk per trade\n💡 Use proper position sizing\n🔒 Always use stop losses'
+  },
+
+  sizing: {
+    header: '💼 Your position ({balance} {quote} balance, {risk}% risk)',
+    size: '📦 Size: {size} {coin} (~{notional} {quote}{leverage})',
+    leverage: ', margin {margin} {quote} at {leverage}x',
+    maxLoss: '💸 Max loss: {maxLoss} {quote}',
+    marginWarning: '⚠️ Margin exceeds your balance - raise leverage or reduce size'
+  },
+
+  outcome: {
+    TP: '✅ TAKE PROFIT HIT',
+    SL: '🛑 STOP-LOSS HIT',
+    EXPIRED: '⌛ SIGNAL EXPIRED',
+    prices: '📍 Entry: {entry} → Exit: {exit}',
+    result: '📊 Result: {r}R'
+  },
+
+  manual: {
+    header: '🤖 Manual Signal [{index} today]',
+    entry: '🟢 Entry: {price}',
+    takeProfit: '🎯 Take Profit: {price}',
+    stopLoss: '🛑 Stop-Loss: {price}',
+    riskReward: '📊 Risk/Reward: {rr}',
+    sharedBy: '👤 Shared by {name}',
+    admin: 'Admin',
+    footer: '⚠️ Always practice risk management – Max 1-2% risk\n💡 Manual signal - verify before trading',
+    pickCoin: '📤 <b>Broadcast a signal</b>\n\nPick a coin, or send <code>/signal BTCUSDT LONG 50000 49000 52000</code>',
+    pickCoinShort: '📤 Broadcast a signal - pick a coin:',
+    chooseDirection: '📤 {symbol} - choose the direction:',
+    enterLevels: '📤 {symbol} {direction}\n\n✍️ Reply with ENTRY STOPLOSS TAKEPROFIT, e.g. <code>50000 49000 52000</code>',
+    preview: '👀 <b>PREVIEW</b> - confirm within {minutes} min to broadcast',
+    broadcastButton: '📤 Broadcast',
+    cancelled: '✖️ Manual signal cancelled',
+    expired: '⌛ This preview expired - create the signal again',
+    broadcasting: '⏳ Broadcasting {symbol} {direction}...',
+    sent: { one: '✅ Signal sent to {count} user!', other: '✅ Signal sent to {count} users!' },
+    failed: { one: '❌ {count} failed delivery', other: '❌ {count} failed deliveries' },
+    invalidFormat: '❌ <b>Invalid format!</b> {error}\n\n✅ <b>Correct format:</b> <code>/signal SYMBOL LONG/SHORT ENTRY STOPLOSS TAKEPROFIT</code>\n\n📝 <b>Example:</b> <code>/signal BTCUSDT LONG 50000 49000 52000</code>',
+    retry: '❌ {error}. Tap the coin again to retry.',
+    errors: {
+      format: 'Expected SYMBOL LONG/SHORT ENTRY STOPLOSS TAKEPROFIT',
+      direction: 'Direction must be LONG or SHORT',
+      numbers: 'Entry, SL, TP must be numbers'
+    }
+  },
+
+  analysis: {
+    pickCoin: '🔍 Pick a coin to analyze:',
+    allCoinsButton: '🔎 All coins',
+    analyzing: '⏳ Analyzing {symbol}...\n📊 Loading multi-timeframe analysis',
+    analyzingShort: '⏳ Analyzing {symbol}...',
+    adviceLow: '⚠️ <b>Warning:</b> Low Confidence Score (<60%), high risk - DO NOT TRADE',
+    adviceHigh: '✅ <b>High Confidence</b> - Consider trading with proper risk management',
+    adviceMedium: '🟡 <b>Medium Confidence</b> - Trade with caution and proper risk management',
+    noSignal: '❌ No trading signal found for {symbol}\n📊 Market: {direction}\n🎯 Confidence: {confidence}%\n💡 Reason: {reason}',
+    noClearSignal: 'No clear signal',
+    error: '❌ Error analyzing {symbol}: {error}',
+    onlyAdmins: '❌ Only admins can analyze all coins!',
+    analyzingAll: { one: '⏳ Analyzing all {count} coin...', other: '⏳ Analyzing all {count} coins...' },
+    allDuration: '📊 This may take 3-5 minutes',
+    progress: '📊 Progress: {percent}% ({done}/{total})',
+    resultsTitle: '🔍 <b>COMPLETE COIN ANALYSIS RESULTS</b>',
+    found: {
+      one: '📈 Found: <b>{count}</b> signal in {coins} coins',
+      other: '📈 Found: <b>{count}</b> signals in {coins} coins'
+    },
+    resultLine: '🎯 <b>{coin}</b> - {direction} ({confidence}%)',
+    levelsLine: '📍 Entry: {entry} | SL: {sl} | TP: {tp}',
+    noSignals: '❌ No signals found in {coins} coins (Confidence ≥ 60%).',
+    errorAll: '❌ Error analyzing all coins: {error}',
+    resultsExpired: '⌛ These results expired - run the analysis again'
+  },
+
+  users: {
+    title: {
+      one: '📊 <b>ACTIVATED USERS LIST</b> ({count} user)',
+      other: '📊 <b>ACTIVATED USERS LIST</b> ({count} users)'
+    }
+  },
+
+  performance: {
+    invalidPeriod: '❌ Period must be one of: {periods} days',
+    title: '📊 <b>SIGNAL PERFORMANCE</b>',
+    period: {
+      one: '📅 {days}d: <b>{winRate}%</b> win rate | {avgR} avg | {count} signal',
+      other: '📅 {days}d: <b>{winRate}%</b> win rate | {avgR} avg | {count} signals'
+    },
+    detail: '🔎 <b>Last {days} days</b> ({wins}W / {losses}L, {expired} expired)',
+    noResolved: 'No resolved signals in this period yet.',
+    best: '🏆 Best: {coins}',
+    worst: '📉 Worst: {coins}',
+    detectorsTitle: '🧠 <b>Detectors in winning vs losing trades</b>',
+    detector: '• {name}: {wins}W / {losses}L ({winRate}%)'
+  },
+
+  settings: {
+    title: '⚙️ <b>YOUR RISK PROFILE</b>',
+    reset: '♻️ <b>Settings reset to defaults</b>',
+    updated: '✅ <b>Settings updated</b>',
+    missingValue: '❌ Missing value. Usage: <code>/settings {field} &lt;{description}&gt;</code>',
+    unknownField: '❌ Unknown setting "{field}". Use one of: {fields}',
+    invalidValue: '❌ Invalid {field}: expected {description}',
+    balance: '💰 Balance: {balance} {quote}',
+    risk: '🎯 Risk per trade: {risk}%',
+    leverage: '📈 Leverage: {leverage}x',
+    quote: '💱 Quote currency: {quote}',
+    hint: 'Signals show position size and max loss for this profile.\nChange with:',
+    resetHint: '<code>/settings reset</code> - back to defaults',
+    fields: {
+      balance: 'account balance, e.g. 5000',
+      risk: 'risk per trade in %, 0.1 - 10',
+      leverage: 'leverage, 1 - 125',
+      quote: 'quote currency, one of {currencies}'
+    }
+  },
+
+  subscriptions: {
+    title: '🔔 <b>YOUR SIGNAL SUBSCRIPTION</b>',
+    quietNote: '<i>Quiet hours use Vietnam time (GMT+7).</i>',
+    coins: '🪙 Coins: {coins}',
+    allCoins: 'All coins',
+    noneSelected: 'None selected',
+    direction: '↕️ Direction: {direction}',
+    bothDirections: 'LONG & SHORT',
+    directionOnly: '{direction} only',
+    minConfidence: '🎯 Min confidence: {confidence}',
+    botDefault: 'bot default',
+    quietHours: '🌙 Quiet hours: {hours}',
+    off: 'off',
+    buttons: {
+      coins: '🪙 Coins',
+      direction: '↕️ Direction',
+      confidence: '🎯 Min confidence',
+      quiet: '🌙 Quiet hours',
+      reset: '♻️ Reset',
+      selectAll: 'Select all',
+      clear: 'Clear',
+      both: 'Both',
+      longOnly: 'LONG only',
+      shortOnly: 'SHORT only',
+      default: 'Default',
+      off: 'Off'
+    }
+  },
+
+  explain: {
+    usage: 'Usage: <code>/explain 42</code> (the signal ID shown on each signal)',
+    notFound: '❌ No signal found with ID {id}',
+    title: '🔍 <b>Why #{id}</b> – {coin} {direction} ({confidence}%)',
+    votedFor: '✅ Voted for ({count})',
+    votedAgainst: '❌ Voted against ({count})',
+    neutral: '➖ Neutral / skipped ({count})',
+    agreement: {
+      one: '🤝 Agreement: {majority} {direction} of {count} detector',
+      other: '🤝 Agreement: {majority} {direction} of {count} detectors'
+    },
+    metaScore: '📊 Meta-score: {score}',
+    ml: '🧠 ML: {probability}% win probability (ensemble {score})',
+    trend: '📐 Trend confluence: {adjustment}'
+  },
+
+  portfolio: {
+    title: '💼 <b>PAPER PORTFOLIO</b>',
+    disabled: ' (disabled)',
+    balance: '💰 Balance: ${balance}',
+    equity: '📈 Equity: ${equity} ({returnPercent}%)',
+    pnl: '💵 Realized: {realized} | Unrealized: {unrealized}',
+    fees: '🧾 Fees paid: ${fees}',
+    exposure: '📊 Exposure: ${exposure} ({percent}% of equity)',
+    openTitle: '📂 <b>Open positions</b> ({count})',
+    noOpen: 'No open positions.'
+  },
+
+  equity: {
+    title: '📈 <b>PAPER EQUITY</b>',
+    change: 'Start: ${start} → Now: ${equity} ({returnPercent}%)',
+    drawdown: '📉 Max drawdown: {drawdown}%',
+    trades: '🎯 Trades: {count} ({wins}W / {losses}L, {winRate}% win rate)'
+  },
+
+  weights: {
+    applied: { one: '✅ Applied {count} adaptive weight', other: '✅ Applied {count} adaptive weights' },
+    modeNote: '⚠️ ADAPTIVE_WEIGHTS={mode}: weights are stored but only used when mode is "on"',
+    title: '⚖️ <b>ADAPTIVE WEIGHTS ({mode})</b>',
+    baseline: '📊 Baseline win rate: {winRate}% over {count} weighted signals',
+    notEnough: 'Not enough resolved signals to recalibrate yet.',
+    allCoins: 'all coins',
+    entry: '• {detector} ({scope}): {oldWeight} → <b>{newWeight}</b> [{hitRate}% hit, n={samples}]',
+    more: '... and {count} more',
+    applyHint: 'Use <code>/weights apply</code> to apply these weights.'
+  },
+
+  execution: {
+    title: '⚡ <b>LIVE EXECUTION</b>',
+    sandbox: ' (sandbox)',
+    request: 'Confirm within {minutes} min to place entry + bracket orders.',
+    levels: 'Entry ~{entry} | SL {sl} | TP {tp}',
+    executeButton: '✅ Execute',
+    skipButton: '❌ Skip',
+    skipped: '⏭️ Signal #{id} skipped by {name}',
+    expired: '⌛ Execution request for #{id} expired',
+    executed: '✅ Executed #{id}: {direction} {amount} {market} @ {price}\n🛑 SL {sl} | 🎯 TP {tp}',
+    failed: '❌ Execution failed for #{id}: {error}',
+    unprotected: '🚨 <b>#{id} {direction} {amount} {market} is open WITHOUT a stop</b>\nThe stop order and the emergency close both failed: {error}\nClose it manually or use <code>/killswitch flatten</code>.',
+    killOn: '🛑 Kill switch ON - no new live orders will be placed',
+    flattened: { one: '🧹 Flattened {count} open position', other: '🧹 Flattened {count} open positions' },
+    killOff: '✅ Kill switch OFF - live execution resumed',
+    enabled: 'Enabled: {enabled}',
+    killSwitch: 'Kill switch: {state}',
+    killSwitchOn: '🛑 ON',
+    killSwitchOff: 'OFF',
+    dailyPnl: 'Daily PnL: {pnl} / max loss -{maxLoss}',
+    openPositions: 'Open positions: {count}/{max} (max ${exposure} per symbol)',
+    usage: 'Use <code>/killswitch on</code>, <code>/killswitch flatten</code> or <code>/killswitch off</code>.'
+  }
+};
@@ -0,0 +1,329 @@
+/**
+ * Vietnamese message catalog
+ */
+
+module.exports = {
+  common: {
+    na: 'N/A',
+    activateFirst: 'Vui lòng kích hoạt bot trước bằng lệnh /key!',
+    noPermission: '❌ Bạn không có quyền sử dụng lệnh này',
+    error: '❌ Đã xảy ra lỗi, vui lòng thử lại.',
+    unknownCommand: '❓ Không có lệnh /{name} - xem /help',
+    back: '« Quay lại',
+    cancel: '✖️ Hủy',
+    prev: '« Trước',
+    next: 'Sau »'
+  },
+
+  router: {
+    deniedUser: '🔐 Vui lòng kích hoạt bot trước bằng lệnh /key <mã_kích_hoạt>!',
+    deniedAdmin: '❌ Bạn không có quyền sử dụng lệnh này',
+    deniedUserShort: 'Vui lòng kích hoạt bot trước bằng lệnh /key!',
+    deniedAdminShort: '❌ Chỉ dành cho admin'
+  },
+
+  buttons: {
+    broadcast: '📤 Gửi tín hiệu',
+    analyze: '🔍 Phân tích coin',
+    status: '📊 Trạng thái bot',
+    generateKey: '🔑 Tạo key',
+    analyzeAll: '🔎 Phân tích tất cả coin',
+    subscriptions: '🔔 Đăng ký nhận tín hiệu',
+    why: '❓ Tại sao?'
+  },
+
+  commands: {
+    title: '📖 <b>DANH SÁCH LỆNH</b>',
+    help: 'Xem các lệnh có thể dùng',
+    language: 'Đổi ngôn ngữ của bot',
+    signal: 'Gửi tín hiệu thủ công (xem trước + xác nhận)',
+    analyzesymbol: 'Phân tích một coin, ví dụ /analyzesymbol BTC',
+    explain: 'Chi tiết các detector của một tín hiệu',
+    performance: 'Tỷ lệ thắng của tín hiệu (7, 30 hoặc 90 ngày)',
+    settings: 'Số dư, rủi ro, đòn bẩy và đồng định giá của bạn',
+    subscriptions: 'Chọn tín hiệu tự động muốn nhận',
+    portfolio: 'Số dư và vị thế đang mở của tài khoản giả lập',
+    equity: 'Đường vốn của tài khoản giả lập',
+    createkey: 'Tạo key kích hoạt',
+    users: 'Danh sách người dùng đã kích hoạt',
+    weights: 'Trọng số detector thích ứng',
+    killswitch: 'Trạng thái giao dịch thật và công tắc dừng khẩn cấp'
+  },
+
+  language: {
+    choose: '🌐 Chọn ngôn ngữ:',
+    changed: '✅ Đã chuyển sang Tiếng Việt',
+    invalid: '❌ Ngôn ngữ không được hỗ trợ. Có thể chọn: {languages}',
+    names: { en: 'English', vi: 'Tiếng Việt' }
+  },
+
+  start: {
+    welcomeAdmin: '👋 Chào mừng Admin {name}!\n🧠 AI TRADING BOT V3 - ENSEMBLE EDITION\n\nBạn đã được tự động cấp quyền admin!',
+    welcomeUser: '👋 Chào mừng {name}!\n🧠 AI TRADING BOT V3 - ENSEMBLE EDITION\n\n🔐 Bạn cần key kích hoạt để sử dụng đầy đủ tính năng.\n\n📝 Dùng lệnh: /key <mã_kích_hoạt>',
+    trader: 'Trader'
+  },
+
+  key: {
+    usage: '📝 Cách dùng: /key <mã_kích_hoạt>',
+    notFound: '❌ Key kích hoạt không tồn tại!',
+    used: '❌ Key kích hoạt đã được sử dụng!',
+    expired: '❌ Key kích hoạt đã hết hạn!',
+    activated: '✅ Kích hoạt thành công! Chào mừng bạn đến với AI Trading Bot V3.',
+    choose: '🔑 Chọn thời hạn của key:',
+    invalidType: '❌ Loại key không hợp lệ! Các loại hợp lệ: {types}',
+    created: '✅ Tạo key thành công!\n\n🔑 Key: <code>{key}</code>\n⏰ Loại: {type}\n📅 Hết hạn: {expires}\n\nGửi key này cho người dùng để kích hoạt: /key {key}',
+    permanent: 'Vĩnh viễn'
+  },
+
+  status: {
+    title: '🤖 <b>TRẠNG THÁI BOT</b>',
+    users: '👥 Người dùng hoạt động: <b>{count}</b>',
+    signals: '📈 Tín hiệu hôm nay: <b>{count}</b>',
+    hours: '⏰ Giờ hoạt động: <b>04:00 - 23:30</b>',
+    scanInterval: '🔄 Chế độ quét: <b>mỗi {minutes} phút</b>',
+    scanCandle: '🔄 Chế độ quét: <b>khi nến {timeframes} đóng</b>',
+    minConfidence: '🎯 Độ tin cậy tối thiểu: <b>{confidence}%</b>',
+    balance: '💰 Số dư tài khoản: <b>${balance}</b>'
+  },
+
+  greeting: {
+    morning: '🌞 Chào buổi sáng các trader! AI Trading Bot V3 đã sẵn sàng tìm cơ hội. Chúc mọi người một ngày thắng lớn! 🚀'
+  },
+
+  signal: {
+    header: '🤖 Tín hiệu AI [thứ {index} hôm nay]',
+    entry: 'Điểm vào: {price}',
+    target: '🎯 TP{n}: {price} ({rr}R)',
+    takeProfit: '🎯 Chốt lời: {price}',
+    stopLoss: '🛑 Cắt lỗ: {price}{basis}',
+    stopBasis: {
+      swing_low: 'dưới đáy swing',
+      swing_high: 'trên đỉnh swing',
+      vwap: 'qua VWAP',
+      atr: 'theo ATR'
+    },
+    riskReward: '📊 Rủi ro/Lợi nhuận: {rr} (Độ tin cậy: {confidence}%)',
+    riskRewardCalibrated: '📊 Rủi ro/Lợi nhuận: {rr} (Xác suất thắng: {confidence}%, đã hiệu chỉnh)',
+    risk: '⚖️ Rủi ro: {percent}% tài khoản',
+    riskReduced: '↘️ Rủi ro giảm từ {from}% xuống {to}%: {details}',
+    riskAdjustments: {
+      correlation: 'tương quan với lệnh {direction} đang mở {symbols}',
+      directionCap: 'đã dùng {used}% / {max}% rủi ro lệnh {direction}',
+      totalCap: 'đã dùng {used}% / {max}% tổng rủi ro đang mở'
+    },
+    regime: '🌐 Trạng thái thị trường: {regime} (ADX {adx}, phân vị ATR {percentile})',
+    regimes: {
+      TREND: 'Có xu hướng',
+      RANGE: 'Đi ngang',
+      HIGH_VOL: 'Biến động mạnh',
+      LOW_LIQUIDITY: 'Thanh khoản thấp'
+    },
+    trend: '📐 Xu hướng: {trend}',
+    trailing: '🔁 Trailing: sau TP1 dời SL về {stop}, sau đó bám giá cách {distance}',
+    id: '🆔 Mã tín hiệu: {id} – bấm "Tại sao?" hoặc /explain {id}',
+    footer: '🧠 Phân tích AI Ensemble \n\n⚠️ BẮT BUỘC QUẢN LÝ RỦI RO – Tối đa 2-3% mỗi lệnh\n💡 Tính khối lượng vào lệnh hợp lý\n🔒 Luôn đặt cắt lỗ'
+  },
+
+  sizing: {
+    header: '💼 Vị thế của bạn (số dư {balance} {quote}, rủi ro {risk}%)',
+    size: '📦 Khối lượng: {size} {coin} (~{notional} {quote}{leverage})',
+    leverage: ', ký quỹ {margin} {quote} với đòn bẩy {leverage}x',
+    maxLoss: '💸 Lỗ tối đa: {maxLoss} {quote}',
+    marginWarning: '⚠️ Ký quỹ vượt quá số dư - hãy tăng đòn bẩy hoặc giảm khối lượng'
+  },
+
+  outcome: {
+    TP: '✅ ĐÃ CHẠM CHỐT LỜI',
+    SL: '🛑 ĐÃ CHẠM CẮT LỖ',
+    EXPIRED: '⌛ TÍN HIỆU HẾT HẠN',
+    prices: '📍 Vào: {entry} → Thoát: {exit}',
+    result: '📊 Kết quả: {r}R'
+  },
+
+  manual: {
+    header: '🤖 Tín hiệu thủ công [thứ {index} hôm nay]',
+    entry: '🟢 Điểm vào: {price}',
+    takeProfit: '🎯 Chốt lời: {price}',
+    stopLoss: '🛑 Cắt lỗ: {price}',
+    riskReward: '📊 Rủi ro/Lợi nhuận: {rr}',
+    sharedBy: '👤 Chia sẻ bởi {name}',
+    admin: 'Admin',
+    footer: '⚠️ Luôn quản lý rủi ro – Tối đa 1-2% mỗi lệnh\n💡 Tín hiệu thủ công - hãy kiểm tra trước khi vào lệnh',
+    pickCoin: '📤 <b>Gửi tín hiệu</b>\n\nChọn một coin, hoặc gửi <code>/signal BTCUSDT LONG 50000 49000 52000</code>',
+    pickCoinShort: '📤 Gửi tín hiệu - chọn coin:',
+    chooseDirection: '📤 {symbol} - chọn hướng:',
+    enterLevels: '📤 {symbol} {direction}\n\n✍️ Trả lời với ĐIỂM_VÀO CẮT_LỖ CHỐT_LỜI, ví dụ <code>50000 49000 52000</code>',
+    preview: '👀 <b>XEM TRƯỚC</b> - xác nhận trong {minutes} phút để gửi',
+    broadcastButton: '📤 Gửi',
+    cancelled: '✖️ Đã hủy tín hiệu thủ công',
+    expired: '⌛ Bản xem trước đã hết hạn - hãy tạo lại tín hiệu',
+    broadcasting: '⏳ Đang gửi {symbol} {direction}...',
+    sent: { other: '✅ Đã gửi tín hiệu tới {count} người dùng!' },
+    failed: { other: '❌ {count} lượt gửi thất bại' },
+    invalidFormat: '❌ <b>Sai định dạng!</b> {error}\n\n✅ <b>Định dạng đúng:</b> <code>/signal SYMBOL LONG/SHORT ENTRY STOPLOSS TAKEPROFIT</code>\n\n📝 <b>Ví dụ:</b> <code>/signal BTCUSDT LONG 50000 49000 52000</code>',
+    retry: '❌ {error}. Bấm lại coin để thử lại.',
+    errors: {
+      format: 'Cần nhập SYMBOL LONG/SHORT ENTRY STOPLOSS TAKEPROFIT',
+      direction: 'Hướng phải là LONG hoặc SHORT',
+      numbers: 'Entry, SL, TP phải là số'
+    }
+  },
+
+  analysis: {
+    pickCoin: '🔍 Chọn coin để phân tích:',
+    allCoinsButton: '🔎 Tất cả coin',
+    analyzing: '⏳ Đang phân tích {symbol}...\n📊 Đang tải dữ liệu đa khung thời gian',
+    analyzingShort: '⏳ Đang phân tích {symbol}...',
+    adviceLow: '⚠️ <b>Cảnh báo:</b> Độ tin cậy thấp (<60%), rủi ro cao - KHÔNG NÊN VÀO LỆNH',
+    adviceHigh: '✅ <b>Độ tin cậy cao</b> - Có thể cân nhắc vào lệnh với quản lý rủi ro hợp lý',
+    adviceMedium: '🟡 <b>Độ tin cậy trung bình</b> - Thận trọng và quản lý rủi ro hợp lý',
+    noSignal: '❌ Không tìm thấy tín hiệu cho {symbol}\n📊 Thị trường: {direction}\n🎯 Độ tin cậy: {confidence}%\n💡 Lý do: {reason}',
+    noClearSignal: 'Chưa có tín hiệu rõ ràng',
+    error: '❌ Lỗi khi phân tích {symbol}: {error}',
+    onlyAdmins: '❌ Chỉ admin mới có thể phân tích tất cả coin!',
+    analyzingAll: { other: '⏳ Đang phân tích toàn bộ {count} coin...' },
+    allDuration: '📊 Quá trình này có thể mất 3-5 phút',
+    progress: '📊 Tiến độ: {percent}% ({done}/{total})',
+    resultsTitle: '🔍 <b>KẾT QUẢ PHÂN TÍCH TẤT CẢ COIN</b>',
+    found: { other: '📈 Tìm thấy: <b>{count}</b> tín hiệu trong {coins} coin' },
+    resultLine: '🎯 <b>{coin}</b> - {direction} ({confidence}%)',
+    levelsLine: '📍 Vào: {entry} | SL: {sl} | TP: {tp}',
+    noSignals: '❌ Không có tín hiệu nào trong {coins} coin (Độ tin cậy ≥ 60%).',
+    errorAll: '❌ Lỗi khi phân tích tất cả coin: {error}',
+    resultsExpired: '⌛ Kết quả đã hết hạn - hãy chạy phân tích lại'
+  },
+
+  users: {
+    title: { other: '📊 <b>DANH SÁCH NGƯỜI DÙNG ĐÃ KÍCH HOẠT</b> ({count} người)' }
+  },
+
+  performance: {
+    invalidPeriod: '❌ Khoảng thời gian phải là một trong: {periods} ngày',
+    title: '📊 <b>HIỆU QUẢ TÍN HIỆU</b>',
+    period: { other: '📅 {days} ngày: tỷ lệ thắng <b>{winRate}%</b> | trung bình {avgR} | {count} tín hiệu' },
+    detail: '🔎 <b>{days} ngày qua</b> ({wins} thắng / {losses} thua, {expired} hết hạn)',
+    noResolved: 'Chưa có tín hiệu nào kết thúc trong khoảng thời gian này.',
+    best: '🏆 Tốt nhất: {coins}',
+    worst: '📉 Kém nhất: {coins}',
+    detectorsTitle: '🧠 <b>Detector trong lệnh thắng và lệnh thua</b>',
+    detector: '• {name}: {wins} thắng / {losses} thua ({winRate}%)'
+  },
+
+  settings: {
+    title: '⚙️ <b>HỒ SƠ RỦI RO CỦA BẠN</b>',
+    reset: '♻️ <b>Đã khôi phục cài đặt mặc định</b>',
+    updated: '✅ <b>Đã cập nhật cài đặt</b>',
+    missingValue: '❌ Thiếu giá trị. Cách dùng: <code>/settings {field} &lt;{description}&gt;</code>',
+    unknownField: '❌ Không có cài đặt "{field}". Hãy dùng một trong: {fields}',
+    invalidValue: '❌ Giá trị {field} không hợp lệ: cần {description}',
+    balance: '💰 Số dư: {balance} {quote}',
+    risk: '🎯 Rủi ro mỗi lệnh: {risk}%',
+    leverage: '📈 Đòn bẩy: {leverage}x',
+    quote: '💱 Đồng định giá: {quote}',
+    hint: 'Tín hiệu sẽ hiển thị khối lượng và lỗ tối đa theo hồ sơ này.\nThay đổi bằng:',
+    resetHint: '<code>/settings reset</code> - về mặc định',
+    fields: {
+      balance: 'số dư tài khoản, ví dụ 5000',
+      risk: 'rủi ro mỗi lệnh theo %, 0.1 - 10',
+      leverage: 'đòn bẩy, 1 - 125',
+      quote: 'đồng định giá, một trong {currencies}'
+    }
+  },
+
+  subscriptions: {
+    title: '🔔 <b>ĐĂNG KÝ TÍN HIỆU CỦA BẠN</b>',
+    quietNote: '<i>Giờ yên lặng theo giờ Việt Nam (GMT+7).</i>',
+    coins: '🪙 Coin: {coins}',
+    allCoins: 'Tất cả coin',
+    noneSelected: 'Chưa chọn coin nào',
+    direction: '↕️ Hướng: {direction}',
+    bothDirections: 'LONG & SHORT',
+    directionOnly: 'Chỉ {direction}',
+    minConfidence: '🎯 Độ tin cậy tối thiểu: {confidence}',
+    botDefault: 'mặc định của bot',
+    quietHours: '🌙 Giờ yên lặng: {hours}',
+    off: 'tắt',
+    buttons: {
+      coins: '🪙 Coin',
+      direction: '↕️ Hướng',
+      confidence: '🎯 Độ tin cậy',
+      quiet: '🌙 Giờ yên lặng',
+      reset: '♻️ Đặt lại',
+      selectAll: 'Chọn tất cả',
+      clear: 'Bỏ chọn',
+      both: 'Cả hai',
+      longOnly: 'Chỉ LONG',
+      shortOnly: 'Chỉ SHORT',
+      default: 'Mặc định',
+      off: 'Tắt'
+    }
+  },
+
+  explain: {
+    usage: 'Cách dùng: <code>/explain 42</code> (mã tín hiệu hiển thị trên mỗi tín hiệu)',
+    notFound: '❌ Không tìm thấy tín hiệu có mã {id}',
+    title: '🔍 <b>Tại sao #{id}</b> – {coin} {direction} ({confidence}%)',
+    votedFor: '✅ Ủng hộ ({count})',
+    votedAgainst: '❌ Phản đối ({count})',
+    neutral: '➖ Trung lập / bỏ qua ({count})',
+    agreement: { other: '🤝 Đồng thuận: {majority} {direction} trên {count} detector' },
+    metaScore: '📊 Điểm tổng hợp: {score}',
+    ml: '🧠 ML: xác suất thắng {probability}% (ensemble {score})',
+    trend: '📐 Đồng pha xu hướng: {adjustment}'
+  },
+
+  portfolio: {
+    title: '💼 <b>DANH MỤC GIẢ LẬP</b>',
+    disabled: ' (đã tắt)',
+    balance: '💰 Số dư: ${balance}',
+    equity: '📈 Tài sản ròng: ${equity} ({returnPercent}%)',
+    pnl: '💵 Đã chốt: {realized} | Chưa chốt: {unrealized}',
+    fees: '🧾 Phí đã trả: ${fees}',
+    exposure: '📊 Giá trị vị thế: ${exposure} ({percent}% tài sản)',
+    openTitle: '📂 <b>Vị thế đang mở</b> ({count})',
+    noOpen: 'Không có vị thế nào đang mở.'
+  },
+
+  equity: {
+    title: '📈 <b>ĐƯỜNG VỐN GIẢ LẬP</b>',
+    change: 'Ban đầu: ${start} → Hiện tại: ${equity} ({returnPercent}%)',
+    drawdown: '📉 Sụt giảm tối đa: {drawdown}%',
+    trades: '🎯 Số lệnh: {count} ({wins} thắng / {losses} thua, tỷ lệ thắng {winRate}%)'
+  },
+
+  weights: {
+    applied: { other: '✅ Đã áp dụng {count} trọng số thích ứng' },
+    modeNote: '⚠️ ADAPTIVE_WEIGHTS={mode}: trọng số đã được lưu nhưng chỉ được dùng khi chế độ là "on"',
+    title: '⚖️ <b>TRỌNG SỐ THÍCH ỨNG ({mode})</b>',
+    baseline: '📊 Tỷ lệ thắng cơ sở: {winRate}% trên {count} tín hiệu có trọng số',
+    notEnough: 'Chưa đủ tín hiệu đã kết thúc để hiệu chỉnh lại.',
+    allCoins: 'tất cả coin',
+    entry: '• {detector} ({scope}): {oldWeight} → <b>{newWeight}</b> [{hitRate}% trúng, n={samples}]',
+    more: '... và {count} mục khác',
+    applyHint: 'Dùng <code>/weights apply</code> để áp dụng các trọng số này.'
+  },
+
+  execution: {
+    title: '⚡ <b>GIAO DỊCH THẬT</b>',
+    sandbox: ' (sandbox)',
+    request: 'Xác nhận trong {minutes} phút để đặt lệnh vào + lệnh SL/TP.',
+    levels: 'Điểm vào ~{entry} | Cắt lỗ {sl} | Chốt lời {tp}',
+    executeButton: '✅ Thực hiện',
+    skipButton: '❌ Bỏ qua',
+    skipped: '⏭️ Tín hiệu #{id} đã bị bỏ qua bởi {name}',
+    expired: '⌛ Yêu cầu thực hiện #{id} đã hết hạn',
+    executed: '✅ Đã thực hiện #{id}: {direction} {amount} {market} @ {price}\n🛑 SL {sl} | 🎯 TP {tp}',
+    failed: '❌ Thực hiện #{id} thất bại: {error}',
+    unprotected: '🚨 <b>#{id} {direction} {amount} {market} đang mở KHÔNG có stop</b>\nĐặt lệnh stop và đóng khẩn cấp đều thất bại: {error}\nHãy đóng thủ công hoặc dùng <code>/killswitch flatten</code>.',
+    killOn: '🛑 Đã BẬT dừng khẩn cấp - sẽ không đặt lệnh thật mới',
+    flattened: { other: '🧹 Đã đóng {count} vị thế đang mở' },
+    killOff: '✅ Đã TẮT dừng khẩn cấp - tiếp tục giao dịch thật',
+    enabled: 'Kích hoạt: {enabled}',
+    killSwitch: 'Dừng khẩn cấp: {state}',
+    killSwitchOn: '🛑 BẬT',
+    killSwitchOff: 'TẮT',
+    dailyPnl: 'Lãi/lỗ trong ngày: {pnl} / lỗ tối đa -{maxLoss}',
+    openPositions: 'Vị thế đang mở: {count}/{max} (tối đa ${exposure} mỗi coin)',
+    usage: 'Dùng <code>/killswitch on</code>, <code>/killswitch flatten</code> hoặc <code>/killswitch off</code>.'
+  }
+};
@@ -0,0 +1,41 @@
+const { PNG } = require('pngjs');
+const ChartRenderer = require('../chart');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+function makeCandles(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const open = 100 + Math.sin(i / 3) * 2;
+    const close = open + (i % 2 === 0 ? 0.8 : -0.6);
+    return { timestamp: i * 15 * 60 * 1000, open, high: Math.max(open, close) + 0.5, low: Math.min(open, close) - 0.5, close, volume: 100 + i };
+  });
+}
+
+const signal = { symbol: 'BTCUSDT', direction: 'LONG', entry: 101, sl: 98, tp: 106 };
+
+describe('ChartRenderer.render', () => {
+  test('returns a PNG with the configured dimensions', () => {
+    const buffer = new ChartRenderer({ width: 320, height: 200 }).render(signal, makeCandles(30));
+
+    expect(buffer.subarray(0, 8)).toEqual(PNG_SIGNATURE);
+    // IHDR is the first chunk: length (4) + type (4), then width and height
+    expect(buffer.toString('ascii', 12, 16)).toBe('IHDR');
+    expect(buffer.readUInt32BE(16)).toBe(320);
+    expect(buffer.readUInt32BE(20)).toBe(200);
+  });
+
+  test('decodes back to an image with drawn candles', () => {
+    const renderer = new ChartRenderer({ width: 320, height: 200 });
+    const png = PNG.sync.read(renderer.render({ ...signal, targets: [{ price: 104 }, { price: 108 }] }, makeCandles(10)));
+
+    expect(png.width).toBe(320);
+    expect(png.height).toBe(200);
+
+    const [r, g, b] = renderer.config.colors.up;
+    let upPixels = 0;
+    for (let i = 0; i < png.data.length; i += 4) {
+      if (png.data[i] === r && png.data[i + 1] === g && png.data[i + 2] === b) upPixels++;
+    }
+    expect(upPixels).toBeGreaterThan(0);
+  });
+});
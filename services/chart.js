@@ -0,0 +1,260 @@
+/**
+ * Signal Chart Renderer - Candlestick PNG with VWAP, Bollinger Bands and trade levels
+ *
+ * Pure JavaScript: draws into an RGBA buffer (lines, rectangles and a built-in 5x7
+ * bitmap font) and encodes it with pngjs, so no native canvas or fonts are needed.
+ */
+
+const { PNG } = require('pngjs');
+const TradingUtils = require('../utils');
+
+// 5x7 glyphs, one 5-bit row per entry (bit 4 = leftmost column)
+const FONT = {
+  '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E], '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F], '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+  '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02], '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+  '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E], '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E], '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+  A: [0x0E, 0x11, 0x11, 0x11, 0x1F, 0x11, 0x11], B: [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+  C: [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E], D: [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+  E: [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F], F: [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+  G: [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F], H: [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  I: [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E], J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+  K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11], L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+  M: [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11], N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  O: [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E], P: [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+  Q: [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D], R: [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+  S: [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E], T: [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E], V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+  W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A], X: [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+  Y: [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04], Z: [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+  '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C], '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+  ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00], '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+  '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03], '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08], '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+  '#': [0x0A, 0x0A, 0x1F, 0x0A, 0x1F, 0x0A, 0x0A], ' ': [0, 0, 0, 0, 0, 0, 0]
+};
+
+const COLORS = {
+  background: [19, 23, 34],
+  grid: [42, 46, 57],
+  text: [209, 212, 220],
+  up: [38, 166, 154],
+  down: [239, 83, 80],
+  vwap: [255, 183, 77],
+  bands: [100, 149, 237],
+  entry: [236, 239, 241],
+  sl: [239, 83, 80],
+  tp: [102, 187, 106]
+};
+
+/**
+ * Minimal RGBA raster with alpha-blended drawing primitives
+ */
+class Raster {
+  constructor(width, height, background) {
+    this.png = new PNG({ width, height });
+    this.width = width;
+    this.height = height;
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  setPixel(x, y, [r, g, b], alpha = 1) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+    const i = (y * this.width + x) * 4;
+    const data = this.png.data;
+    data[i] = data[i] * (1 - alpha) + r * alpha;
+    data[i + 1] = data[i + 1] * (1 - alpha) + g * alpha;
+    data[i + 2] = data[i + 2] * (1 - alpha) + b * alpha;
+    data[i + 3] = 255;
+  }
+
+  fillRect(x, y, width, height, color, alpha = 1) {
+    for (let py = Math.round(y); py < Math.round(y + height); py++) {
+      for (let px = Math.round(x); px < Math.round(x + width); px++) this.setPixel(px, py, color, alpha);
+    }
+  }
+
+  /**
+   * Bresenham line; `dash` = [on, off] pixel lengths
+   */
+  line(x0, y0, x1, y1, color, { dash = null, alpha = 1 } = {}) {
+    x0 = Math.round(x0); y0 = Math.round(y0); x1 = Math.round(x1); y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    let step = 0;
+
+    for (;;) {
+      if (!dash || step % (dash[0] + dash[1]) < dash[0]) this.setPixel(x0, y0, color, alpha);
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) { err += dy; x0 += sx; }
+      if (e2 <= dx) { err += dx; y0 += sy; }
+      step++;
+    }
+  }
+
+  polyline(points, color, options) {
+    for (let i = 1; i < points.length; i++) {
+      if (points[i - 1] && points[i]) this.line(points[i - 1][0], points[i - 1][1], points[i][0], points[i][1], color, options);
+    }
+  }
+
+  text(x, y, value, color, scale = 1) {
+    let cursor = x;
+    for (const char of String(value).toUpperCase()) {
+      const glyph = FONT[char] || FONT[' '];
+      glyph.forEach((row, gy) => {
+        for (let gx = 0; gx < 5; gx++) {
+          if (row & (0x10 >> gx)) this.fillRect(cursor + gx * scale, y + gy * scale, scale, scale, color);
+        }
+      });
+      cursor += 6 * scale;
+    }
+    return cursor - x;
+  }
+
+  textWidth(value, scale = 1) {
+    return String(value).length * 6 * scale;
+  }
+
+  toBuffer() {
+    return PNG.sync.write(this.png);
+  }
+}
+
+class ChartRenderer {
+  constructor(config = {}) {
+    this.config = {
+      enabled: process.env.CHART_ENABLED !== 'false',
+      timeframe: process.env.CHART_TIMEFRAME || '15m',
+      width: 800,
+      height: 480,
+      visibleCandles: 80,
+      bbPeriod: 20,
+      padding: { top: 36, right: 110, bottom: 20, left: 10 },
+      colors: COLORS,
+      ...config
+    };
+  }
+
+  formatPrice(price) {
+    return price > 10 ? price.toFixed(2) : price.toFixed(price > 1 ? 4 : 6);
+  }
+
+  /**
+   * Per-bar Bollinger Bands (null until enough history)
+   */
+  bollingerSeries(candles) {
+    const closes = candles.map(c => c.close);
+    return closes.map((_, i) => i + 1 < this.config.bbPeriod
+      ? null
+      : TradingUtils.calculateBollingerBands(closes.slice(i + 1 - this.config.bbPeriod, i + 1), this.config.bbPeriod));
+  }
+
+  /**
+   * VWAP anchored at the first visible candle
+   */
+  vwapSeries(candles) {
+    let tpv = 0;
+    let volume = 0;
+    return candles.map(c => {
+      tpv += (c.high + c.low + c.close) / 3 * c.volume;
+      volume += c.volume;
+      return volume > 0 ? tpv / volume : null;
+    });
+  }
+
+  /**
+   * Render a signal chart to a PNG buffer
+   * signal: { symbol, direction, entry, sl, tp, targets?: [{ price }] }
+   */
+  render(signal, candles, timeframe = this.config.timeframe) {
+    const { width, height, padding, colors, visibleCandles } = this.config;
+    const raster = new Raster(width, height, colors.background);
+
+    const bands = this.bollingerSeries(candles).slice(-visibleCandles);
+    const visible = candles.slice(-visibleCandles);
+    const vwap = this.vwapSeries(visible);
+
+    const targets = signal.targets && signal.targets.length > 0
+      ? signal.targets.map(t => parseFloat(t.price))
+      : [parseFloat(signal.tp)];
+    const levels = [
+      { label: 'SL', price: parseFloat(signal.sl), color: colors.sl },
+      { label: 'ENTRY', price: parseFloat(signal.entry), color: colors.entry },
+      ...targets.map((price, i) => ({ label: targets.length > 1 ? `TP${i + 1}` : 'TP', price, color: colors.tp }))
+    ].filter(l => Number.isFinite(l.price));
+
+    // Price scale covers candles, bands and every level
+    const prices = [
+      ...visible.flatMap(c => [c.high, c.low]),
+      ...bands.filter(Boolean).flatMap(b => [b.upper, b.lower]),
+      ...levels.map(l => l.price)
+    ];
+    let min = Math.min(...prices);
+    let max = Math.max(...prices);
+    const margin = (max - min) * 0.05 || max * 0.01;
+    min -= margin;
+    max += margin;
+
+    const plotLeft = padding.left;
+    const plotRight = width - padding.right;
+    const plotTop = padding.top;
+    const plotBottom = height - padding.bottom;
+    const y = price => plotBottom - (price - min) / (max - min) * (plotBottom - plotTop);
+    const slot = (plotRight - plotLeft) / visible.length;
+    const x = i => plotLeft + slot * (i + 0.5);
+
+    // Grid with price labels
+    for (let g = 0; g <= 5; g++) {
+      const price = min + (max - min) * g / 5;
+      raster.line(plotLeft, y(price), plotRight, y(price), colors.grid);
+      raster.text(plotRight + 6, y(price) - 3, this.formatPrice(price), colors.grid);
+    }
+
+    // Bollinger Bands and VWAP behind the candles
+    const bandPoint = key => bands.map((b, i) => (b ? [x(i), y(b[key])] : null));
+    raster.polyline(bandPoint('upper'), colors.bands, { alpha: 0.7 });
+    raster.polyline(bandPoint('middle'), colors.bands, { dash: [4, 4], alpha: 0.5 });
+    raster.polyline(bandPoint('lower'), colors.bands, { alpha: 0.7 });
+    raster.polyline(vwap.map((v, i) => (v ? [x(i), y(v)] : null)), colors.vwap);
+
+    // Candles
+    const bodyWidth = Math.max(1, Math.floor(slot * 0.6));
+    visible.forEach((c, i) => {
+      const color = c.close >= c.open ? colors.up : colors.down;
+      raster.line(x(i), y(c.high), x(i), y(c.low), color);
+      const top = y(Math.max(c.open, c.close));
+      const bodyHeight = Math.max(1, y(Math.min(c.open, c.close)) - top);
+      raster.fillRect(x(i) - bodyWidth / 2, top, bodyWidth, bodyHeight, color);
+    });
+
+    // Trade levels with right-hand labels
+    for (const level of levels) {
+      raster.line(plotLeft, y(level.price), plotRight, y(level.price), level.color, { dash: [6, 4] });
+      const label = `${level.label} ${this.formatPrice(level.price)}`;
+      raster.fillRect(plotRight + 2, y(level.price) - 6, raster.textWidth(label) + 6, 13, level.color, 0.9);
+      raster.text(plotRight + 5, y(level.price) - 3, label, colors.background);
+    }
+
+    // Title and legend
+    const title = `${signal.symbol.replace('USDT', '/USDT')} ${timeframe} ${signal.direction}`;
+    raster.text(plotLeft + 4, 10, title, signal.direction === 'SHORT' ? colors.down : colors.up, 2);
+    let legendX = plotLeft + raster.textWidth(title, 2) + 24;
+    for (const [label, color] of [['VWAP', colors.vwap], ['BB 20 2', colors.bands]]) {
+      raster.fillRect(legendX, 15, 12, 3, color);
+      legendX += 16 + raster.text(legendX + 16, 13, label, colors.text) + 12;
+    }
+
+    return raster.toBuffer();
+  }
+}
+
+module.exports = ChartRenderer;
@@ -0,0 +1,245 @@
+/**
+ * Admin Dashboard - Server-rendered web pages on the existing Express app
+ *
+ * Lists subscribers, activation keys, recent signals with outcomes and detector stats, and
+ * lets admins revoke users, create or delete keys and start a scan without Telegram.
+ * Protected by HTTP Basic auth (DASHBOARD_USER / DASHBOARD_PASSWORD) and disabled when no
+ * password is set. Every form carries a per-process CSRF token, since browsers resend
+ * Basic credentials on cross-site posts.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const moment = require('moment-timezone');
+const { summarizePerformance, PERFORMANCE_PERIODS } = require('./performance');
+
+const STYLE = `
+  body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 0 auto; max-width: 1100px; padding: 16px; color: #1f2328; }
+  h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 32px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border-bottom: 1px solid #d0d7de; padding: 6px 8px; text-align: left; white-space: nowrap; }
+  th { background: #f6f8fa; }
+  form.inline { display: inline; margin: 0; }
+  button { cursor: pointer; }
+  .notice { background: #ddf4ff; border: 1px solid #54aeff; padding: 8px 12px; border-radius: 6px; }
+  .muted { color: #656d76; } .win { color: #1a7f37; } .loss { color: #cf222e; }
+  .cards span { display: inline-block; margin-right: 24px; }
+`;
+
+class AdminDashboard {
+  constructor({ storage, subscribedUsers, activationKeys, keyTypes, createKey, revokeUser, startScan, isScanRunning, config = {} }) {
+    this.storage = storage;
+    this.subscribedUsers = subscribedUsers;
+    this.activationKeys = activationKeys;
+    this.keyTypes = keyTypes;
+    this.createKey = createKey; // type -> { key, expires }
+    this.revokeUser = revokeUser; // chatId -> boolean
+    this.startScan = startScan; // () -> boolean (false when already running)
+    this.isScanRunning = isScanRunning;
+    this.config = {
+      user: process.env.DASHBOARD_USER || 'admin',
+      password: process.env.DASHBOARD_PASSWORD || '',
+      maxSignals: 50,
+      timezone: 'Asia/Ho_Chi_Minh',
+      ...config
+    };
+    this.csrfToken = crypto.randomBytes(16).toString('hex');
+  }
+
+  isEnabled() {
+    return Boolean(this.config.password);
+  }
+
+  /**
+   * Express router to mount under a path, e.g. app.use('/admin', dashboard.router())
+   */
+  router() {
+    const router = express.Router();
+    router.use((req, res, next) => this.authenticate(req, res, next));
+    router.use(express.urlencoded({ extended: false }));
+    router.use((req, res, next) => {
+      res.set({ 'Cache-Control': 'no-store', 'X-Frame-Options': 'DENY' });
+      if (req.method === 'POST' && !safeEqual(req.body?.csrf || '', this.csrfToken)) {
+        return res.status(403).send('Invalid form token - reload the dashboard and try again');
+      }
+      next();
+    });
+
+    router.get('/', (req, res) => res.send(this.renderPage(req)));
+
+    router.post('/users/:chatId/revoke', (req, res) => {
+      const revoked = this.revokeUser(req.params.chatId);
+      this.redirect(req, res, revoked ? `User ${req.params.chatId} revoked` : `Cannot revoke ${req.params.chatId} (unknown user or admin)`);
+    });
+
+    router.post('/keys', (req, res) => {
+      if (!this.keyTypes.includes(req.body.type)) {
+        return this.redirect(req, res, `Invalid key type: ${req.body.type}`);
+      }
+      const { key } = this.createKey(req.body.type);
+      this.redirect(req, res, `Key created: ${key} (${req.body.type})`);
+    });
+
+    router.post('/keys/:key/delete', (req, res) => {
+      const keyInfo = this.activationKeys.get(req.params.key);
+      if (!keyInfo || keyInfo.used) {
+        return this.redirect(req, res, 'Only unused keys can be deleted');
+      }
+      this.activationKeys.delete(req.params.key);
+      this.redirect(req, res, `Key ${req.params.key} deleted`);
+    });
+
+    router.post('/scan', (req, res) => {
+      this.redirect(req, res, this.startScan() ? 'Scan started - signals are broadcast as they are found' : 'A scan is already running');
+    });
+
+    return router;
+  }
+
+  authenticate(req, res, next) {
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Basic' && encoded) {
+      const decoded = Buffer.from(encoded, 'base64').toString();
+      const separator = decoded.indexOf(':');
+      const user = decoded.slice(0, separator);
+      const password = decoded.slice(separator + 1);
+      // Evaluate both so the response time does not reveal which one was wrong
+      const userOk = safeEqual(user, this.config.user);
+      const passwordOk = safeEqual(password, this.config.password);
+      if (separator > 0 && userOk && passwordOk) return next();
+    }
+
+    res.set('WWW-Authenticate', 'Basic realm="Trading Bot Admin", charset="UTF-8"');
+    res.status(401).send('Authentication required');
+  }
+
+  redirect(req, res, notice) {
+    console.log(`🖥️ Dashboard: ${notice}`);
+    res.redirect(303, `${req.baseUrl}/?notice=${encodeURIComponent(notice)}`);
+  }
+
+  formatDate(date) {
+    return date ? moment(date).tz(this.config.timezone).format('DD/MM/YYYY HH:mm') : '-';
+  }
+
+  // POST button carrying the CSRF token
+  actionButton(action, label, confirmText) {
+    const onSubmit = confirmText ? ` onsubmit="return confirm(${escapeHtml(JSON.stringify(confirmText))})"` : '';
+    return `<form class="inline" method="post" action="${escapeHtml(action)}"${onSubmit}>` +
+      `<input type="hidden" name="csrf" value="${this.csrfToken}"><button>${escapeHtml(label)}</button></form>`;
+  }
+
+  renderUsers(base) {
+    const rows = [...this.subscribedUsers.entries()].map(([chatId, userData]) => {
+      const user = userData.userInfo || {};
+      const name = user.username ? `@${user.username}` : [user.first_name, user.last_name].filter(Boolean).join(' ');
+      const action = userData.isAdmin
+        ? '<span class="muted">admin</span>'
+        : this.actionButton(`${base}/users/${encodeURIComponent(chatId)}/revoke`, 'Revoke', `Revoke ${name || chatId}?`);
+      return [chatId, name, userData.isAdmin ? '👑' : '', this.formatDate(userData.activatedAt), userData.keyUsed || '-', user.language_code || '-']
+        .map(cell => `<td>${escapeHtml(cell)}</td>`).join('') + `<td>${action}</td>`;
+    });
+    return table(['Chat ID', 'Name', 'Admin', 'Activated', 'Key', 'Client lang', ''], rows, 'No subscribers yet.');
+  }
+
+  renderKeys(base) {
+    const now = new Date();
+    const keys = [...this.activationKeys.entries()]
+      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created));
+    const rows = keys.map(([key, info]) => {
+      const expired = info.expires && now > new Date(info.expires);
+      const status = info.used ? `used by ${info.usedBy}` : expired ? 'expired' : 'available';
+      const action = info.used ? '' : this.actionButton(`${base}/keys/${encodeURIComponent(key)}/delete`, 'Delete', `Delete key ${key}?`);
+      return [`<code>${escapeHtml(key)}</code>`, escapeHtml(info.type), escapeHtml(this.formatDate(info.created)),
+        escapeHtml(info.expires ? this.formatDate(info.expires) : 'never'), escapeHtml(status), action]
+        .map(cell => `<td>${cell}</td>`).join('');
+    });
+
+    const options = this.keyTypes.map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`).join('');
+    const form = `<form method="post" action="${base}/keys"><input type="hidden" name="csrf" value="${this.csrfToken}">` +
+      `<select name="type">${options}</select> <button>Create key</button></form><br>`;
+    return form + table(['Key', 'Type', 'Created', 'Expires', 'Status', ''], rows, 'No keys yet.');
+  }
+
+  renderSignals() {
+    const signals = this.storage.listSignals()
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, this.config.maxSignals);
+    const rows = signals.map(s => {
+      const r = Number.isFinite(s.rMultiple) ? `${s.rMultiple >= 0 ? '+' : ''}${s.rMultiple.toFixed(2)}R` : '';
+      const resultClass = s.rMultiple > 0 ? 'win' : s.rMultiple < 0 ? 'loss' : '';
+      return [`#${s.id}`, this.formatDate(s.createdAt), s.symbol, s.direction, Number.isFinite(s.confidence) ? `${s.confidence}%` : '-',
+        s.source || 'bot', s.entry, s.sl, s.tp, s.outcome || s.status, s.delivered ?? '-']
+        .map(cell => `<td>${escapeHtml(cell)}</td>`).join('') + `<td class="${resultClass}">${r}</td>`;
+    });
+    return table(['ID', 'Time', 'Symbol', 'Dir', 'Conf', 'Source', 'Entry', 'SL', 'TP', 'Status', 'Delivered', 'Result'], rows, 'No signals recorded yet.');
+  }
+
+  renderDetectorStats(days) {
+    const summary = summarizePerformance(this.storage.listSignals(), days);
+    const periodLinks = PERFORMANCE_PERIODS
+      .map(period => period === days ? `<b>${period}d</b>` : `<a href="?days=${period}">${period}d</a>`).join(' | ');
+    const overview = `<p class="cards">${periodLinks}</p><p class="cards">` +
+      `<span>Resolved: <b>${summary.total}</b></span><span>Win rate: <b>${summary.winRate.toFixed(1)}%</b></span>` +
+      `<span>Avg: <b>${summary.avgR >= 0 ? '+' : ''}${summary.avgR.toFixed(2)}R</b></span>` +
+      `<span>${summary.wins}W / ${summary.losses}L, ${summary.expired} expired</span></p>`;
+
+    const rows = Object.entries(summary.detectors)
+      .sort(([, a], [, b]) => b.winRate - a.winRate)
+      .map(([name, stat]) => [name, stat.wins, stat.losses, `${stat.winRate.toFixed(0)}%`]
+        .map(cell => `<td>${escapeHtml(cell)}</td>`).join(''));
+    return overview + table(['Detector (voted with signal)', 'Wins', 'Losses', 'Win rate'], rows, 'No resolved signals in this period yet.');
+  }
+
+  renderPage(req) {
+    const base = req.baseUrl;
+    const days = PERFORMANCE_PERIODS.includes(parseInt(req.query.days)) ? parseInt(req.query.days) : 30;
+    const notice = req.query.notice ? `<p class="notice">${escapeHtml(req.query.notice)}</p>` : '';
+    const scan = this.isScanRunning()
+      ? '<span class="muted">⏳ Scan running...</span>'
+      : this.actionButton(`${base}/scan`, '🔎 Scan all coins now', 'Start a full scan? Qualifying signals are broadcast to subscribers.');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Trading Bot Admin</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>🤖 AI Trading Bot V3 - Admin</h1>
+${notice}
+<p class="cards"><span>👥 Subscribers: <b>${this.subscribedUsers.size}</b></span>` +
+`<span>📈 Signals today: <b>${this.storage.get('signalCountToday', 0)}</b></span>` +
+`<span>⏱️ Uptime: <b>${Math.floor(process.uptime() / 3600)}h</b></span>${scan}</p>
+<h2>👥 Subscribers</h2>
+${this.renderUsers(base)}
+<h2>🔑 Activation keys</h2>
+${this.renderKeys(base)}
+<h2>📈 Recent signals</h2>
+${this.renderSignals()}
+<h2>🧠 Detector stats (last ${days} days)</h2>
+${this.renderDetectorStats(days)}
+</body>
+</html>`;
+  }
+}
+
+function table(headers, rows, emptyText) {
+  if (rows.length === 0) return `<p class="muted">${escapeHtml(emptyText)}</p>`;
+  return `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${row}</tr>`).join('')}</tbody></table>`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Constant-time string comparison (hashing first equalizes the lengths)
+function safeEqual(a, b) {
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+module.exports = AdminDashboard;
@@ -1,6 +1,6 @@
 /**
  * Data service for fetching market data from multiple sources
- * FIXED: Completely removed funding rate functionality
+ * Spot OHLCV/orderbook/ticker plus optional perpetual futures data (funding, OI, long/short)
  */
 
 const axios = require('axios');
@@ -43,6 +43,52 @@ class DataService {
     
     this.sources = [this.binance, this.bybit];
     this.currentSourceIndex = 0;
+    this.stream = null;
+
+    // USDT-margined perpetuals for funding rate / open interest data
+    this.futures = new ccxt.binanceusdm({
+      enableRateLimit: true
+    });
+    this.futuresEnabled = process.env.FUTURES_DATA_ENABLED !== 'false';
+    this.fundingCache = new Map(); // symbol -> { data, expires }
+    this.fundingCacheTtl = 5 * 60 * 1000;
+
+    // Benchmarks for cross-asset correlation (shared by every coin in a scan)
+    this.benchmarkSymbols = (process.env.BENCHMARK_SYMBOLS || 'BTCUSDT,ETHUSDT').split(',').map(s => s.trim());
+    this.benchmarkCache = new Map(); // symbol:timeframe -> { candles, expires }
+    this.benchmarkCacheTtl = 60 * 1000;
+  }
+
+  /**
+   * Read candles/orderbook/ticker from a MarketStream's in-memory buffers when available
+   */
+  attachStream(stream) {
+    this.stream = stream;
+  }
+
+  /**
+   * Build multi-timeframe data from stream buffers; REST only fills whatever is missing
+   */
+  async getStreamedData(symbol, timeframes) {
+    const streamedTimeframes = timeframes.filter(tf => this.stream.timeframes.includes(tf));
+    const data = this.stream.getData(symbol, streamedTimeframes);
+    if (!data) return null;
+
+    for (const tf of timeframes.filter(tf => !streamedTimeframes.includes(tf))) {
+      try {
+        data[tf] = await this.fetchOHLCV(symbol, tf, 100);
+      } catch (error) {
+        logger.warn(`Failed to fetch ${tf} data for ${symbol}: ${error.message}`);
+        data[tf] = [];
+      }
+    }
+
+    if (!data.orderbook) data.orderbook = await this.fetchOrderBook(symbol);
+    if (!data.ticker) data.ticker = await this.fetchTicker(symbol);
+    data.fundingOI = await this.fetchFundingAndOI(symbol);
+    data.benchmarks = await this.fetchBenchmarks(symbol);
+
+    return data;
   }
 
   /**
@@ -93,6 +139,32 @@ class DataService {
     });
   }
 
+  /**
+   * Calculate weighted mid price and depth for raw bids/asks ([price, volume] pairs)
+   */
+  summarizeOrderBook(symbol, orderbook, limit = 50) {
+    const bids = orderbook.bids.slice(0, 10);
+    const asks = orderbook.asks.slice(0, 10);
+    
+    const bidVolume = bids.reduce((sum, [price, volume]) => sum + volume, 0);
+    const askVolume = asks.reduce((sum, [price, volume]) => sum + volume, 0);
+    
+    const bidWeightedPrice = bids.reduce((sum, [price, volume]) => sum + price * volume, 0) / bidVolume;
+    const askWeightedPrice = asks.reduce((sum, [price, volume]) => sum + price * volume, 0) / askVolume;
+    
+    return {
+      symbol,
+      bids: orderbook.bids.slice(0, limit),
+      asks: orderbook.asks.slice(0, limit),
+      bidVolume,
+      askVolume,
+      volumeImbalance: (bidVolume - askVolume) / (bidVolume + askVolume),
+      weightedMidPrice: (bidWeightedPrice + askWeightedPrice) / 2,
+      spread: (askWeightedPrice - bidWeightedPrice) / bidWeightedPrice * 100,
+      timestamp: orderbook.timestamp
+    };
+  }
+
   /**
    * Fetch order book data
    */
@@ -102,28 +174,7 @@ class DataService {
       
       try {
         const orderbook = await source.fetchOrderBook(symbol, limit);
-        
-        // Calculate weighted mid price and depth
-        const bids = orderbook.bids.slice(0, 10);
-        const asks = orderbook.asks.slice(0, 10);
-        
-        const bidVolume = bids.reduce((sum, [price, volume]) => sum + volume, 0);
-        const askVolume = asks.reduce((sum, [price, volume]) => sum + volume, 0);
-        
-        const bidWeightedPrice = bids.reduce((sum, [price, volume]) => sum + price * volume, 0) / bidVolume;
-        const askWeightedPrice = asks.reduce((sum, [price, volume]) => sum + price * volume, 0) / askVolume;
-        
-        return {
-          symbol,
-          bids: orderbook.bids.slice(0, limit),
-          asks: orderbook.asks.slice(0, limit),
-          bidVolume,
-          askVolume,
-          volumeImbalance: (bidVolume - askVolume) / (bidVolume + askVolume),
-          weightedMidPrice: (bidWeightedPrice + askWeightedPrice) / 2,
-          spread: (askWeightedPrice - bidWeightedPrice) / bidWeightedPrice * 100,
-          timestamp: orderbook.timestamp
-        };
+        return this.summarizeOrderBook(symbol, orderbook, limit);
       } catch (error) {
         logger.error(`Failed to fetch orderbook for ${symbol}: ${error.message}`);
         throw error;
@@ -159,11 +210,110 @@ class DataService {
   }
 
   /**
-   * Fetch multiple timeframes data for a symbol - NO FUNDING RATE
+   * Resolve a spot-style id (BTCUSDT) to the linear perpetual symbol, or null if not listed
+   */
+  async getFuturesSymbol(symbol) {
+    await this.futures.loadMarkets();
+    const market = Object.values(this.futures.markets)
+      .find(m => m.id === symbol && m.swap && m.linear && m.active !== false);
+    return market ? market.symbol : null;
+  }
+
+  /**
+   * Fetch funding rates, open interest history and long/short ratio.
+   * Returns null when futures data is disabled or the symbol has no perpetual market;
+   * individual series fall back to empty/null when a call fails.
+   */
+  async fetchFundingAndOI(symbol, timeframe = '1h', limit = 48) {
+    if (!this.futuresEnabled) return null;
+
+    // Funding and OI move slowly; avoid refetching them on every candle close
+    const cached = this.fundingCache.get(`${symbol}:${timeframe}`);
+    if (cached && cached.expires > Date.now()) return cached.data;
+
+    let futuresSymbol;
+    try {
+      futuresSymbol = await this.getFuturesSymbol(symbol);
+    } catch (error) {
+      logger.warn(`Futures markets unavailable: ${error.message}`);
+      return null;
+    }
+    if (!futuresSymbol) return null;
+
+    const safeFetch = async (label, fn, fallback) => {
+      try {
+        return await limiter.schedule(fn);
+      } catch (error) {
+        logger.warn(`Failed to fetch ${label} for ${symbol}: ${error.message}`);
+        return fallback;
+      }
+    };
+
+    const funding = await safeFetch('funding rate', () => this.futures.fetchFundingRate(futuresSymbol), null);
+    const fundingHistory = await safeFetch('funding history', () => this.futures.fetchFundingRateHistory(futuresSymbol, undefined, 21), []);
+    const openInterest = await safeFetch('open interest', () => this.futures.fetchOpenInterestHistory(futuresSymbol, timeframe, undefined, limit), []);
+    const longShort = await safeFetch('long/short ratio', () => this.futures.fetchLongShortRatioHistory(futuresSymbol, timeframe, undefined, limit), []);
+
+    const result = !funding && openInterest.length === 0 && longShort.length === 0 ? null : {
+      symbol: futuresSymbol,
+      fundingRate: funding ? funding.fundingRate : null,
+      nextFundingTime: funding ? funding.fundingTimestamp : null,
+      fundingHistory: fundingHistory.map(f => ({ timestamp: f.timestamp, rate: f.fundingRate })),
+      openInterest: openInterest.map(oi => ({
+        timestamp: oi.timestamp,
+        amount: oi.openInterestAmount,
+        value: oi.openInterestValue
+      })),
+      longShortRatio: longShort.map(ls => ({ timestamp: ls.timestamp, ratio: ls.longShortRatio })),
+      timeframe
+    };
+
+    this.fundingCache.set(`${symbol}:${timeframe}`, { data: result, expires: Date.now() + this.fundingCacheTtl });
+    return result;
+  }
+
+  /**
+   * Fetch benchmark candles (BTC/ETH by default) for correlation analysis, excluding the symbol itself
+   */
+  async fetchBenchmarks(symbol, timeframe = '1h', limit = 100) {
+    const benchmarks = {};
+
+    for (const benchmark of this.benchmarkSymbols.filter(b => b !== symbol)) {
+      const streamed = this.stream && this.stream.getData(benchmark, [timeframe], limit);
+      if (streamed) {
+        benchmarks[benchmark] = streamed[timeframe];
+        continue;
+      }
+
+      const cacheKey = `${benchmark}:${timeframe}`;
+      const cached = this.benchmarkCache.get(cacheKey);
+      if (cached && cached.expires > Date.now()) {
+        benchmarks[benchmark] = cached.candles;
+        continue;
+      }
+
+      try {
+        const candles = await this.fetchOHLCV(benchmark, timeframe, limit);
+        this.benchmarkCache.set(cacheKey, { candles, expires: Date.now() + this.benchmarkCacheTtl });
+        benchmarks[benchmark] = candles;
+      } catch (error) {
+        logger.warn(`Failed to fetch benchmark ${benchmark} ${timeframe}: ${error.message}`);
+      }
+    }
+
+    return benchmarks;
+  }
+
+  /**
+   * Fetch multiple timeframes data for a symbol, plus funding/OI when available
    */
-  async fetchMultiTimeframeData(symbol) {
+  async fetchMultiTimeframeData(symbol, timeframes = ['1m', '15m', '1h', '4h']) {
     try {
-      const timeframes = ['1m', '15m', '1h', '4h'];
+      if (this.stream) {
+        const streamed = await this.getStreamedData(symbol, timeframes);
+        if (streamed) return streamed;
+      }
+
       const data = {};
       
       for (const tf of timeframes) {
@@ -177,11 +327,11 @@ class DataService {
         }
       }
       
-      // Fetch additional market data (NO FUNDING RATE)
+      // Fetch additional market data
       data.orderbook = await this.fetchOrderBook(symbol);
       data.ticker = await this.fetchTicker(symbol);
-      
-      // COMPLETELY REMOVED: data.fundingOI = await this.fetchFundingAndOI(symbol);
+      data.fundingOI = await this.fetchFundingAndOI(symbol);
+      data.benchmarks = await this.fetchBenchmarks(symbol);
       
       return data;
     } catch (error) {
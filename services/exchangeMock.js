@@ -0,0 +1,161 @@
+/**
+ * Mocked ccxt exchange for exercising ExecutionService without real orders
+ *
+ * Usage:
+ *   const exchange = createMockExchange({ balance: 1000, prices: { BTCUSDT: 50000 } });
+ *   const execution = new ExecutionService({ storage, exchange, config: { enabled: true } });
+ *   exchange.orders            // every order placed, in order
+ *   exchange.failOn('STOP_MARKET')  // make the next orders of a type throw
+ *   exchange.failOn('market', { reduceOnly: true })  // ...only those with matching params
+ *   exchange.fill(stopOrderId, 49000)  // trigger a bracket order at a price
+ *
+ * Market orders fill at `prices` and move the net position per symbol; reduce-only
+ * orders are rejected when there is nothing left to reduce, like on Binance.
+ */
+
+function createMockExchange(options = {}) {
+  const { balance = 1000, prices = {}, amountDecimals = 3, feeRate = 0 } = options;
+  const failing = new Map(); // order type -> params that must match (null = any)
+  let nextId = 1;
+
+  const markets = {};
+  for (const id of Object.keys(prices)) {
+    const base = id.replace(/USDT$/, '');
+    const symbol = `${base}/USDT:USDT`;
+    markets[symbol] = { id, symbol, base, quote: 'USDT', swap: true, linear: true, active: true };
+  }
+
+  const netPositions = {}; // symbol -> signed contracts (long > 0)
+
+  function execute(order, price) {
+    const current = netPositions[order.symbol] || 0;
+    const signed = order.side === 'buy' ? order.amount : -order.amount;
+    if (order.params.reduceOnly && (current === 0 || Math.sign(signed) === Math.sign(current))) {
+      throw new Error('Mock ReduceOnly order is rejected');
+    }
+
+    const amount = order.params.reduceOnly ? Math.min(order.amount, Math.abs(current)) : order.amount;
+    const fee = { cost: amount * price * feeRate, currency: 'USDT' };
+    netPositions[order.symbol] = current + (order.side === 'buy' ? amount : -amount);
+    Object.assign(order, { status: 'closed', filled: amount, average: price, fee });
+    exchange.trades.push({
+      id: `t${order.id}`,
+      order: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      amount,
+      price,
+      fee,
+      timestamp: Date.now()
+    });
+  }
+
+  const exchange = {
+    markets,
+    prices: { ...prices },
+    orders: [],
+    cancelled: [],
+    trades: [],
+    sandbox: false,
+
+    setSandboxMode(enabled) {
+      exchange.sandbox = enabled;
+    },
+
+    async loadMarkets() {
+      return markets;
+    },
+
+    async fetchBalance() {
+      return { USDT: { free: balance, used: 0, total: balance } };
+    },
+
+    amountToPrecision(symbol, amount) {
+      return amount.toFixed(amountDecimals);
+    },
+
+    priceToPrecision(symbol, price) {
+      return String(price);
+    },
+
+    async createOrder(symbol, type, side, amount, price, params = {}) {
+      const failure = failing.get(type);
+      if (failing.has(type) && (!failure || Object.entries(failure).every(([key, value]) => params[key] === value))) {
+        throw new Error(`Mock ${type} order rejected`);
+      }
+
+      const order = {
+        id: String(nextId++),
+        symbol,
+        type,
+        side,
+        amount: Number(amount),
+        price: price ?? null,
+        average: null,
+        filled: 0,
+        fee: null,
+        status: 'open',
+        params
+      };
+      if (type === 'market') execute(order, exchange.prices[markets[symbol]?.id]);
+      exchange.orders.push(order);
+      return { ...order };
+    },
+
+    async cancelOrder(id, symbol) {
+      const order = exchange.orders.find(o => o.id === id);
+      if (order && order.status === 'open') order.status = 'canceled';
+      exchange.cancelled.push({ id, symbol });
+      return { id, symbol, status: 'canceled' };
+    },
+
+    async fetchOrder(id) {
+      const order = exchange.orders.find(o => o.id === id);
+      if (!order) throw new Error(`Mock order ${id} not found`);
+      return { ...order };
+    },
+
+    async fetchPositions(symbols = Object.keys(markets)) {
+      return symbols
+        .filter(symbol => netPositions[symbol])
+        .map(symbol => ({
+          symbol,
+          side: netPositions[symbol] > 0 ? 'long' : 'short',
+          contracts: Math.abs(netPositions[symbol])
+        }));
+    },
+
+    async fetchMyTrades(symbol, since = 0) {
+      return exchange.trades.filter(t => t.symbol === symbol && t.timestamp >= since);
+    },
+
+    /**
+     * Trigger an open (stop / take-profit) order at `price`
+     */
+    fill(id, price) {
+      const order = exchange.orders.find(o => o.id === id);
+      if (!order || order.status !== 'open') throw new Error(`Mock order ${id} is not open`);
+      execute(order, price);
+      return { ...order };
+    },
+
+    /**
+     * Change the position outside of the tracked orders (manual close, liquidation)
+     */
+    setPosition(symbol, contracts) {
+      netPositions[symbol] = contracts;
+    },
+
+    failOn(type, params = null) {
+      failing.set(type, params);
+    },
+
+    clearFailures() {
+      failing.clear();
+    }
+  };
+
+  return exchange;
+}
+
+module.exports = { createMockExchange };
@@ -0,0 +1,406 @@
+/**
+ * Live Execution - Places entry plus bracket SL/TP orders on Binance USDT-M futures
+ *
+ * Off unless LIVE_TRADING_ENABLED=true and API keys are set. Every execution needs an
+ * admin confirmation and passes the safety rails first: kill switch, max daily loss,
+ * max open positions and per-symbol notional exposure. The stop is placed right after
+ * the entry fill; if it cannot be placed the position is closed immediately, and if that
+ * close fails too it is kept as UNPROTECTED (counted by the rails) and admins are alerted.
+ *
+ * Exits are booked from exchange fills: bracket order status, or the account's trades
+ * when the position was closed some other way. `reconcile()` polls open positions.
+ *
+ * Use EXECUTION_SANDBOX=true (default) for the exchange testnet, or pass a mocked
+ * exchange (services/exchangeMock.js) in tests.
+ */
+
+const ccxt = require('ccxt');
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+class ExecutionService {
+  constructor({ storage, exchange = null, alert = null, config = {} }) {
+    this.storage = storage;
+    this.alert = alert; // ({ type, position, error }) -> void, e.g. a Telegram message to admins
+    this.config = {
+      enabled: process.env.LIVE_TRADING_ENABLED === 'true',
+      apiKey: process.env.BINANCE_API_KEY || null,
+      secret: process.env.BINANCE_SECRET_KEY || null,
+      sandbox: process.env.EXECUTION_SANDBOX !== 'false',
+      riskPercent: parseFloat(process.env.EXECUTION_RISK_PERCENT) || 1,
+      maxDailyLoss: parseFloat(process.env.EXECUTION_MAX_DAILY_LOSS) || 50,
+      maxOpenPositions: parseInt(process.env.EXECUTION_MAX_OPEN_POSITIONS) || 3,
+      maxSymbolExposure: parseFloat(process.env.EXECUTION_MAX_SYMBOL_EXPOSURE) || 500,
+      confirmTtlMs: parseInt(process.env.EXECUTION_CONFIRM_TTL_MS) || 5 * 60 * 1000,
+      reconcileIntervalMs: parseInt(process.env.EXECUTION_RECONCILE_MS) || 60 * 1000,
+      quoteCurrency: 'USDT',
+      ...config
+    };
+    this.exchange = exchange || (this.isEnabled() ? this.createExchange() : null);
+    this.positions = storage.collection('livePositions');
+  }
+
+  isEnabled() {
+    return Boolean(this.config.enabled && (this.exchange || (this.config.apiKey && this.config.secret)));
+  }
+
+  createExchange() {
+    const exchange = new ccxt.binanceusdm({
+      apiKey: this.config.apiKey,
+      secret: this.config.secret,
+      enableRateLimit: true
+    });
+    if (this.config.sandbox) exchange.setSandboxMode(true);
+    return exchange;
+  }
+
+  isHalted() {
+    return this.storage.get('executionHalted', false);
+  }
+
+  setHalted(halted) {
+    this.storage.set('executionHalted', Boolean(halted));
+    console.log(halted ? '🛑 Live execution kill switch ON' : '✅ Live execution kill switch OFF');
+  }
+
+  /**
+   * Realized PnL for the current UTC day
+   */
+  getDailyPnl() {
+    const daily = this.storage.get('executionDaily');
+    return daily && daily.date === today() ? daily.realizedPnl : 0;
+  }
+
+  addDailyPnl(pnl) {
+    this.storage.set('executionDaily', { date: today(), realizedPnl: this.getDailyPnl() + pnl });
+  }
+
+  /**
+   * Positions still held on the exchange, including UNPROTECTED ones (no stop order)
+   */
+  getOpenPositions() {
+    return [...this.positions.values()].filter(p => p.status === 'OPEN' || p.status === 'UNPROTECTED');
+  }
+
+  getSymbolExposure(symbol) {
+    return this.getOpenPositions()
+      .filter(p => p.symbol === symbol)
+      .reduce((sum, p) => sum + p.notional, 0);
+  }
+
+  /**
+   * Safety rails checked before asking for confirmation and again before executing
+   */
+  checkRails(signal) {
+    if (!this.isEnabled()) return { ok: false, reason: 'Live trading is disabled' };
+    if (this.isHalted()) return { ok: false, reason: 'Kill switch is active' };
+    if (signal.direction !== 'LONG' && signal.direction !== 'SHORT') return { ok: false, reason: 'Signal has no direction' };
+    if (this.positions.has(signal.id)) return { ok: false, reason: `Signal #${signal.id} was already executed` };
+
+    const dailyPnl = this.getDailyPnl();
+    if (dailyPnl <= -this.config.maxDailyLoss) {
+      return { ok: false, reason: `Daily loss limit reached (${dailyPnl.toFixed(2)} / -${this.config.maxDailyLoss})` };
+    }
+
+    const open = this.getOpenPositions();
+    if (open.length >= this.config.maxOpenPositions) {
+      return { ok: false, reason: `Max open positions reached (${open.length}/${this.config.maxOpenPositions})` };
+    }
+
+    if (this.getSymbolExposure(signal.symbol) >= this.config.maxSymbolExposure) {
+      return { ok: false, reason: `${signal.symbol} exposure limit reached ($${this.config.maxSymbolExposure})` };
+    }
+
+    return { ok: true, reason: null };
+  }
+
+  /**
+   * Whether a confirmation for a signal is still fresh enough to act on
+   */
+  isConfirmationValid(signal, requestedAt, now = Date.now()) {
+    return signal.status === 'OPEN' && now - new Date(requestedAt).getTime() <= this.config.confirmTtlMs;
+  }
+
+  async getMarketSymbol(symbol) {
+    await this.exchange.loadMarkets();
+    const market = Object.values(this.exchange.markets)
+      .find(m => m.id === symbol && m.swap && m.linear && m.active !== false);
+    return market ? market.symbol : null;
+  }
+
+  /**
+   * Risk-based size, scaled down with any portfolio risk reduction and capped by the
+   * remaining per-symbol exposure
+   */
+  async calculateAmount(signal, marketSymbol) {
+    const balance = await this.exchange.fetchBalance();
+    const free = balance[this.config.quoteCurrency]?.free || 0;
+    const riskPerUnit = Math.abs(signal.entry - signal.sl);
+    if (free <= 0 || riskPerUnit === 0) return 0;
+
+    const baseRisk = signal.risk?.baseRiskPercent;
+    const scale = Number.isFinite(signal.riskPercent) && baseRisk > 0 ? Math.min(1, signal.riskPercent / baseRisk) : 1;
+    const riskAmount = free * this.config.riskPercent * scale / 100;
+    const remainingExposure = this.config.maxSymbolExposure - this.getSymbolExposure(signal.symbol);
+    const amount = Math.min(riskAmount / riskPerUnit, remainingExposure / signal.entry);
+    return amount > 0 ? parseFloat(this.exchange.amountToPrecision(marketSymbol, amount)) : 0;
+  }
+
+  /**
+   * Market entry, then reduce-only STOP_MARKET and TAKE_PROFIT_MARKET orders
+   */
+  async execute(signal) {
+    const rails = this.checkRails(signal);
+    if (!rails.ok) throw new Error(rails.reason);
+
+    const marketSymbol = await this.getMarketSymbol(signal.symbol);
+    if (!marketSymbol) throw new Error(`${signal.symbol} has no perpetual market`);
+
+    const amount = await this.calculateAmount(signal, marketSymbol);
+    if (!(amount > 0)) throw new Error('Position size rounds to zero');
+
+    const isLong = signal.direction === 'LONG';
+    const entrySide = isLong ? 'buy' : 'sell';
+    const exitSide = isLong ? 'sell' : 'buy';
+
+    const entryOrder = await this.exchange.createOrder(marketSymbol, 'market', entrySide, amount);
+    const entryPrice = entryOrder.average || entryOrder.price || signal.entry;
+    const position = {
+      signalId: signal.id,
+      symbol: signal.symbol,
+      marketSymbol,
+      direction: signal.direction,
+      amount: entryOrder.filled || amount,
+      entryPrice,
+      entryFee: entryOrder.fee?.cost || 0,
+      notional: (entryOrder.filled || amount) * entryPrice,
+      sl: signal.sl,
+      tp: signal.tp,
+      orders: { entry: entryOrder.id, stop: null, takeProfit: null },
+      status: 'OPEN',
+      openedAt: new Date()
+    };
+
+    try {
+      const stopOrder = await this.exchange.createOrder(marketSymbol, 'STOP_MARKET', exitSide, position.amount, undefined, {
+        stopPrice: this.exchange.priceToPrecision(marketSymbol, signal.sl),
+        reduceOnly: true
+      });
+      position.orders.stop = stopOrder.id;
+    } catch (error) {
+      // Never leave a position without a stop
+      try {
+        await this.closePosition(position, 'STOP_FAILED');
+      } catch (closeError) {
+        // Still holding the entry: keep tracking it so the rails count it and admins can flatten it
+        const unprotected = { ...position, status: 'UNPROTECTED', error: closeError.message };
+        this.positions.set(signal.id, unprotected);
+        console.error(`🚨 #${signal.id} ${marketSymbol} is open WITHOUT a stop: ${closeError.message}`);
+        if (this.alert) this.alert({ type: 'unprotected', position: unprotected, error: closeError.message });
+        throw new Error(`Stop order failed and the emergency close failed, position is UNPROTECTED: ${closeError.message}`);
+      }
+      throw new Error(`Stop order failed, position closed: ${error.message}`);
+    }
+
+    try {
+      const takeProfitOrder = await this.exchange.createOrder(marketSymbol, 'TAKE_PROFIT_MARKET', exitSide, position.amount, undefined, {
+        stopPrice: this.exchange.priceToPrecision(marketSymbol, signal.tp),
+        reduceOnly: true
+      });
+      position.orders.takeProfit = takeProfitOrder.id;
+    } catch (error) {
+      console.warn(`⚠️ Take-profit order failed for #${signal.id}, stop is in place: ${error.message}`);
+    }
+
+    this.positions.set(signal.id, position);
+    console.log(`⚡ Executed #${signal.id} ${signal.direction} ${position.amount} ${marketSymbol} @ ${entryPrice}`);
+    return position;
+  }
+
+  async cancelBrackets(position) {
+    for (const orderId of [position.orders.stop, position.orders.takeProfit]) {
+      if (!orderId) continue;
+      try {
+        await this.exchange.cancelOrder(orderId, position.marketSymbol);
+      } catch (error) {
+        // Already filled or cancelled
+      }
+    }
+  }
+
+  async fetchOrder(orderId, marketSymbol) {
+    if (!orderId) return null;
+    try {
+      return await this.exchange.fetchOrder(orderId, marketSymbol);
+    } catch (error) {
+      console.warn(`⚠️ Could not fetch order ${orderId} on ${marketSymbol}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Size still held on the exchange for the position's market and side
+   */
+  async getExchangeAmount(position) {
+    const side = position.direction === 'LONG' ? 'long' : 'short';
+    const positions = await this.exchange.fetchPositions([position.marketSymbol]);
+    return positions
+      .filter(p => p.symbol === position.marketSymbol && (!p.side || p.side === side))
+      .reduce((sum, p) => sum + Math.abs(p.contracts || 0), 0);
+  }
+
+  /**
+   * Exit fills since the position opened (reduce side trades), as { price, amount, fee }
+   */
+  async fetchExitFills(position) {
+    const exitSide = position.direction === 'LONG' ? 'sell' : 'buy';
+    const since = new Date(position.openedAt).getTime();
+    const trades = (await this.exchange.fetchMyTrades(position.marketSymbol, since))
+      .filter(t => t.side === exitSide && t.order !== position.orders.entry);
+    const amount = trades.reduce((sum, t) => sum + t.amount, 0);
+    if (amount === 0) return null;
+
+    return {
+      price: trades.reduce((sum, t) => sum + t.price * t.amount, 0) / amount,
+      amount,
+      fee: trades.reduce((sum, t) => sum + (t.fee?.cost || 0), 0)
+    };
+  }
+
+  /**
+   * Mark a position closed and add its realized PnL (net of fees) to the daily total
+   */
+  bookExit(position, outcome, fill) {
+    const isLong = position.direction === 'LONG';
+    const amount = fill.amount || position.amount;
+    const gross = (isLong ? fill.price - position.entryPrice : position.entryPrice - fill.price) * amount;
+    const pnl = gross - (position.entryFee || 0) - (fill.fee || 0);
+    this.addDailyPnl(pnl);
+
+    const closed = { ...position, status: 'CLOSED', exitPrice: fill.price, outcome, pnl, closedAt: new Date() };
+    this.positions.set(position.signalId, closed);
+    console.log(`⚡ Live position #${position.signalId} closed: ${outcome} (${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)})`);
+    return closed;
+  }
+
+  /**
+   * Book the position if the exchange already closed it: a filled bracket order, or no
+   * size left (manual close, liquidation). Returns the closed position, or null if still open.
+   */
+  async reconcilePosition(position) {
+    const brackets = [['SL', position.orders.stop], ['TP', position.orders.takeProfit]];
+    for (const [outcome, orderId] of brackets) {
+      const order = await this.fetchOrder(orderId, position.marketSymbol);
+      if (order && order.status === 'closed' && order.filled > 0) {
+        await this.cancelBrackets(position);
+        return this.bookExit(position, outcome, {
+          price: order.average || order.price,
+          amount: order.filled,
+          fee: order.fee?.cost || 0
+        });
+      }
+    }
+
+    if (await this.getExchangeAmount(position) > 0) return null;
+
+    await this.cancelBrackets(position);
+    const fill = await this.fetchExitFills(position);
+    if (!fill) {
+      // Nothing to book from; stop counting it against the rails
+      console.warn(`⚠️ #${position.signalId} is gone from the exchange without exit fills`);
+      const closed = { ...position, status: 'CLOSED', outcome: 'EXTERNAL', pnl: null, closedAt: new Date() };
+      this.positions.set(position.signalId, closed);
+      return closed;
+    }
+    return this.bookExit(position, 'EXTERNAL', fill);
+  }
+
+  /**
+   * Check every open position against the exchange; run every `reconcileIntervalMs`
+   */
+  async reconcile() {
+    const closed = [];
+    for (const position of this.getOpenPositions()) {
+      try {
+        const result = await this.reconcilePosition(position);
+        if (result) closed.push(result);
+      } catch (error) {
+        console.error(`❌ Failed to reconcile #${position.signalId}:`, error.message);
+      }
+    }
+    return closed;
+  }
+
+  /**
+   * Cancel leftover brackets, flatten at market and book PnL from the fill. If the
+   * exchange rejects the close (already flat), the position is reconciled instead.
+   */
+  async closePosition(position, outcome) {
+    await this.cancelBrackets(position);
+
+    let order;
+    try {
+      const isLong = position.direction === 'LONG';
+      order = await this.exchange.createOrder(position.marketSymbol, 'market', isLong ? 'sell' : 'buy', position.amount, undefined, { reduceOnly: true });
+    } catch (error) {
+      if (!this.positions.has(position.signalId)) throw error;
+      const reconciled = await this.reconcilePosition(position);
+      if (reconciled) return reconciled;
+      throw error;
+    }
+
+    return this.bookExit(position, outcome, {
+      price: order.average || order.price || position.entryPrice,
+      amount: order.filled || position.amount,
+      fee: order.fee?.cost || 0
+    });
+  }
+
+  /**
+   * Tracker resolution (spot prices): book the exchange exit if a bracket already filled.
+   * Expired signals are flattened; for TP/SL the brackets stay live until they fill.
+   */
+  async onSignalResolved(signal) {
+    const position = this.positions.get(String(signal.id));
+    if (!position || position.status === 'CLOSED') return null;
+
+    const reconciled = await this.reconcilePosition(position);
+    if (reconciled || signal.outcome !== 'EXPIRED') return reconciled;
+    return this.closePosition(position, 'EXPIRED');
+  }
+
+  /**
+   * Kill switch: halt new executions and optionally flatten every open position
+   */
+  async killSwitch({ flatten = false } = {}) {
+    this.setHalted(true);
+    if (!flatten) return [];
+
+    const closed = [];
+    for (const position of this.getOpenPositions()) {
+      try {
+        closed.push(await this.closePosition(position, 'KILLED'));
+      } catch (error) {
+        console.error(`❌ Failed to flatten ${position.marketSymbol}:`, error.message);
+      }
+    }
+    return closed;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      sandbox: this.config.sandbox,
+      halted: this.isHalted(),
+      dailyPnl: this.getDailyPnl(),
+      maxDailyLoss: this.config.maxDailyLoss,
+      openPositions: this.getOpenPositions(),
+      maxOpenPositions: this.config.maxOpenPositions,
+      maxSymbolExposure: this.config.maxSymbolExposure
+    };
+  }
+}
+
+module.exports = ExecutionService;
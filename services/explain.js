@@ -0,0 +1,139 @@
+/**
+ * Signal Explanations - Full detector breakdown behind a signal's confidence
+ *
+ * Broadcast signals are looked up by their storage id. Ad-hoc /analyzesymbol results are
+ * not tracked signals, so their explain payload is kept in the `analyses` collection under
+ * an "A"-prefixed id (the most recent `maxAnalyses` only).
+ */
+
+// metadata key -> [label, formatter]
+const METADATA_LABELS = {
+  vwapDistance: ['VWAP dist', v => `${v >= 0 ? '+' : ''}${v.toFixed(2)}%`],
+  volumeZScore: ['Vol z', v => v.toFixed(2)],
+  volumeRatio: ['Vol ratio', v => `${v.toFixed(2)}x`],
+  bbWidth: ['BB width', v => `${(v * 100).toFixed(2)}%`],
+  squeezeStrength: ['Squeeze', v => `${v.toFixed(0)}%`],
+  breakoutStrength: ['Breakout', v => `${v.toFixed(2)}%`],
+  volumeImbalance: ['Book imbalance', v => v.toFixed(2)],
+  rsi15m: ['RSI 15m', v => v.toFixed(1)],
+  rsi1h: ['RSI 1h', v => v.toFixed(1)],
+  priceChange: ['Price chg', v => `${v.toFixed(2)}%`],
+  fundingRate: ['Funding', v => `${(v * 100).toFixed(4)}%`],
+  longShortRatio: ['L/S ratio', v => v.toFixed(2)],
+  oiChange: ['OI chg', v => `${v.toFixed(2)}%`],
+  beta: ['Beta', v => v.toFixed(2)],
+  residualZ: ['Residual z', v => v.toFixed(2)],
+  relativeStrength: ['Rel strength', v => `${v.toFixed(2)}%`]
+};
+
+class SignalExplainer {
+  constructor({ storage, config = {} }) {
+    this.storage = storage;
+    this.config = {
+      maxAnalyses: 200,
+      maxMetadataFields: 4,
+      ...config
+    };
+    this.analyses = storage.collection('analyses');
+  }
+
+  /**
+   * Keep an ad-hoc analysis result and return its id
+   */
+  saveAnalysis(result) {
+    const id = `A${this.storage.get('nextAnalysisId', 1)}`;
+    this.storage.set('nextAnalysisId', parseInt(id.slice(1)) + 1);
+    this.analyses.set(id, {
+      id,
+      createdAt: new Date(),
+      symbol: result.symbol,
+      direction: result.direction,
+      confidence: result.confidence,
+      reason: result.reason,
+      explain: result.explain
+    });
+
+    // Drop the oldest analyses beyond the cap (Map keeps insertion order)
+    for (const key of this.analyses.keys()) {
+      if (this.analyses.size <= this.config.maxAnalyses) break;
+      this.analyses.delete(key);
+    }
+    return id;
+  }
+
+  get(id) {
+    const key = String(id).replace(/^#/, '').toUpperCase();
+    return key.startsWith('A') ? this.analyses.get(key) || null : this.storage.getSignal(key);
+  }
+
+  formatMetadata(metadata) {
+    if (!metadata) return '';
+
+    const known = Object.entries(METADATA_LABELS)
+      .filter(([key]) => Number.isFinite(metadata[key]))
+      .map(([key, [label, format]]) => `${label} ${format(metadata[key])}`);
+    const other = Object.entries(metadata)
+      .filter(([key, value]) => !METADATA_LABELS[key] && Number.isFinite(value))
+      .map(([key, value]) => `${key} ${Number.isInteger(value) ? value : value.toFixed(4)}`);
+
+    return [...known, ...other].slice(0, this.config.maxMetadataFields).join(' | ');
+  }
+
+  formatDetector(detector) {
+    const metadata = this.formatMetadata(detector.metadata);
+    return `• <b>${detector.name}</b> ${detector.score}/100 ${detector.direction}\n` +
+      `  ${escapeHtml(detector.reason || '')}` +
+      (metadata ? `\n  <i>${escapeHtml(metadata)}</i>` : '');
+  }
+
+  /**
+   * HTML breakdown: detectors grouped by how they voted, then agreement, ML and trend.
+   * `t` is a bound translator for the reader's language.
+   */
+  format(record, t) {
+    const explain = record.explain || {};
+    const detectors = [...(explain.detectorResults || [])].sort((a, b) => b.score - a.score);
+    const direction = explain.agreement?.majorityDirection || record.direction;
+    const opposite = direction === 'LONG' ? 'SHORT' : direction === 'SHORT' ? 'LONG' : null;
+
+    const groups = [
+      ['explain.votedFor', detectors.filter(d => d.direction === direction)],
+      ['explain.votedAgainst', detectors.filter(d => d.direction === opposite)],
+      ['explain.neutral', detectors.filter(d => d.direction !== direction && d.direction !== opposite)]
+    ].filter(([, list]) => list.length > 0);
+
+    const lines = [t('explain.title', {
+      id: record.id,
+      coin: record.symbol.replace('USDT', ''),
+      direction: record.direction,
+      confidence: record.confidence
+    })];
+    if (record.reason) lines.push(`💡 ${escapeHtml(record.reason)}`);
+
+    for (const [title, list] of groups) {
+      lines.push('', `<b>${t(title, { count: list.length })}</b>`, ...list.map(d => this.formatDetector(d)));
+    }
+
+    if (explain.agreement) {
+      const a = explain.agreement;
+      lines.push('', t('explain.agreement', { majority: a.majorityCount, direction: a.majorityDirection, count: detectors.length }));
+    }
+    if (Number.isFinite(explain.metaScore)) lines.push(t('explain.metaScore', { score: parseFloat(explain.metaScore.toFixed(1)) }));
+    if (explain.ml && !explain.ml.fallback) {
+      lines.push(t('explain.ml', { probability: Math.round(explain.ml.probability * 100), score: parseFloat(explain.ml.ensembleScore.toFixed(1)) }));
+    }
+    if (explain.confluence?.adjustment) {
+      const adjustment = explain.confluence.adjustment;
+      lines.push(t('explain.trend', { adjustment: `${adjustment > 0 ? '+' : ''}${adjustment}` }));
+    }
+    if (explain.error) lines.push(`⚠️ ${escapeHtml(explain.error)}`);
+
+    return lines.join('\n');
+  }
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = SignalExplainer;
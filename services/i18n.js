@@ -0,0 +1,132 @@
+/**
+ * Localization - message catalogs, pluralization and number formatting per locale
+ *
+ * Catalogs live in locales/<code>.js as nested objects. A message is a string with
+ * {param} placeholders, or a plural map ({ one, few, other, ... }) chosen with
+ * Intl.PluralRules from the `count` param. Keys missing in a locale fall back to English.
+ */
+
+const CATALOGS = {
+  en: require('../locales/en'),
+  vi: require('../locales/vi')
+};
+
+// Catalog code -> Intl locale used for plural rules and number separators
+const INTL_LOCALES = {
+  en: 'en-US',
+  vi: 'vi-VN'
+};
+
+class I18n {
+  constructor(config = {}) {
+    this.config = {
+      defaultLocale: process.env.DEFAULT_LANGUAGE || 'en',
+      fallbackLocale: 'en',
+      ...config
+    };
+    this.catalogs = CATALOGS;
+    this.formatters = new Map(); // `${locale}:${min}:${max}` -> Intl.NumberFormat
+    this.pluralRules = new Map();
+  }
+
+  get locales() {
+    return Object.keys(this.catalogs);
+  }
+
+  isSupported(locale) {
+    return Boolean(locale && this.catalogs[locale]);
+  }
+
+  /**
+   * Saved preference, then the Telegram client language ("vi", "en-GB"), then DEFAULT_LANGUAGE
+   */
+  resolve(preferred, clientLanguage = null) {
+    if (this.isSupported(preferred)) return preferred;
+    const client = clientLanguage ? clientLanguage.split('-')[0].toLowerCase() : null;
+    if (this.isSupported(client)) return client;
+    return this.isSupported(this.config.defaultLocale) ? this.config.defaultLocale : this.config.fallbackLocale;
+  }
+
+  lookup(locale, key) {
+    return key.split('.').reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), this.catalogs[locale]);
+  }
+
+  /**
+   * Whether a key exists (in the fallback catalog), e.g. for optional label maps
+   */
+  has(key) {
+    return this.lookup(this.config.fallbackLocale, key) !== undefined;
+  }
+
+  pluralCategory(locale, count) {
+    if (!this.pluralRules.has(locale)) {
+      this.pluralRules.set(locale, new Intl.PluralRules(INTL_LOCALES[locale] || locale));
+    }
+    return this.pluralRules.get(locale).select(count);
+  }
+
+  /**
+   * Translate a key; numeric params are formatted for the locale
+   */
+  t(locale, key, params = {}) {
+    let message = this.lookup(locale, key);
+    if (message === undefined) message = this.lookup(this.config.fallbackLocale, key);
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+      const count = Number(params.count) || 0;
+      message = message[this.pluralCategory(locale, count)] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return placeholder;
+      return typeof value === 'number' ? this.formatNumber(locale, value) : String(value);
+    });
+  }
+
+  /**
+   * Bind a locale: returns (key, params) => string
+   */
+  translator(locale) {
+    return (key, params) => this.t(locale, key, params);
+  }
+
+  formatNumber(locale, value, { minDecimals = 0, maxDecimals = 2 } = {}) {
+    if (!Number.isFinite(value)) return this.t(locale, 'common.na');
+
+    const cacheKey = `${locale}:${minDecimals}:${maxDecimals}`;
+    if (!this.formatters.has(cacheKey)) {
+      this.formatters.set(cacheKey, new Intl.NumberFormat(INTL_LOCALES[locale] || locale, {
+        minimumFractionDigits: minDecimals,
+        maximumFractionDigits: maxDecimals
+      }));
+    }
+    return this.formatters.get(cacheKey).format(value);
+  }
+
+  /**
+   * Fixed decimals (e.g. 2 -> "1,234.50" / "1.234,50")
+   */
+  formatFixed(locale, value, decimals = 2) {
+    return this.formatNumber(locale, value, { minDecimals: decimals, maxDecimals: decimals });
+  }
+
+  /**
+   * Prices: 2 decimals above 10, otherwise 4 (N/A for missing values)
+   */
+  formatPrice(locale, value) {
+    const number = parseFloat(value);
+    if (value === undefined || value === null || isNaN(number)) return this.t(locale, 'common.na');
+    return this.formatFixed(locale, number, number > 10 ? 2 : 4);
+  }
+
+  /**
+   * Signed amount with fixed decimals: "+1.50" / "-0.75"
+   */
+  formatSigned(locale, value, decimals = 2) {
+    return (value >= 0 ? '+' : '-') + this.formatFixed(locale, Math.abs(value), decimals);
+  }
+}
+
+module.exports = I18n;
@@ -0,0 +1,50 @@
+/**
+ * Inline keyboard builders shared by the bot menus
+ */
+
+function chunk(items, size) {
+  const rows = [];
+  for (let i = 0; i < items.length; i += size) rows.push(items.slice(i, i + size));
+  return rows;
+}
+
+/**
+ * Grid of coin buttons with callback data `${prefix}:${coin}`. Pass `selected`
+ * (array, or null for all) to show checkmarks.
+ */
+function coinPicker(coins, prefix, { columns = 3, selected, extraRows = [] } = {}) {
+  const buttons = coins.map(coin => {
+    const label = coin.replace('USDT', '');
+    const text = selected === undefined ? label : `${!selected || selected.includes(coin) ? '✅' : '▫️'} ${label}`;
+    return { text, callback_data: `${prefix}:${coin}` };
+  });
+  return [...chunk(buttons, columns), ...extraRows];
+}
+
+/**
+ * One page of items: { items, page, pages }, with page clamped to the valid range
+ */
+function paginate(items, page, pageSize) {
+  const pages = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(0, page), pages - 1);
+  return { items: items.slice(current * pageSize, (current + 1) * pageSize), page: current, pages };
+}
+
+/**
+ * « Prev | n/m | Next » row; `${prefix}:${page}` callbacks, empty when there is one page
+ */
+function pageRow(prefix, page, pages, { prev = '« Prev', next = 'Next »' } = {}) {
+  if (pages <= 1) return [];
+
+  const row = [];
+  if (page > 0) row.push({ text: prev, callback_data: `${prefix}:${page - 1}` });
+  row.push({ text: `${page + 1}/${pages}`, callback_data: `${prefix}:${page}` });
+  if (page < pages - 1) row.push({ text: next, callback_data: `${prefix}:${page + 1}` });
+  return [row];
+}
+
+function confirmRow(confirmData, cancelData, { confirm = '✅ Confirm', cancel = '✖️ Cancel' } = {}) {
+  return [{ text: confirm, callback_data: confirmData }, { text: cancel, callback_data: cancelData }];
+}
+
+module.exports = { chunk, coinPicker, paginate, pageRow, confirmRow };
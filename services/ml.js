@@ -0,0 +1,128 @@
+/**
+ * ML Prediction Service client
+ *
+ * POSTs a feature vector (detector scores, detector metadata, indicator values) to
+ * ML_SERVICE_URL and expects { probability } in [0, 1]: the chance that the proposed
+ * direction hits its target. Any failure or timeout returns null so the ensemble
+ * falls back to its own decision.
+ */
+
+const axios = require('axios');
+const TradingUtils = require('../utils');
+
+const FEATURE_VERSION = 1;
+
+const DIRECTION_VALUES = { LONG: 1, SHORT: -1, NEUTRAL: 0 };
+
+// Detector metadata fields forwarded to the model when present
+const METADATA_FEATURES = [
+  'volumeZScore', 'vwapDistance', 'bbWidth', 'volumeImbalance', 'rsi15m', 'rsi1h',
+  'fundingRate', 'longShortRatio', 'oiChange', 'beta', 'residualZ', 'relativeStrength'
+];
+
+class MLService {
+  constructor(config = {}) {
+    // ML_WEIGHT=0 is valid (log predictions without affecting scores)
+    const weight = parseFloat(process.env.ML_WEIGHT);
+    this.config = {
+      enabled: process.env.ML_ENABLED === 'true',
+      url: process.env.ML_SERVICE_URL || null,
+      timeoutMs: parseInt(process.env.ML_TIMEOUT_MS) || 2000,
+      weight: Number.isFinite(weight) ? weight : 0.3,
+      ...config
+    };
+  }
+
+  isEnabled() {
+    return Boolean(this.config.enabled && this.config.url);
+  }
+
+  /**
+   * Build the named feature map sent to the model
+   */
+  buildFeatures(detectorResults, data, agreement) {
+    const features = {};
+
+    const sortedResults = [...detectorResults].sort((a, b) => a.name.localeCompare(b.name));
+    for (const detector of sortedResults) {
+      features[`${detector.name}_score`] = detector.score || 0;
+      features[`${detector.name}_direction`] = DIRECTION_VALUES[detector.direction] || 0;
+
+      for (const key of METADATA_FEATURES) {
+        const value = detector.metadata?.[key];
+        if (Number.isFinite(value)) features[`${detector.name}_${key}`] = value;
+      }
+    }
+
+    const candles15m = data['15m'] || [];
+    const candles1h = data['1h'] || [];
+    const candles4h = data['4h'] || [];
+    const closes15m = candles15m.map(c => c.close);
+    const price = closes15m[closes15m.length - 1] || data.ticker?.last || 0;
+    const pctChange = (candles, bars) => candles.length > bars && price > 0
+      ? (price - candles[candles.length - 1 - bars].close) / candles[candles.length - 1 - bars].close * 100
+      : 0;
+    const bb = TradingUtils.calculateBollingerBands(closes15m);
+    const vwap = TradingUtils.calculateVWAP(candles15m);
+
+    features.rsi_15m = TradingUtils.calculateRSI(closes15m);
+    features.rsi_1h = TradingUtils.calculateRSI(candles1h.map(c => c.close));
+    features.atr_percent_15m = price > 0 ? TradingUtils.calculateATR(candles15m) / price * 100 : 0;
+    features.bb_width_15m = bb ? (bb.upper - bb.lower) / bb.middle : 0;
+    features.vwap_distance_15m = vwap > 0 ? (price - vwap) / vwap * 100 : 0;
+    features.return_1h = pctChange(candles1h, 1);
+    features.return_4h = pctChange(candles4h, 1);
+    features.orderbook_imbalance = data.orderbook?.volumeImbalance || 0;
+    features.agreement_long = agreement.directions.LONG;
+    features.agreement_short = agreement.directions.SHORT;
+
+    if (data.regime) {
+      features.regime_adx = data.regime.adx;
+      features.regime_atr_percentile = data.regime.atrPercentile;
+      features.regime_bb_width_percentile = data.regime.bbWidthPercentile;
+    }
+
+    return features;
+  }
+
+  /**
+   * Request a win probability for the proposed direction, or null on any failure
+   */
+  async predict({ symbol, direction, metaScore, features }) {
+    if (!this.isEnabled()) return null;
+
+    const featureNames = Object.keys(features);
+    try {
+      const response = await axios.post(this.config.url, {
+        version: FEATURE_VERSION,
+        symbol,
+        direction,
+        metaScore,
+        features,
+        featureNames,
+        vector: featureNames.map(name => features[name])
+      }, { timeout: this.config.timeoutMs });
+
+      const probability = parseFloat(response.data?.probability);
+      if (!Number.isFinite(probability) || probability < 0 || probability > 1) {
+        console.warn(`⚠️ ML service returned invalid probability for ${symbol}: ${response.data?.probability}`);
+        return null;
+      }
+      return probability;
+    } catch (error) {
+      console.warn(`⚠️ ML service unavailable for ${symbol}, using pure ensemble: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Blend the model probability into the 0-100 meta-score
+   */
+  blend(metaScore, probability) {
+    if (probability === null) return metaScore;
+    const weight = Math.min(1, Math.max(0, this.config.weight));
+    return (1 - weight) * metaScore + weight * probability * 100;
+  }
+}
+
+module.exports = MLService;
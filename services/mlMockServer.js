@@ -0,0 +1,62 @@
+/**
+ * Local mock of the ML prediction endpoint for development and tests
+ *
+ * Usage:
+ *   node services/mlMockServer.js [port]       # then ML_SERVICE_URL=http://localhost:8500/predict
+ *
+ * Programmatic:
+ *   const server = createMockMLServer({ probability: 0.7, delayMs: 0 });
+ *   server.listen(0, () => { const { port } = server.address(); ... });
+ *   server.requests  // received payloads
+ */
+
+const http = require('http');
+
+function createMockMLServer(options = {}) {
+  const {
+    probability = 0.6,
+    delayMs = 0,
+    statusCode = 200,
+    predict = null
+  } = options;
+
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'Not found' }));
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      }
+      requests.push(payload);
+
+      setTimeout(() => {
+        const result = typeof predict === 'function' ? predict(payload) : probability;
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ probability: result }));
+      }, delayMs);
+    });
+  });
+
+  server.requests = requests;
+  return server;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2]) || 8500;
+  createMockMLServer().listen(port, () => {
+    console.log(`🧪 Mock ML service listening on http://localhost:${port}/predict`);
+  });
+}
+
+module.exports = { createMockMLServer };
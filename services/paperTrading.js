@@ -0,0 +1,218 @@
+/**
+ * Paper Trading Account - Opens a virtual position for every broadcast signal
+ *
+ * Positions are sized with TradingUtils.calculatePositionSize from the current balance and
+ * the signal's allocated risk (RISK_PERCENT when absent), filled with slippage and charged
+ * taker fees on entry and exit. They close when the signal tracker resolves the signal
+ * (TP1, SL or expiry). Account state lives in storage meta (`paperAccount`) and positions
+ * in the `paperPositions` collection.
+ */
+
+const TradingUtils = require('../utils');
+
+class PaperTradingAccount {
+  constructor({ storage, dataService, config = {} }) {
+    this.storage = storage;
+    this.dataService = dataService;
+    this.config = {
+      enabled: process.env.PAPER_TRADING_ENABLED !== 'false',
+      initialBalance: parseFloat(process.env.PAPER_INITIAL_BALANCE) || parseFloat(process.env.ACCOUNT_BALANCE) || 1000,
+      riskPercent: parseFloat(process.env.RISK_PERCENT) || 2,
+      feePercent: parseFloat(process.env.PAPER_FEE_PERCENT) || 0.04,
+      slippagePercent: parseFloat(process.env.PAPER_SLIPPAGE_PERCENT) || 0.05,
+      maxEquityPoints: 1000,
+      ...config
+    };
+    this.positions = storage.collection('paperPositions');
+  }
+
+  getAccount() {
+    return this.storage.get('paperAccount') || {
+      initialBalance: this.config.initialBalance,
+      balance: this.config.initialBalance,
+      realizedPnl: 0,
+      feesPaid: 0,
+      trades: 0,
+      wins: 0,
+      losses: 0,
+      createdAt: new Date(),
+      equityHistory: [{ timestamp: new Date(), equity: this.config.initialBalance }]
+    };
+  }
+
+  saveAccount(account) {
+    if (account.equityHistory.length > this.config.maxEquityPoints) {
+      account.equityHistory = account.equityHistory.slice(-this.config.maxEquityPoints);
+    }
+    this.storage.set('paperAccount', account);
+  }
+
+  /**
+   * Worse price for the taker: buys fill higher, sells fill lower
+   */
+  applySlippage(price, side) {
+    const slippage = this.config.slippagePercent / 100;
+    return side === 'buy' ? price * (1 + slippage) : price * (1 - slippage);
+  }
+
+  getOpenPositions() {
+    return [...this.positions.values()].filter(p => p.status === 'OPEN');
+  }
+
+  getClosedPositions() {
+    return [...this.positions.values()].filter(p => p.status === 'CLOSED');
+  }
+
+  /**
+   * Open a position for a recorded signal; returns the position or null when skipped
+   */
+  openPosition(signal) {
+    if (!this.config.enabled || this.positions.has(signal.id)) return null;
+    if (signal.direction !== 'LONG' && signal.direction !== 'SHORT') return null;
+
+    const account = this.getAccount();
+    const isLong = signal.direction === 'LONG';
+    const entry = this.applySlippage(signal.entry, isLong ? 'buy' : 'sell');
+    const riskPercent = Number.isFinite(signal.riskPercent) ? signal.riskPercent : this.config.riskPercent;
+    const size = parseFloat(TradingUtils.calculatePositionSize(account.balance, riskPercent, entry, signal.sl).size);
+
+    if (!(size > 0)) {
+      console.log(`📝 Paper: skipped #${signal.id} ${signal.symbol}, zero position size`);
+      return null;
+    }
+
+    const notional = size * entry;
+    const entryFee = notional * this.config.feePercent / 100;
+    account.balance -= entryFee;
+    account.feesPaid += entryFee;
+
+    const position = {
+      id: signal.id,
+      symbol: signal.symbol,
+      direction: signal.direction,
+      size,
+      entry,
+      signalEntry: signal.entry,
+      sl: signal.sl,
+      tp: signal.tp,
+      notional,
+      entryFee,
+      openedAt: new Date(),
+      status: 'OPEN'
+    };
+
+    this.positions.set(signal.id, position);
+    this.saveAccount(account);
+    console.log(`📝 Paper: opened ${signal.direction} ${size.toFixed(6)} ${signal.symbol} @ ${entry.toFixed(4)} (#${signal.id})`);
+    return position;
+  }
+
+  /**
+   * Close the position opened for a signal at the given exit price
+   */
+  closePosition(signalId, exitPrice, reason) {
+    const position = this.positions.get(String(signalId));
+    if (!position || position.status !== 'OPEN' || !Number.isFinite(exitPrice)) return null;
+
+    const account = this.getAccount();
+    const isLong = position.direction === 'LONG';
+    const exit = this.applySlippage(exitPrice, isLong ? 'sell' : 'buy');
+    const grossPnl = (isLong ? exit - position.entry : position.entry - exit) * position.size;
+    const exitFee = exit * position.size * this.config.feePercent / 100;
+    const pnl = grossPnl - exitFee - position.entryFee;
+
+    account.balance += grossPnl - exitFee;
+    account.feesPaid += exitFee;
+    account.realizedPnl += pnl;
+    account.trades++;
+    if (pnl > 0) account.wins++;
+    else account.losses++;
+    account.equityHistory.push({ timestamp: new Date(), equity: account.balance });
+
+    const closed = {
+      ...position,
+      status: 'CLOSED',
+      exitPrice: exit,
+      exitReason: reason,
+      exitFee,
+      closedAt: new Date(),
+      pnl,
+      pnlPercent: pnl / position.notional * 100
+    };
+
+    this.positions.set(position.id, closed);
+    this.saveAccount(account);
+    console.log(`📝 Paper: closed #${position.id} ${position.symbol} ${reason} (${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)})`);
+    return closed;
+  }
+
+  /**
+   * Latest prices for open positions (missing prices fall back to entry)
+   */
+  async fetchPrices(positions) {
+    const prices = {};
+    for (const symbol of new Set(positions.map(p => p.symbol))) {
+      try {
+        const ticker = await this.dataService.fetchTicker(symbol);
+        prices[symbol] = ticker.last;
+      } catch (error) {
+        console.warn(`⚠️ Paper: no price for ${symbol}: ${error.message}`);
+      }
+    }
+    return prices;
+  }
+
+  maxDrawdown(equityHistory) {
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    for (const { equity } of equityHistory) {
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak * 100);
+    }
+    return maxDrawdown;
+  }
+
+  /**
+   * Balance, mark-to-market equity, open exposure and trade statistics
+   */
+  async getSummary(prices = null) {
+    const account = this.getAccount();
+    const open = this.getOpenPositions();
+    const latest = prices || await this.fetchPrices(open);
+
+    const openPositions = open.map(p => {
+      const price = latest[p.symbol] ?? p.entry;
+      const unrealizedPnl = (p.direction === 'LONG' ? price - p.entry : p.entry - price) * p.size;
+      return { ...p, currentPrice: price, unrealizedPnl, exposure: price * p.size };
+    });
+
+    const unrealizedPnl = openPositions.reduce((sum, p) => sum + p.unrealizedPnl, 0);
+    const exposure = openPositions.reduce((sum, p) => sum + p.exposure, 0);
+    const equity = account.balance + unrealizedPnl;
+
+    return {
+      enabled: this.config.enabled,
+      initialBalance: account.initialBalance,
+      balance: account.balance,
+      equity,
+      unrealizedPnl,
+      realizedPnl: account.realizedPnl,
+      feesPaid: account.feesPaid,
+      returnPercent: (equity - account.initialBalance) / account.initialBalance * 100,
+      exposure,
+      exposurePercent: equity > 0 ? exposure / equity * 100 : 0,
+      trades: account.trades,
+      wins: account.wins,
+      losses: account.losses,
+      winRate: account.trades > 0 ? account.wins / account.trades * 100 : 0,
+      maxDrawdownPercent: this.maxDrawdown([...account.equityHistory, { equity }]),
+      openPositions
+    };
+  }
+
+  getEquityCurve() {
+    return this.getAccount().equityHistory;
+  }
+}
+
+module.exports = PaperTradingAccount;
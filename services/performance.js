@@ -0,0 +1,83 @@
+/**
+ * Performance statistics over resolved signals
+ */
+
+const PERFORMANCE_PERIODS = [7, 30, 90];
+
+/**
+ * Names of the detectors that voted with the signal direction
+ */
+function votingDetectors(signal) {
+  const detectorResults = signal.explain?.detectorResults || [];
+  return detectorResults
+    .filter(d => d.direction === signal.direction && d.score > 40)
+    .map(d => d.name);
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+/**
+ * Summarize resolved signals created within the last `days` days
+ */
+function summarizePerformance(signals, days, now = Date.now()) {
+  const since = now - days * 24 * 60 * 60 * 1000;
+  const resolved = signals.filter(s =>
+    s.status === 'CLOSED' &&
+    Number.isFinite(s.rMultiple) &&
+    new Date(s.createdAt).getTime() >= since
+  );
+
+  const wins = resolved.filter(s => s.rMultiple > 0);
+
+  const coins = {};
+  const detectors = {};
+
+  for (const signal of resolved) {
+    const isWin = signal.rMultiple > 0;
+
+    const coin = coins[signal.symbol] || (coins[signal.symbol] = { symbol: signal.symbol, trades: 0, wins: 0, totalR: 0 });
+    coin.trades++;
+    coin.totalR += signal.rMultiple;
+    if (isWin) coin.wins++;
+
+    for (const name of votingDetectors(signal)) {
+      const stat = detectors[name] || (detectors[name] = { wins: 0, losses: 0 });
+      if (isWin) stat.wins++;
+      else stat.losses++;
+    }
+  }
+
+  Object.values(coins).forEach(c => {
+    c.winRate = c.wins / c.trades * 100;
+    c.avgR = c.totalR / c.trades;
+  });
+  Object.values(detectors).forEach(d => {
+    d.winRate = d.wins / (d.wins + d.losses) * 100;
+  });
+
+  const rankedCoins = Object.values(coins).sort((a, b) => b.totalR - a.totalR);
+
+  return {
+    days,
+    total: resolved.length,
+    wins: wins.length,
+    losses: resolved.length - wins.length,
+    expired: resolved.filter(s => s.outcome === 'EXPIRED').length,
+    winRate: resolved.length > 0 ? wins.length / resolved.length * 100 : 0,
+    avgR: average(resolved.map(s => s.rMultiple)),
+    bestCoins: rankedCoins.filter(c => c.totalR > 0).slice(0, 3),
+    worstCoins: rankedCoins.filter(c => c.totalR < 0).reverse().slice(0, 3),
+    detectors
+  };
+}
+
+/**
+ * Summaries for all standard periods (7/30/90 days)
+ */
+function summarizeAllPeriods(signals, now = Date.now()) {
+  return PERFORMANCE_PERIODS.map(days => summarizePerformance(signals, days, now));
+}
+
+module.exports = { summarizePerformance, summarizeAllPeriods, votingDetectors, PERFORMANCE_PERIODS };
@@ -0,0 +1,141 @@
+/**
+ * Portfolio Risk Manager - Sizes each new signal against everything already open
+ *
+ * Open risk is the sum of `riskPercent` over open bot signals. A new signal is reduced
+ * when it is highly correlated (1h returns) with open positions in the same direction,
+ * capped so total open risk and per-direction risk stay within limits, and blocked when
+ * the remaining risk budget is below the minimum worth trading.
+ */
+
+const TradingUtils = require('../utils');
+
+class PortfolioRiskManager {
+  constructor({ storage, dataService, config = {} }) {
+    this.storage = storage;
+    this.dataService = dataService;
+    this.config = {
+      riskPercent: parseFloat(process.env.RISK_PERCENT) || 2,
+      maxTotalRiskPercent: parseFloat(process.env.RISK_MAX_TOTAL_PERCENT) || 6,
+      maxDirectionRiskPercent: parseFloat(process.env.RISK_MAX_DIRECTION_PERCENT) || 4,
+      correlationThreshold: parseFloat(process.env.RISK_CORRELATION_THRESHOLD) || 0.7,
+      correlationPenalty: 0.5,
+      minRiskPercent: 0.25,
+      correlationTimeframe: '1h',
+      correlationBars: 100,
+      cacheTtlMs: 10 * 60 * 1000,
+      ...config
+    };
+    this.returnsCache = new Map(); // symbol -> { returns, expires }
+  }
+
+  getOpenSignals() {
+    return this.storage.listSignals(s =>
+      s.status === 'OPEN' && s.source === 'bot' && (s.direction === 'LONG' || s.direction === 'SHORT')
+    );
+  }
+
+  riskOf(signal) {
+    return Number.isFinite(signal.riskPercent) ? signal.riskPercent : this.config.riskPercent;
+  }
+
+  /**
+   * Timestamped 1h close-to-close returns, cached per symbol
+   */
+  async getReturns(symbol) {
+    const cached = this.returnsCache.get(symbol);
+    if (cached && cached.expires > Date.now()) return cached.returns;
+
+    const candles = await this.dataService.fetchOHLCV(symbol, this.config.correlationTimeframe, this.config.correlationBars);
+    const returns = new Map();
+    for (let i = 1; i < candles.length; i++) {
+      returns.set(candles[i].timestamp, (candles[i].close - candles[i - 1].close) / candles[i - 1].close);
+    }
+    this.returnsCache.set(symbol, { returns, expires: Date.now() + this.config.cacheTtlMs });
+    return returns;
+  }
+
+  async correlation(symbolA, symbolB) {
+    if (symbolA === symbolB) return 1;
+
+    const [a, b] = await Promise.all([this.getReturns(symbolA), this.getReturns(symbolB)]);
+    const shared = [...a.keys()].filter(t => b.has(t));
+    return TradingUtils.calculateCorrelation(shared.map(t => a.get(t)), shared.map(t => b.get(t)));
+  }
+
+  /**
+   * Decide the risk for a candidate signal: { allowed, riskPercent, adjustments, reason, ... }
+   */
+  async assess(signal) {
+    const { riskPercent: baseRisk, maxTotalRiskPercent, maxDirectionRiskPercent,
+      correlationThreshold, correlationPenalty, minRiskPercent } = this.config;
+
+    const open = this.getOpenSignals().filter(s => s.id !== signal.id);
+    const sameDirection = open.filter(s => s.direction === signal.direction);
+    const openRisk = open.reduce((sum, s) => sum + this.riskOf(s), 0);
+    const directionRisk = sameDirection.reduce((sum, s) => sum + this.riskOf(s), 0);
+
+    const adjustments = [];
+    let riskPercent = baseRisk;
+
+    // Correlated same-direction positions behave like one bigger position
+    const correlated = [];
+    for (const other of sameDirection) {
+      try {
+        const correlation = await this.correlation(signal.symbol, other.symbol);
+        if (correlation >= correlationThreshold) correlated.push({ symbol: other.symbol, correlation });
+      } catch (error) {
+        console.warn(`⚠️ Risk: correlation ${signal.symbol}/${other.symbol} unavailable: ${error.message}`);
+      }
+    }
+    if (correlated.length > 0) {
+      const totalCorrelation = correlated.reduce((sum, c) => sum + c.correlation, 0);
+      riskPercent = riskPercent / (1 + correlationPenalty * totalCorrelation);
+      const names = correlated.map(c => `${c.symbol.replace('USDT', '')} (${c.correlation.toFixed(2)})`).join(', ');
+      adjustments.push({ type: 'correlation', riskPercent, direction: signal.direction, correlated, detail: `correlated with open ${signal.direction} ${names}` });
+    }
+
+    const directionRoom = maxDirectionRiskPercent - directionRisk;
+    if (riskPercent > directionRoom) {
+      riskPercent = Math.max(0, directionRoom);
+      adjustments.push({
+        type: 'direction_cap',
+        riskPercent,
+        direction: signal.direction,
+        usedPercent: directionRisk,
+        maxPercent: maxDirectionRiskPercent,
+        detail: `${signal.direction} risk ${directionRisk.toFixed(1)}% of ${maxDirectionRiskPercent}% used`
+      });
+    }
+
+    const totalRoom = maxTotalRiskPercent - openRisk;
+    if (riskPercent > totalRoom) {
+      riskPercent = Math.max(0, totalRoom);
+      adjustments.push({
+        type: 'total_cap',
+        riskPercent,
+        usedPercent: openRisk,
+        maxPercent: maxTotalRiskPercent,
+        detail: `total open risk ${openRisk.toFixed(1)}% of ${maxTotalRiskPercent}% used`
+      });
+    }
+
+    const allowed = riskPercent >= minRiskPercent;
+    const details = adjustments.map(a => a.detail).join('; ');
+
+    return {
+      allowed,
+      riskPercent: allowed ? parseFloat(riskPercent.toFixed(2)) : 0,
+      baseRiskPercent: baseRisk,
+      openRiskPercent: openRisk,
+      directionRiskPercent: directionRisk,
+      openPositions: open.length,
+      correlated,
+      adjustments,
+      reason: !allowed
+        ? `Risk budget exhausted: ${details}`
+        : adjustments.length > 0 ? `Risk reduced from ${baseRisk}% to ${riskPercent.toFixed(2)}%: ${details}` : null
+    };
+  }
+}
+
+module.exports = PortfolioRiskManager;
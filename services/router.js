@@ -0,0 +1,195 @@
+/**
+ * Command Router - One dispatcher for slash commands, reply-keyboard buttons,
+ * inline-keyboard callbacks and prompted text input
+ *
+ * Every route declares a permission: 'public' (anyone), 'user' (activated subscribers)
+ * or 'admin' (ADMIN_IDS); the router checks it before the handler runs. Callback data is
+ * "scope:arg1:arg2..." and the scope selects the action. Handlers get `ctx.t` bound to the
+ * chat's language (`localeOf(chatId, from)`); command descriptions are catalog keys.
+ */
+
+const PERMISSIONS = ['public', 'user', 'admin'];
+
+const DENIED = {
+  user: 'router.deniedUser',
+  admin: 'router.deniedAdmin'
+};
+
+// Callback answers are shown as a short toast
+const DENIED_SHORT = {
+  user: 'router.deniedUserShort',
+  admin: 'router.deniedAdminShort'
+};
+
+class CommandRouter {
+  constructor({ bot, getUser, isAdmin, i18n, localeOf, config = {} }) {
+    this.bot = bot;
+    this.getUser = getUser;
+    this.isAdmin = isAdmin;
+    this.i18n = i18n;
+    this.localeOf = localeOf;
+    this.config = {
+      inputTtlMs: 5 * 60 * 1000,
+      ...config
+    };
+    this.commands = new Map(); // name -> route
+    this.buttons = new Map(); // reply-keyboard label -> route
+    this.actions = new Map(); // callback scope -> route
+    this.inputs = new Map(); // chatId -> { route, expires }
+  }
+
+  /**
+   * Register /name; handler(ctx, args) receives whitespace-split arguments.
+   * Commands with a `description` (catalog key) are listed by /help.
+   */
+  command(name, { permission = 'user', description = '', handler }) {
+    this.commands.set(name, { name: `/${name}`, permission, description, handler });
+    return this;
+  }
+
+  button(label, { permission = 'user', handler }) {
+    this.buttons.set(label, { name: label, permission, handler });
+    return this;
+  }
+
+  /**
+   * Register a callback scope; handler(ctx, args) receives the ':'-split data after the scope
+   */
+  action(scope, { permission = 'user', handler }) {
+    this.actions.set(scope, { name: `${scope}:*`, permission, handler });
+    return this;
+  }
+
+  /**
+   * Send the chat's next plain-text message to handler(ctx, text), e.g. after a prompt
+   */
+  awaitInput(chatId, handler, permission = 'user') {
+    this.inputs.set(chatId, {
+      route: { name: 'input', permission, handler },
+      expires: Date.now() + this.config.inputTtlMs
+    });
+  }
+
+  cancelInput(chatId) {
+    this.inputs.delete(chatId);
+  }
+
+  roleOf(from, chatId) {
+    if (from && this.isAdmin(from)) return 'admin';
+    return this.getUser(chatId) ? 'user' : 'public';
+  }
+
+  isAllowed(permission, role) {
+    return PERMISSIONS.indexOf(role) >= PERMISSIONS.indexOf(permission);
+  }
+
+  /**
+   * Commands visible to a role, for /help
+   */
+  listCommands(role) {
+    return [...this.commands.values()].filter(c => c.description && this.isAllowed(c.permission, role));
+  }
+
+  createContext(chatId, from, extra = {}) {
+    const role = this.roleOf(from, chatId);
+    const locale = this.localeOf(chatId, from);
+    return {
+      chatId,
+      from,
+      role,
+      locale,
+      t: this.i18n.translator(locale),
+      isAdmin: role === 'admin',
+      userData: this.getUser(chatId),
+      reply: (text, options) => this.bot.sendMessage(chatId, text, options),
+      ...extra
+    };
+  }
+
+  /**
+   * "/cmd@BotName a b" -> { name: 'cmd', args: ['a', 'b'] }
+   */
+  parseCommand(text) {
+    const [head, ...args] = text.trim().split(/\s+/);
+    return { name: head.slice(1).split('@')[0].toLowerCase(), args };
+  }
+
+  async run(route, ctx, args, deny) {
+    if (!this.isAllowed(route.permission, ctx.role)) return deny(route.permission);
+
+    try {
+      await route.handler(ctx, args);
+    } catch (error) {
+      console.error(`❌ ${route.name} failed:`, error.message);
+      await ctx.reply(ctx.t('common.error')).catch(() => {});
+    }
+  }
+
+  async handleMessage(msg) {
+    const text = msg.text;
+    if (!text) return;
+
+    const chatId = msg.chat.id;
+    const ctx = this.createContext(chatId, msg.from, { msg });
+    const deny = permission => ctx.reply(ctx.t(DENIED[permission]));
+
+    if (text.startsWith('/')) {
+      const { name, args } = this.parseCommand(text);
+      const route = this.commands.get(name);
+      this.cancelInput(chatId);
+      if (!route) {
+        return ctx.role === 'public' ? deny('user') : ctx.reply(ctx.t('common.unknownCommand', { name }));
+      }
+      return this.run(route, ctx, args, deny);
+    }
+
+    const button = this.buttons.get(text);
+    if (button) {
+      this.cancelInput(chatId);
+      return this.run(button, ctx, [], deny);
+    }
+
+    const input = this.inputs.get(chatId);
+    if (input) {
+      this.inputs.delete(chatId);
+      if (input.expires > Date.now()) return this.run(input.route, ctx, text, deny);
+    }
+
+    if (ctx.role === 'public') return deny('user');
+  }
+
+  async handleCallback(query) {
+    const [scope, ...args] = (query.data || '').split(':');
+    const route = this.actions.get(scope);
+    if (!route || !query.message) return this.bot.answerCallbackQuery(query.id);
+
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    let answered = false;
+
+    const ctx = this.createContext(chatId, query.from, {
+      query,
+      messageId,
+      answer: (text) => {
+        answered = true;
+        return this.bot.answerCallbackQuery(query.id, text ? { text } : {});
+      },
+      // Re-tapping the selected option edits to identical content; Telegram rejects that
+      edit: (text, options = {}) => this.bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options })
+        .catch(err => {
+          if (!/not modified/.test(err.message)) throw err;
+        })
+    });
+
+    await this.run(route, ctx, args, permission => ctx.answer(ctx.t(DENIED_SHORT[permission])));
+    if (!answered) await this.bot.answerCallbackQuery(query.id).catch(() => {});
+  }
+
+  attach() {
+    this.bot.on('message', msg => this.handleMessage(msg));
+    this.bot.on('callback_query', query => this.handleCallback(query));
+    return this;
+  }
+}
+
+module.exports = { CommandRouter, PERMISSIONS };
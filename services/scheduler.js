@@ -0,0 +1,166 @@
+/**
+ * Candle-Close Scheduler - Evaluates symbols when their 15m/1h candle closes
+ *
+ * Triggers come from a MarketStream's 'candleClose' events when streaming is enabled,
+ * otherwise from timers aligned to candle boundaries. Triggers arriving together
+ * (e.g. 15m and 1h closing at :00) are coalesced so each symbol runs once, and symbols
+ * are analyzed concurrently through a Bottleneck limiter whose concurrency matches the
+ * DataService REST limiter.
+ */
+
+const Bottleneck = require('bottleneck');
+
+const TIMEFRAME_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000
+};
+
+/**
+ * Suppresses repeated signals for the same symbol/direction within a cooldown window
+ */
+class SignalDeduplicator {
+  constructor(cooldownMs = parseInt(process.env.SIGNAL_COOLDOWN_MS) || 4 * 60 * 60 * 1000) {
+    this.cooldownMs = cooldownMs;
+    this.lastSignals = new Map();
+  }
+
+  key(symbol, direction) {
+    return `${symbol}:${direction}`;
+  }
+
+  /**
+   * Seed from stored signal records so a restart does not re-broadcast
+   */
+  seed(signals) {
+    for (const signal of signals) {
+      const time = new Date(signal.createdAt).getTime();
+      const key = this.key(signal.symbol, signal.direction);
+      if (!this.lastSignals.has(key) || this.lastSignals.get(key) < time) {
+        this.lastSignals.set(key, time);
+      }
+    }
+  }
+
+  isDuplicate(symbol, direction, now = Date.now()) {
+    const last = this.lastSignals.get(this.key(symbol, direction));
+    return last !== undefined && now - last < this.cooldownMs;
+  }
+
+  record(symbol, direction, now = Date.now()) {
+    this.lastSignals.set(this.key(symbol, direction), now);
+  }
+}
+
+class CandleCloseScheduler {
+  constructor({ symbols, evaluate, stream = null, shouldRun = () => true, config = {} }) {
+    this.symbols = symbols;
+    this.evaluate = evaluate;
+    this.stream = stream;
+    this.shouldRun = shouldRun;
+    this.config = {
+      timeframes: (process.env.SCAN_TIMEFRAMES || '15m,1h').split(',').map(tf => tf.trim()),
+      concurrency: parseInt(process.env.SCAN_CONCURRENCY) || 5,
+      settleDelayMs: 3000,
+      ...config
+    };
+
+    this.limiter = new Bottleneck({ maxConcurrent: this.config.concurrency });
+    this.pending = new Map(); // symbol -> Set of closed timeframes
+    this.flushTimer = null;
+    this.boundaryTimer = null;
+    this.inFlight = new Set();
+    this.onCandleClose = this.onCandleClose.bind(this);
+  }
+
+  start() {
+    if (this.stream) {
+      this.stream.on('candleClose', this.onCandleClose);
+      console.log(`⏱️ Scheduler listening for ${this.config.timeframes.join('/')} candle closes on the market stream`);
+    } else {
+      this.scheduleNextBoundary();
+      console.log(`⏱️ Scheduler aligned to ${this.config.timeframes.join('/')} candle closes`);
+    }
+  }
+
+  stop() {
+    if (this.stream) this.stream.off('candleClose', this.onCandleClose);
+    clearTimeout(this.boundaryTimer);
+    clearTimeout(this.flushTimer);
+  }
+
+  onCandleClose({ symbol, timeframe }) {
+    if (!this.config.timeframes.includes(timeframe) || !this.symbols.includes(symbol)) return;
+    this.enqueue(symbol, timeframe);
+  }
+
+  stepMs() {
+    return Math.min(...this.config.timeframes.map(tf => TIMEFRAME_MS[tf]));
+  }
+
+  /**
+   * Next close of the smallest scheduled timeframe strictly after `now`
+   */
+  nextBoundary(now = Date.now()) {
+    const stepMs = this.stepMs();
+    return now - (now % stepMs) + stepMs;
+  }
+
+  timeframesClosingAt(boundary) {
+    return this.config.timeframes.filter(tf => boundary % TIMEFRAME_MS[tf] === 0);
+  }
+
+  /**
+   * Closes are derived from the scheduled boundary, not the time the timer fires, so a
+   * late timer still sees them; boundaries it slept through are caught up in one batch.
+   */
+  scheduleNextBoundary(target = this.nextBoundary()) {
+    this.boundaryTimer = setTimeout(() => {
+      const now = Date.now();
+      const closed = new Set();
+      let boundary = target;
+      for (; boundary <= now; boundary += this.stepMs()) {
+        this.timeframesClosingAt(boundary).forEach(tf => closed.add(tf));
+      }
+      for (const symbol of this.symbols) {
+        closed.forEach(tf => this.enqueue(symbol, tf));
+      }
+      this.scheduleNextBoundary(boundary);
+    }, Math.max(0, target - Date.now()));
+  }
+
+  /**
+   * Coalesce triggers for a short settle window, then flush
+   */
+  enqueue(symbol, timeframe) {
+    if (!this.pending.has(symbol)) this.pending.set(symbol, new Set());
+    this.pending.get(symbol).add(timeframe);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.config.settleDelayMs);
+    }
+  }
+
+  async flush() {
+    this.flushTimer = null;
+    const batch = [...this.pending.entries()];
+    this.pending.clear();
+
+    if (batch.length === 0 || !this.shouldRun()) return;
+
+    console.log(`🕯️ Candle close: evaluating ${batch.length} symbols`);
+
+    await Promise.all(batch.map(([symbol, timeframes]) => {
+      if (this.inFlight.has(symbol)) return null;
+      this.inFlight.add(symbol);
+
+      return this.limiter.schedule(() => this.evaluate(symbol, [...timeframes]))
+        .catch(error => console.error(`❌ Error evaluating ${symbol}:`, error.message))
+        .finally(() => this.inFlight.delete(symbol));
+    }));
+  }
+}
+
+module.exports = { CandleCloseScheduler, SignalDeduplicator };
@@ -0,0 +1,254 @@
+/**
+ * Persistent storage for keys, subscribers, counters and signal history
+ * Pluggable drivers: JSON file (default) and in-memory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_VERSION = 1;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * Schema migrations, applied in order to the raw state on load.
+ * Each entry upgrades the state from `version - 1` to `version`.
+ */
+const migrations = [
+  {
+    version: 1,
+    up(state) {
+      state.collections = state.collections || {};
+      for (const name of ['activationKeys', 'subscribedUsers', 'signals']) {
+        state.collections[name] = state.collections[name] || [];
+      }
+      state.meta = state.meta || { signalCountToday: 0, nextSignalId: 1 };
+      return state;
+    }
+  }
+];
+
+function reviveDates(key, value) {
+  return typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value;
+}
+
+/**
+ * JSON file driver - atomic writes via temp file + rename
+ */
+class JsonFileDriver {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) return null;
+    return fs.readFileSync(this.filePath, 'utf8');
+  }
+
+  write(content) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  backup(suffix) {
+    if (fs.existsSync(this.filePath)) {
+      fs.copyFileSync(this.filePath, `${this.filePath}.${suffix}`);
+    }
+  }
+}
+
+/**
+ * In-memory driver - useful for backtests and throwaway runs
+ */
+class MemoryDriver {
+  constructor() {
+    this.content = null;
+  }
+
+  read() {
+    return this.content;
+  }
+
+  write(content) {
+    this.content = content;
+  }
+
+  backup() {}
+}
+
+const drivers = {
+  json: options => new JsonFileDriver(options.path || process.env.STORAGE_PATH || 'data/store.json'),
+  memory: () => new MemoryDriver()
+};
+
+/**
+ * Map that schedules a save on every mutation
+ */
+class PersistentMap extends Map {
+  constructor(entries, onChange) {
+    super(entries);
+    this.onChange = onChange;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    if (this.onChange) this.onChange();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted && this.onChange) this.onChange();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    if (this.onChange) this.onChange();
+  }
+}
+
+class Storage {
+  constructor(driver, options = {}) {
+    this.driver = driver;
+    this.saveDelay = options.saveDelay ?? 500;
+    this.saveTimer = null;
+    this.collections = {};
+    this.meta = {};
+    this.load();
+  }
+
+  /**
+   * Load state from the driver and run pending migrations
+   */
+  load() {
+    const content = this.driver.read();
+    let state = content ? JSON.parse(content, reviveDates) : { version: 0 };
+    const fromVersion = state.version || 0;
+
+    if (fromVersion > SCHEMA_VERSION) {
+      throw new Error(`Storage schema v${fromVersion} is newer than supported v${SCHEMA_VERSION}`);
+    }
+
+    if (fromVersion < SCHEMA_VERSION) {
+      if (content) this.driver.backup(`bak-v${fromVersion}`);
+      for (const migration of migrations) {
+        if (migration.version > fromVersion) {
+          state = migration.up(state);
+          state.version = migration.version;
+        }
+      }
+      console.log(`🗄️ Storage migrated from v${fromVersion} to v${SCHEMA_VERSION}`);
+    }
+
+    this.meta = state.meta;
+    this.collections = {};
+    for (const [name, entries] of Object.entries(state.collections)) {
+      this.collections[name] = new PersistentMap(entries, () => this.scheduleSave());
+    }
+
+    if (fromVersion < SCHEMA_VERSION) this.saveNow();
+  }
+
+  /**
+   * Get a persisted Map by name, creating it if missing
+   */
+  collection(name) {
+    if (!this.collections[name]) {
+      this.collections[name] = new PersistentMap([], () => this.scheduleSave());
+    }
+    return this.collections[name];
+  }
+
+  get(key, defaultValue = null) {
+    return this.meta[key] !== undefined ? this.meta[key] : defaultValue;
+  }
+
+  set(key, value) {
+    this.meta[key] = value;
+    this.scheduleSave();
+  }
+
+  /**
+   * Record a broadcast signal with its full explain payload and return the stored record
+   */
+  recordSignal(signal) {
+    const id = String(this.get('nextSignalId', 1));
+    this.set('nextSignalId', parseInt(id) + 1);
+
+    const record = {
+      id,
+      createdAt: new Date(),
+      status: 'OPEN',
+      ...signal
+    };
+    this.collection('signals').set(id, record);
+    return record;
+  }
+
+  updateSignal(id, patch) {
+    const signals = this.collection('signals');
+    const record = signals.get(String(id));
+    if (!record) return null;
+
+    const updated = { ...record, ...patch };
+    signals.set(String(id), updated);
+    return updated;
+  }
+
+  getSignal(id) {
+    return this.collection('signals').get(String(id)) || null;
+  }
+
+  listSignals(filter = () => true) {
+    return [...this.collection('signals').values()].filter(filter);
+  }
+
+  serialize() {
+    const collections = {};
+    for (const [name, map] of Object.entries(this.collections)) {
+      collections[name] = [...map.entries()];
+    }
+    return JSON.stringify({ version: SCHEMA_VERSION, meta: this.meta, collections });
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.saveNow(), this.saveDelay);
+  }
+
+  saveNow() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    try {
+      this.driver.write(this.serialize());
+    } catch (error) {
+      console.error('❌ Failed to persist storage:', error.message);
+    }
+  }
+}
+
+/**
+ * Create a storage instance for the configured driver (STORAGE_DRIVER=json|memory)
+ */
+function createStorage(options = {}) {
+  const driverName = options.driver || process.env.STORAGE_DRIVER || 'json';
+  const factory = drivers[driverName];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+  return new Storage(factory(options), options);
+}
+
+/**
+ * Register a custom driver exposing read(), write(content) and backup(suffix)
+ */
+function registerDriver(name, factory) {
+  drivers[name] = factory;
+}
+
+module.exports = { Storage, PersistentMap, createStorage, registerDriver, SCHEMA_VERSION };
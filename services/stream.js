@@ -0,0 +1,212 @@
+/**
+ * Market Stream - Real-time candles, orderbook and ticker via exchange WebSocket streams
+ *
+ * Maintains rolling candle buffers per symbol/timeframe and the latest orderbook and
+ * ticker snapshots from Binance combined streams. REST (DataService.fetchOHLCV) is only
+ * used to backfill buffers on start and after every reconnect.
+ *
+ * Events: 'candleClose' ({ symbol, timeframe, candle }), 'connected', 'disconnected'
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+class MarketStream extends EventEmitter {
+  constructor({ symbols, timeframes = ['1m', '15m', '1h', '4h'], dataService, config = {} }) {
+    super();
+    this.symbols = symbols;
+    this.timeframes = timeframes;
+    this.dataService = dataService;
+    this.config = {
+      url: process.env.STREAM_WS_URL || 'wss://stream.binance.com:9443',
+      bufferSize: 200,
+      depthLevels: 20,
+      reconnectDelayMs: 1000,
+      maxReconnectDelayMs: 60 * 1000,
+      ...config
+    };
+
+    this.buffers = {};
+    this.orderbooks = {};
+    this.tickers = {};
+    this.ws = null;
+    this.reconnectAttempts = 0;
+    this.stopped = true;
+  }
+
+  /**
+   * Combined stream names for all symbols
+   */
+  getStreamNames() {
+    const streams = [];
+    for (const symbol of this.symbols) {
+      const s = symbol.toLowerCase();
+      this.timeframes.forEach(tf => streams.push(`${s}@kline_${tf}`));
+      streams.push(`${s}@depth${this.config.depthLevels}@100ms`);
+      streams.push(`${s}@ticker`);
+    }
+    return streams;
+  }
+
+  /**
+   * Fill candle buffers over REST so detectors have history before the stream catches up
+   */
+  async backfill() {
+    for (const symbol of this.symbols) {
+      for (const tf of this.timeframes) {
+        try {
+          const candles = await this.dataService.fetchOHLCV(symbol, tf, this.config.bufferSize);
+          this.mergeCandles(symbol, tf, candles);
+        } catch (error) {
+          console.warn(`⚠️ Stream backfill failed for ${symbol} ${tf}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  async start() {
+    this.stopped = false;
+    await this.backfill();
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {}); // terminating while connecting emits an error
+      this.ws.terminate();
+      this.ws = null;
+    }
+  }
+
+  connect() {
+    const url = `${this.config.url}/stream?streams=${this.getStreamNames().join('/')}`;
+    const ws = new WebSocket(url);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.reconnectAttempts = 0;
+      console.log(`📡 Market stream connected (${this.symbols.length} symbols)`);
+      this.emit('connected');
+    });
+
+    ws.on('message', raw => {
+      try {
+        this.handleMessage(JSON.parse(raw.toString()));
+      } catch (error) {
+        console.warn(`⚠️ Invalid stream message: ${error.message}`);
+      }
+    });
+
+    ws.on('error', error => {
+      console.warn(`⚠️ Market stream error: ${error.message}`);
+    });
+
+    ws.on('close', () => {
+      this.emit('disconnected');
+      if (this.stopped) return;
+      this.scheduleReconnect();
+    });
+  }
+
+  /**
+   * Reconnect with exponential backoff, backfilling any gap first
+   */
+  scheduleReconnect() {
+    const delay = Math.min(
+      this.config.maxReconnectDelayMs,
+      this.config.reconnectDelayMs * Math.pow(2, this.reconnectAttempts)
+    );
+    this.reconnectAttempts++;
+    console.log(`🔌 Market stream disconnected, reconnecting in ${delay / 1000}s...`);
+
+    setTimeout(async () => {
+      if (this.stopped) return;
+      await this.backfill();
+      if (!this.stopped) this.connect();
+    }, delay);
+  }
+
+  handleMessage(message) {
+    const { stream, data } = message;
+    if (!stream || !data) return;
+
+    const symbol = stream.split('@')[0].toUpperCase();
+
+    if (data.e === 'kline') {
+      const k = data.k;
+      const candle = {
+        timestamp: k.t,
+        open: parseFloat(k.o),
+        high: parseFloat(k.h),
+        low: parseFloat(k.l),
+        close: parseFloat(k.c),
+        volume: parseFloat(k.v),
+        timeframe: k.i
+      };
+      this.mergeCandles(symbol, k.i, [candle]);
+      if (k.x) this.emit('candleClose', { symbol, timeframe: k.i, candle });
+    } else if (stream.includes('@depth')) {
+      const toLevels = levels => levels.map(([price, volume]) => [parseFloat(price), parseFloat(volume)]);
+      this.orderbooks[symbol] = this.dataService.summarizeOrderBook(symbol, {
+        bids: toLevels(data.bids || []),
+        asks: toLevels(data.asks || []),
+        timestamp: Date.now()
+      });
+    } else if (data.e === '24hrTicker') {
+      this.tickers[symbol] = {
+        symbol,
+        last: parseFloat(data.c),
+        bid: parseFloat(data.b),
+        ask: parseFloat(data.a),
+        baseVolume: parseFloat(data.v),
+        quoteVolume: parseFloat(data.q),
+        change: parseFloat(data.p),
+        percentage: parseFloat(data.P),
+        timestamp: data.E
+      };
+    }
+  }
+
+  /**
+   * Insert or replace candles by timestamp and trim the buffer
+   */
+  mergeCandles(symbol, timeframe, candles) {
+    const buffers = this.buffers[symbol] || (this.buffers[symbol] = {});
+    const buffer = buffers[timeframe] || (buffers[timeframe] = []);
+
+    for (const candle of candles) {
+      const last = buffer[buffer.length - 1];
+      if (!last || candle.timestamp > last.timestamp) {
+        buffer.push(candle);
+      } else {
+        const index = buffer.findIndex(c => c.timestamp === candle.timestamp);
+        if (index !== -1) buffer[index] = candle;
+      }
+    }
+
+    if (buffer.length > this.config.bufferSize) {
+      buffer.splice(0, buffer.length - this.config.bufferSize);
+    }
+  }
+
+  /**
+   * Snapshot in the fetchMultiTimeframeData format, or null when buffers are not ready
+   */
+  getData(symbol, timeframes = this.timeframes, limit = 100) {
+    const buffers = this.buffers[symbol];
+    if (!buffers) return null;
+
+    const data = {};
+    for (const tf of timeframes) {
+      if (!buffers[tf] || buffers[tf].length === 0) return null;
+      data[tf] = buffers[tf].slice(-limit);
+    }
+    data.orderbook = this.orderbooks[symbol] || null;
+    data.ticker = this.tickers[symbol] || null;
+    return data;
+  }
+}
+
+module.exports = MarketStream;
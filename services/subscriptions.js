@@ -0,0 +1,114 @@
+/**
+ * Subscription filters - Which auto signals each subscriber receives
+ *
+ * Per chat: a coin subset (null = all coins), LONG/SHORT only, a personal minimum
+ * confidence and quiet hours (Vietnam time, may wrap past midnight). Stored in the
+ * `subscriptionFilters` collection and applied by broadcastToAllUsers.
+ */
+
+const DIRECTIONS = ['BOTH', 'LONG', 'SHORT'];
+
+const DEFAULT_FILTERS = {
+  coins: null,
+  direction: 'BOTH',
+  minConfidence: null,
+  quietHours: null // { start, end } hours, end exclusive
+};
+
+class SubscriptionFilters {
+  constructor({ storage, coins }) {
+    this.filters = storage.collection('subscriptionFilters');
+    this.allCoins = coins;
+  }
+
+  get(chatId) {
+    return { ...DEFAULT_FILTERS, ...(this.filters.get(chatId) || {}) };
+  }
+
+  update(chatId, patch) {
+    const updated = { ...this.get(chatId), ...patch, updatedAt: new Date() };
+    this.filters.set(chatId, updated);
+    return updated;
+  }
+
+  reset(chatId) {
+    this.filters.delete(chatId);
+    return this.get(chatId);
+  }
+
+  /**
+   * Add or remove one coin; selecting every coin again collapses back to "all"
+   */
+  toggleCoin(chatId, coin) {
+    if (!this.allCoins.includes(coin)) return this.get(chatId);
+
+    const current = this.get(chatId).coins || [...this.allCoins];
+    const coins = current.includes(coin) ? current.filter(c => c !== coin) : [...current, coin];
+    return this.update(chatId, { coins: coins.length === this.allCoins.length ? null : coins });
+  }
+
+  setAllCoins(chatId, selected) {
+    return this.update(chatId, { coins: selected ? null : [] });
+  }
+
+  setDirection(chatId, direction) {
+    if (!DIRECTIONS.includes(direction)) return this.get(chatId);
+    return this.update(chatId, { direction });
+  }
+
+  setMinConfidence(chatId, minConfidence) {
+    return this.update(chatId, { minConfidence: minConfidence > 0 ? Math.min(100, minConfidence) : null });
+  }
+
+  setQuietHours(chatId, start, end) {
+    const valid = Number.isInteger(start) && Number.isInteger(end) && start !== end &&
+      start >= 0 && start < 24 && end >= 0 && end < 24;
+    return this.update(chatId, { quietHours: valid ? { start, end } : null });
+  }
+
+  isQuiet(filters, hour) {
+    const quiet = filters.quietHours;
+    if (!quiet) return false;
+    return quiet.start < quiet.end
+      ? hour >= quiet.start && hour < quiet.end
+      : hour >= quiet.start || hour < quiet.end;
+  }
+
+  /**
+   * Whether a chat should receive a signal: { ok, reason }
+   */
+  matches(chatId, signal, hour) {
+    const filters = this.get(chatId);
+
+    if (filters.coins && !filters.coins.includes(signal.symbol)) return { ok: false, reason: 'coin' };
+    if (filters.direction !== 'BOTH' && filters.direction !== signal.direction) return { ok: false, reason: 'direction' };
+    if (filters.minConfidence && signal.confidence < filters.minConfidence) return { ok: false, reason: 'confidence' };
+    if (this.isQuiet(filters, hour)) return { ok: false, reason: 'quiet hours' };
+    return { ok: true, reason: null };
+  }
+
+  /**
+   * One-line-per-filter summary for the settings menu; `t` is a bound translator
+   */
+  describe(filters, t) {
+    const coins = filters.coins === null
+      ? t('subscriptions.allCoins')
+      : filters.coins.length === 0 ? t('subscriptions.noneSelected') : filters.coins.map(c => c.replace('USDT', '')).join(', ');
+    const direction = filters.direction === 'BOTH'
+      ? t('subscriptions.bothDirections')
+      : t('subscriptions.directionOnly', { direction: filters.direction });
+    const pad = h => String(h).padStart(2, '0');
+    const hours = filters.quietHours
+      ? `${pad(filters.quietHours.start)}:00 - ${pad(filters.quietHours.end)}:00`
+      : t('subscriptions.off');
+
+    return [
+      t('subscriptions.coins', { coins }),
+      t('subscriptions.direction', { direction }),
+      t('subscriptions.minConfidence', { confidence: filters.minConfidence ? `${filters.minConfidence}%` : t('subscriptions.botDefault') }),
+      t('subscriptions.quietHours', { hours })
+    ].join('\n');
+  }
+}
+
+module.exports = { SubscriptionFilters, DIRECTIONS };
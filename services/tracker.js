@@ -0,0 +1,124 @@
+/**
+ * Signal Outcome Tracker - Follows every open signal until TP, SL or expiry
+ */
+
+const TIMEFRAME_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000
+};
+
+class SignalTracker {
+  constructor({ storage, dataService, notify, config = {} }) {
+    this.storage = storage;
+    this.dataService = dataService;
+    this.notify = notify || (async () => {});
+    this.config = {
+      timeframe: '5m',
+      intervalMs: parseInt(process.env.TRACKER_INTERVAL_MS) || 5 * 60 * 1000,
+      expiryHours: parseFloat(process.env.SIGNAL_EXPIRY_HOURS) || 24,
+      ...config
+    };
+    this.timer = null;
+    this.isChecking = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.checkOpenSignals(), this.config.intervalMs);
+    console.log(`👁️ Signal tracker started (every ${this.config.intervalMs / 1000}s, expiry ${this.config.expiryHours}h)`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getOpenSignals() {
+    return this.storage.listSignals(s =>
+      s.status === 'OPEN' &&
+      (s.direction === 'LONG' || s.direction === 'SHORT') &&
+      Number.isFinite(s.entry) && Number.isFinite(s.sl) && Number.isFinite(s.tp)
+    );
+  }
+
+  /**
+   * Walk candles opened after the signal was created (the candle containing createdAt
+   * has highs/lows from before the signal); the stop is assumed to fill first when SL
+   * and TP are both inside the same candle
+   */
+  findOutcome(signal, candles) {
+    const createdAt = new Date(signal.createdAt).getTime();
+    const isLong = signal.direction === 'LONG';
+
+    for (const candle of candles) {
+      if (candle.timestamp < createdAt) continue;
+
+      const slHit = isLong ? candle.low <= signal.sl : candle.high >= signal.sl;
+      const tpHit = isLong ? candle.high >= signal.tp : candle.low <= signal.tp;
+
+      if (slHit) return { outcome: 'SL', exitPrice: signal.sl, exitTime: candle.timestamp };
+      if (tpHit) return { outcome: 'TP', exitPrice: signal.tp, exitTime: candle.timestamp };
+    }
+
+    return null;
+  }
+
+  calculateRMultiple(signal, exitPrice) {
+    const risk = Math.abs(signal.entry - signal.sl);
+    if (risk === 0) return 0;
+    const sign = signal.direction === 'LONG' ? 1 : -1;
+    return sign * (exitPrice - signal.entry) / risk;
+  }
+
+  /**
+   * Check a single signal and persist its outcome if resolved
+   */
+  async checkSignal(signal) {
+    const tfMs = TIMEFRAME_MS[this.config.timeframe];
+    const createdAt = new Date(signal.createdAt).getTime();
+    const elapsed = Date.now() - createdAt;
+    const limit = Math.min(1000, Math.ceil(elapsed / tfMs) + 2);
+
+    const candles = await this.dataService.fetchOHLCV(signal.symbol, this.config.timeframe, limit);
+    let result = this.findOutcome(signal, candles);
+
+    if (!result && elapsed >= this.config.expiryHours * 60 * 60 * 1000) {
+      const ticker = await this.dataService.fetchTicker(signal.symbol);
+      result = { outcome: 'EXPIRED', exitPrice: ticker.last, exitTime: Date.now() };
+    }
+
+    if (!result) return null;
+
+    const resolved = this.storage.updateSignal(signal.id, {
+      status: 'CLOSED',
+      outcome: result.outcome,
+      exitPrice: result.exitPrice,
+      resolvedAt: new Date(result.exitTime),
+      rMultiple: this.calculateRMultiple(signal, result.exitPrice)
+    });
+
+    console.log(`🏁 Signal #${signal.id} ${signal.symbol} ${signal.direction} resolved: ${result.outcome} (${resolved.rMultiple.toFixed(2)}R)`);
+    await this.notify(resolved);
+    return resolved;
+  }
+
+  async checkOpenSignals() {
+    if (this.isChecking) return;
+    this.isChecking = true;
+
+    try {
+      for (const signal of this.getOpenSignals()) {
+        try {
+          await this.checkSignal(signal);
+        } catch (error) {
+          console.error(`❌ Tracker failed for signal #${signal.id} ${signal.symbol}:`, error.message);
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+}
+
+module.exports = SignalTracker;
@@ -0,0 +1,117 @@
+/**
+ * Per-user risk profiles - account balance, risk per trade, leverage and quote currency
+ *
+ * Stored per chat in the `userSettings` collection; users without settings get the
+ * global ACCOUNT_BALANCE / RISK_PERCENT defaults. The chat's /language choice is kept
+ * here too (null = not chosen yet).
+ */
+
+const TradingUtils = require('../utils');
+
+const QUOTE_CURRENCIES = ['USDT', 'USDC', 'FDUSD', 'USD'];
+
+// key -> { key, parse, validate }; descriptions live in the settings.fields catalog entries
+const SETTING_FIELDS = {
+  balance: {
+    parse: value => parseFloat(value),
+    validate: value => Number.isFinite(value) && value > 0 && value <= 1e9
+  },
+  risk: {
+    key: 'riskPercent',
+    parse: value => parseFloat(value),
+    validate: value => Number.isFinite(value) && value >= 0.1 && value <= 10
+  },
+  leverage: {
+    parse: value => parseInt(value),
+    validate: value => Number.isInteger(value) && value >= 1 && value <= 125
+  },
+  quote: {
+    key: 'quoteCurrency',
+    parse: value => String(value).toUpperCase(),
+    validate: value => QUOTE_CURRENCIES.includes(value)
+  }
+};
+
+class UserSettings {
+  constructor({ storage, config = {} }) {
+    this.settings = storage.collection('userSettings');
+    this.defaults = {
+      balance: parseFloat(process.env.ACCOUNT_BALANCE) || 1000,
+      riskPercent: parseFloat(process.env.RISK_PERCENT) || 2,
+      leverage: 1,
+      quoteCurrency: 'USDT',
+      language: null,
+      ...config
+    };
+  }
+
+  get(chatId) {
+    return { ...this.defaults, ...(this.settings.get(chatId) || {}) };
+  }
+
+  /**
+   * Set one field from user input; returns { settings } or { error } where error
+   * is a catalog key ('settings.unknownField' or 'settings.invalidValue')
+   */
+  update(chatId, field, rawValue) {
+    const spec = SETTING_FIELDS[field];
+    if (!spec) {
+      return { error: 'settings.unknownField' };
+    }
+
+    const value = spec.parse(rawValue);
+    if (!spec.validate(value)) {
+      return { error: 'settings.invalidValue' };
+    }
+
+    return { settings: this.store(chatId, { [spec.key || field]: value }) };
+  }
+
+  /**
+   * Save the chat's language; validated by the caller against the available catalogs
+   */
+  setLanguage(chatId, language) {
+    return this.store(chatId, { language });
+  }
+
+  store(chatId, patch) {
+    this.settings.set(chatId, { ...(this.settings.get(chatId) || {}), ...patch, updatedAt: new Date() });
+    return this.get(chatId);
+  }
+
+  /**
+   * Back to the risk defaults; the language choice is kept
+   */
+  reset(chatId) {
+    const { language } = this.settings.get(chatId) || {};
+    this.settings.delete(chatId);
+    return language ? this.setLanguage(chatId, language) : this.get(chatId);
+  }
+
+  /**
+   * Position size, notional, margin and max loss for one user. A portfolio risk
+   * reduction on the signal (riskPercent below its base) is applied proportionally.
+   */
+  personalize(signal, settings) {
+    const baseRisk = signal.risk?.baseRiskPercent;
+    const scale = Number.isFinite(signal.riskPercent) && baseRisk > 0 ? Math.min(1, signal.riskPercent / baseRisk) : 1;
+    const riskPercent = settings.riskPercent * scale;
+
+    const { size, maxLoss } = TradingUtils.calculatePositionSize(settings.balance, riskPercent, signal.entry, signal.sl);
+    const notional = parseFloat(size) * signal.entry;
+    const margin = notional / settings.leverage;
+
+    return {
+      size: parseFloat(size),
+      notional,
+      margin,
+      maxLoss: parseFloat(maxLoss),
+      riskPercent,
+      leverage: settings.leverage,
+      quoteCurrency: settings.quoteCurrency,
+      insufficientMargin: margin > settings.balance
+    };
+  }
+}
+
+module.exports = { UserSettings, SETTING_FIELDS, QUOTE_CURRENCIES };
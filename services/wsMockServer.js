@@ -0,0 +1,71 @@
+/**
+ * Fake exchange WebSocket server speaking the Binance combined-stream format
+ *
+ * Usage:
+ *   const server = createFakeExchangeServer({ port: 0 });
+ *   server.on('listening', () => {
+ *     const stream = new MarketStream({ ..., config: { url: `ws://127.0.0.1:${server.address().port}` } });
+ *   });
+ *   server.pushKline('BTCUSDT', '15m', candle, true);
+ *   server.pushDepth('BTCUSDT', bids, asks);
+ *   server.pushTicker('BTCUSDT', { last: 50000 });
+ */
+
+const { WebSocketServer } = require('ws');
+
+function createFakeExchangeServer(options = {}) {
+  const server = new WebSocketServer({ port: options.port || 0 });
+
+  server.broadcastMessage = (stream, data) => {
+    const payload = JSON.stringify({ stream, data });
+    server.clients.forEach(client => {
+      if (client.readyState === client.OPEN) client.send(payload);
+    });
+  };
+
+  server.pushKline = (symbol, timeframe, candle, closed = false) => {
+    server.broadcastMessage(`${symbol.toLowerCase()}@kline_${timeframe}`, {
+      e: 'kline',
+      E: Date.now(),
+      s: symbol,
+      k: {
+        t: candle.timestamp,
+        s: symbol,
+        i: timeframe,
+        o: String(candle.open),
+        h: String(candle.high),
+        l: String(candle.low),
+        c: String(candle.close),
+        v: String(candle.volume),
+        x: closed
+      }
+    });
+  };
+
+  server.pushDepth = (symbol, bids, asks, levels = 20) => {
+    server.broadcastMessage(`${symbol.toLowerCase()}@depth${levels}@100ms`, {
+      lastUpdateId: Date.now(),
+      bids: bids.map(([price, volume]) => [String(price), String(volume)]),
+      asks: asks.map(([price, volume]) => [String(price), String(volume)])
+    });
+  };
+
+  server.pushTicker = (symbol, ticker) => {
+    server.broadcastMessage(`${symbol.toLowerCase()}@ticker`, {
+      e: '24hrTicker',
+      E: Date.now(),
+      s: symbol,
+      c: String(ticker.last),
+      b: String(ticker.bid ?? ticker.last),
+      a: String(ticker.ask ?? ticker.last),
+      v: String(ticker.baseVolume ?? 0),
+      q: String(ticker.quoteVolume ?? 0),
+      p: String(ticker.change ?? 0),
+      P: String(ticker.percentage ?? 0)
+    });
+  };
+
+  return server;
+}
+
+module.exports = { createFakeExchangeServer };
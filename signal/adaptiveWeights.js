@@ -0,0 +1,137 @@
+/**
+ * Adaptive Detector Weighting - Recalibrates detector weights from resolved signal outcomes
+ *
+ * Each detector's hit rate is estimated per coin/timeframe and globally with an
+ * exponentially-decayed Beta posterior, shrunk towards the overall win rate. The weight
+ * multiplier is the detector's hit rate relative to that baseline, clamped to bounds.
+ *
+ * Modes (ADAPTIVE_WEIGHTS): off | dryrun (report only) | on (apply learned weights)
+ */
+
+const { registry } = require('./registry');
+
+const GLOBAL_KEY = '*';
+
+class AdaptiveWeights {
+  constructor(config = {}) {
+    this.config = {
+      mode: process.env.ADAPTIVE_WEIGHTS || 'off',
+      halfLifeDays: parseFloat(process.env.ADAPTIVE_HALF_LIFE_DAYS) || 14,
+      minWeight: 0.3,
+      maxWeight: 2.0,
+      minSamples: 5,
+      priorStrength: 4,
+      ...config
+    };
+    this.weights = {};
+    this.lastReport = null;
+  }
+
+  keyFor(symbol, timeframe = '15m') {
+    return `${symbol}:${timeframe}`;
+  }
+
+  /**
+   * Weight used by the ensemble for a detector result
+   */
+  getWeight(detector, context = {}) {
+    const baseWeight = detector.weight || 1.0;
+    if (this.config.mode !== 'on') return baseWeight;
+
+    const key = this.keyFor(context.symbol, context.timeframe);
+    const learned = this.weights[key]?.[detector.name] ?? this.weights[GLOBAL_KEY]?.[detector.name];
+    return learned ?? baseWeight;
+  }
+
+  /**
+   * Decayed win/loss counts per group (coin:timeframe and global) and detector
+   */
+  collectStats(signals, now = Date.now()) {
+    const halfLifeMs = this.config.halfLifeDays * 24 * 60 * 60 * 1000;
+    const groups = {};
+    const overall = { wins: 0, losses: 0 };
+
+    for (const signal of signals) {
+      if (signal.status !== 'CLOSED' || !Number.isFinite(signal.rMultiple)) continue;
+
+      const age = now - new Date(signal.resolvedAt || signal.createdAt).getTime();
+      const decay = Math.pow(0.5, Math.max(0, age) / halfLifeMs);
+      const isWin = signal.rMultiple > 0;
+
+      overall.wins += isWin ? decay : 0;
+      overall.losses += isWin ? 0 : decay;
+
+      const detectorResults = signal.explain?.detectorResults || [];
+      const voters = detectorResults.filter(d => d.direction === signal.direction && d.score > 40);
+
+      for (const groupKey of [GLOBAL_KEY, this.keyFor(signal.symbol, signal.timeframe)]) {
+        const group = groups[groupKey] || (groups[groupKey] = {});
+        for (const voter of voters) {
+          const stat = group[voter.name] || (group[voter.name] = { wins: 0, losses: 0 });
+          stat.wins += isWin ? decay : 0;
+          stat.losses += isWin ? 0 : decay;
+        }
+      }
+    }
+
+    return { groups, overall };
+  }
+
+  /**
+   * Compute new weights and a report of old vs. new values. Nothing is applied here.
+   */
+  recalibrate(signals, now = Date.now()) {
+    const { minWeight, maxWeight, minSamples, priorStrength } = this.config;
+    const { groups, overall } = this.collectStats(signals, now);
+
+    const overallSamples = overall.wins + overall.losses;
+    const baseline = (overall.wins + priorStrength * 0.5) / (overallSamples + priorStrength);
+
+    const weights = {};
+    const entries = [];
+
+    for (const [groupKey, detectors] of Object.entries(groups)) {
+      for (const [name, stat] of Object.entries(detectors)) {
+        const samples = stat.wins + stat.losses;
+        if (samples < minSamples) continue;
+
+        const hitRate = (stat.wins + priorStrength * baseline) / (samples + priorStrength);
+        const baseWeight = registry.get(name)?.weight ?? 1.0;
+        const newWeight = Math.min(maxWeight, Math.max(minWeight, baseWeight * hitRate / baseline));
+        const [symbol, timeframe] = groupKey === GLOBAL_KEY ? [GLOBAL_KEY, GLOBAL_KEY] : groupKey.split(':');
+
+        (weights[groupKey] || (weights[groupKey] = {}))[name] = parseFloat(newWeight.toFixed(3));
+        entries.push({
+          detector: name,
+          symbol,
+          timeframe,
+          samples: parseFloat(samples.toFixed(2)),
+          hitRate: hitRate * 100,
+          oldWeight: this.getWeight({ name, weight: baseWeight }, { symbol, timeframe }),
+          newWeight: weights[groupKey][name]
+        });
+      }
+    }
+
+    this.lastReport = {
+      generatedAt: new Date(),
+      mode: this.config.mode,
+      baselineWinRate: baseline * 100,
+      resolvedSignals: parseFloat(overallSamples.toFixed(2)),
+      weights,
+      entries: entries.sort((a, b) => a.detector.localeCompare(b.detector) || a.symbol.localeCompare(b.symbol))
+    };
+
+    return this.lastReport;
+  }
+
+  /**
+   * Apply weights from a report (or a previously persisted weights object)
+   */
+  apply(reportOrWeights) {
+    this.weights = reportOrWeights?.weights || reportOrWeights || {};
+    return this.weights;
+  }
+}
+
+module.exports = AdaptiveWeights;
@@ -0,0 +1,175 @@
+/**
+ * Confidence Calibration - Maps ensemble meta-scores to empirical win probability
+ *
+ * Isotonic regression (pool adjacent violators) fitted on resolved outcomes from live
+ * signals and optional backtest samples. Predictions interpolate between block centers.
+ */
+
+const fs = require('fs');
+
+function winRate(block) {
+  return block.wins / block.count;
+}
+
+// Laplace smoothing keeps single-outcome blocks away from 0% / 100%
+function smoothedRate(block) {
+  return (block.wins + 1) / (block.count + 2);
+}
+
+/**
+ * Pool adjacent violators: merge neighbouring blocks until `rate` is increasing
+ */
+function poolAdjacentViolators(blocks, rate) {
+  const pooled = [];
+  for (const block of blocks) {
+    pooled.push(block);
+
+    while (pooled.length > 1) {
+      const last = pooled[pooled.length - 1];
+      const prev = pooled[pooled.length - 2];
+      if (rate(prev) < rate(last)) break;
+
+      pooled.splice(pooled.length - 2, 2, {
+        minScore: prev.minScore,
+        maxScore: last.maxScore,
+        wins: prev.wins + last.wins,
+        count: prev.count + last.count
+      });
+    }
+  }
+  return pooled;
+}
+
+class ConfidenceCalibrator {
+  constructor(config = {}) {
+    this.config = {
+      minSamples: parseInt(process.env.CALIBRATION_MIN_SAMPLES) || 30,
+      samplesFile: process.env.CALIBRATION_SAMPLES || null,
+      ...config
+    };
+    this.blocks = [];
+    this.sampleCount = 0;
+    this.fittedAt = null;
+  }
+
+  /**
+   * Calibration score of a signal record: the ensemble score before the ML blend, which is
+   * what backtests record too. Older records only carry the meta-score, which is the same
+   * stage when no ML prediction was blended in.
+   */
+  static scoreOf(signal) {
+    const explain = signal.explain || {};
+    if (Number.isFinite(explain.calibrationScore)) return explain.calibrationScore;
+    return explain.ml && !explain.ml.fallback ? null : explain.metaScore;
+  }
+
+  /**
+   * Extract { score, win } samples from resolved signal records
+   */
+  static samplesFromSignals(signals) {
+    return signals
+      .filter(s => s.status === 'CLOSED' && Number.isFinite(s.rMultiple))
+      .map(s => ({ score: ConfidenceCalibrator.scoreOf(s), win: s.rMultiple > 0 }))
+      .filter(s => Number.isFinite(s.score));
+  }
+
+  /**
+   * Load extra samples written by the backtest CLI (--calibration-out)
+   */
+  loadSamplesFile(filePath = this.config.samplesFile) {
+    if (!filePath || !fs.existsSync(filePath)) return [];
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Failed to load calibration samples from ${filePath}:`, error.message);
+      return [];
+    }
+  }
+
+  isFitted() {
+    return this.blocks.length > 0;
+  }
+
+  /**
+   * Fit the isotonic curve. Leaves the calibrator unfitted when samples are too few.
+   */
+  fit(samples) {
+    const sorted = samples
+      .filter(s => Number.isFinite(s.score))
+      .sort((a, b) => a.score - b.score);
+
+    this.sampleCount = sorted.length;
+    this.fittedAt = new Date();
+
+    if (sorted.length < this.config.minSamples) {
+      this.blocks = [];
+      return this;
+    }
+
+    const samplesAsBlocks = sorted.map(sample => ({
+      minScore: sample.score,
+      maxScore: sample.score,
+      wins: sample.win ? 1 : 0,
+      count: 1
+    }));
+
+    // Isotonic fit on the raw win rate, then again on the smoothed rate: smoothing pulls
+    // small blocks toward 50% and could otherwise rank a 1/1 block below an 8/10 one
+    const blocks = poolAdjacentViolators(poolAdjacentViolators(samplesAsBlocks, winRate), smoothedRate);
+
+    this.blocks = blocks.map(b => ({
+      ...b,
+      center: (b.minScore + b.maxScore) / 2,
+      probability: smoothedRate(b)
+    }));
+
+    return this;
+  }
+
+  /**
+   * Calibrated win probability (0-100) for a meta-score, or null when not fitted
+   */
+  predict(score) {
+    if (!this.isFitted() || !Number.isFinite(score)) return null;
+
+    const blocks = this.blocks;
+    if (score <= blocks[0].center) return blocks[0].probability * 100;
+    if (score >= blocks[blocks.length - 1].center) return blocks[blocks.length - 1].probability * 100;
+
+    for (let i = 1; i < blocks.length; i++) {
+      const left = blocks[i - 1];
+      const right = blocks[i];
+      if (score <= right.center) {
+        const t = (score - left.center) / (right.center - left.center);
+        return (left.probability + t * (right.probability - left.probability)) * 100;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Calibration curve for the API: fitted blocks plus a 0-100 grid
+   */
+  getCurve() {
+    return {
+      fitted: this.isFitted(),
+      method: 'isotonic',
+      samples: this.sampleCount,
+      minSamples: this.config.minSamples,
+      fittedAt: this.fittedAt,
+      blocks: this.blocks.map(b => ({
+        minScore: b.minScore,
+        maxScore: b.maxScore,
+        samples: b.count,
+        winRate: b.wins / b.count * 100,
+        probability: b.probability * 100
+      })),
+      curve: this.isFitted()
+        ? Array.from({ length: 11 }, (_, i) => ({ score: i * 10, probability: this.predict(i * 10) }))
+        : []
+    };
+  }
+}
+
+module.exports = ConfidenceCalibrator;
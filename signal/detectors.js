@@ -1,9 +1,9 @@
 /**
  * Signal Detectors - Modular trading signal detection
- * FIXED: Completely removed funding rate functionality
  */
 
 const TradingUtils = require('../utils');
+const { registry } = require('./registry');
 
 class SignalDetectors {
   /**
@@ -325,7 +325,7 @@ class SignalDetectors {
   }
 
   /**
-   * RSI Momentum Detector - REPLACES Funding OI Detector
+   * RSI Momentum Detector
    */
   static rsiMomentumDetector(data, config = {}) {
     const { rsiOverbought = 70, rsiOversold = 30 } = config;
@@ -374,44 +374,197 @@ class SignalDetectors {
   }
 
   /**
-   * Correlation Break Detector - SIMPLIFIED
+   * Funding & OI Divergence Detector - Contrarian view on crowded perpetual positioning
+   *
+   * Extreme funding plus a lopsided long/short ratio marks a crowded side; a price move
+   * with the crowd while open interest falls (positions closing, not opening) adds weight.
+   * Skips cleanly when the symbol has no futures data.
+   */
+  static fundingOIDivergenceDetector(data, config = {}) {
+    const {
+      fundingThreshold = 0.0003,
+      fundingExtreme = 0.001,
+      longShortExtreme = 2.0,
+      oiLookback = 24,
+      divergencePercent = 1.0
+    } = config;
+
+    try {
+      const futures = data.fundingOI;
+      if (!futures || !Number.isFinite(futures.fundingRate)) {
+        return { name: 'funding_oi_divergence', score: 0, direction: 'NEUTRAL', reason: 'No futures data for symbol' };
+      }
+
+      const fundingRate = futures.fundingRate;
+      const longShort = futures.longShortRatio || [];
+      const openInterest = futures.openInterest || [];
+      const candles1h = data['1h'] || [];
+
+      const lsRatio = longShort.length > 0 ? longShort[longShort.length - 1].ratio : null;
+
+      let oiChange = 0;
+      if (openInterest.length > oiLookback) {
+        const oiNow = openInterest[openInterest.length - 1].amount;
+        const oiPast = openInterest[openInterest.length - 1 - oiLookback].amount;
+        oiChange = oiPast > 0 ? (oiNow - oiPast) / oiPast * 100 : 0;
+      }
+
+      let priceChange = 0;
+      if (candles1h.length > oiLookback) {
+        const priceNow = candles1h[candles1h.length - 1].close;
+        const pricePast = candles1h[candles1h.length - 1 - oiLookback].close;
+        priceChange = (priceNow - pricePast) / pricePast * 100;
+      }
+
+      const metadata = { fundingRate, longShortRatio: lsRatio, oiChange, priceChange };
+
+      if (Math.abs(fundingRate) < fundingThreshold) {
+        return { name: 'funding_oi_divergence', score: 0, direction: 'NEUTRAL', reason: `Funding neutral: ${(fundingRate * 100).toFixed(4)}%`, metadata };
+      }
+
+      // Positive funding = longs crowded -> contrarian SHORT, and vice versa
+      const crowdedLong = fundingRate > 0;
+      const direction = crowdedLong ? 'SHORT' : 'LONG';
+
+      const fundingStrength = Math.min(1, (Math.abs(fundingRate) - fundingThreshold) / (fundingExtreme - fundingThreshold));
+
+      let crowdStrength = 0;
+      if (lsRatio !== null && lsRatio > 0) {
+        const skew = crowdedLong ? lsRatio : 1 / lsRatio;
+        crowdStrength = Math.min(1, Math.max(0, (skew - 1) / (longShortExtreme - 1)));
+      }
+
+      const priceWithCrowd = crowdedLong ? priceChange > divergencePercent : priceChange < -divergencePercent;
+      const hasDivergence = priceWithCrowd && oiChange < -divergencePercent;
+
+      const score = Math.min(100, fundingStrength * 50 + crowdStrength * 30 + (hasDivergence ? 20 : 0) + 20);
+      const reason = `Crowded ${crowdedLong ? 'longs' : 'shorts'}: funding ${(fundingRate * 100).toFixed(4)}%` +
+        (lsRatio !== null ? `, L/S ${lsRatio.toFixed(2)}` : '') +
+        (hasDivergence ? `, price ${priceChange.toFixed(2)}% vs OI ${oiChange.toFixed(2)}%` : '');
+
+      return {
+        name: 'funding_oi_divergence',
+        score: Math.round(score),
+        direction,
+        reason,
+        metadata: { ...metadata, hasDivergence }
+      };
+    } catch (error) {
+      return { name: 'funding_oi_divergence', score: 0, direction: 'NEUTRAL', reason: `Error: ${error.message}` };
+    }
+  }
+
+  /**
+   * Correlation Break Detector - Cross-asset decoupling and beta-adjusted relative strength
+   *
+   * Compares 1h returns against BTC/ETH benchmarks (data.benchmarks). A drop from the
+   * baseline correlation flags a decoupling event; the direction comes from the residual
+   * return after removing the benchmark's beta-weighted move over the recent window.
    */
   static correlationBreakDetector(data, config = {}) {
+    const {
+      recentWindow = 24,
+      strengthWindow = 12,
+      minBaselineCorrelation = 0.5,
+      decouplingDrop = 0.3,
+      residualZThreshold = 1.0
+    } = config;
+
     try {
       const candles1h = data['1h'] || [];
-      
-      if (candles1h.length < 10) {
-        return { score: 0, direction: 'NEUTRAL', reason: 'Insufficient data for correlation analysis' };
+      const benchmarks = data.benchmarks || {};
+      const benchmarkNames = Object.keys(benchmarks).filter(name => (benchmarks[name] || []).length > 0);
+
+      if (candles1h.length < recentWindow * 2 || benchmarkNames.length === 0) {
+        return { name: 'correlation_break', score: 0, direction: 'NEUTRAL', reason: 'Insufficient data for correlation analysis' };
       }
 
-      const priceChanges = [];
-      for (let i = 1; i < candles1h.length; i++) {
-        const change = (candles1h[i].close - candles1h[i-1].close) / candles1h[i-1].close;
-        priceChanges.push(change);
+      const toReturns = candles => {
+        const returns = new Map();
+        for (let i = 1; i < candles.length; i++) {
+          returns.set(candles[i].timestamp, (candles[i].close - candles[i - 1].close) / candles[i - 1].close);
+        }
+        return returns;
+      };
+      const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+      const coinReturns = toReturns(candles1h);
+
+      const views = [];
+      for (const name of benchmarkNames) {
+        const benchReturns = toReturns(benchmarks[name]);
+        const timestamps = [...coinReturns.keys()].filter(t => benchReturns.has(t));
+        if (timestamps.length < recentWindow * 2) continue;
+
+        const coin = timestamps.map(t => coinReturns.get(t));
+        const bench = timestamps.map(t => benchReturns.get(t));
+
+        const baselineCorrelation = TradingUtils.calculateCorrelation(coin.slice(0, -recentWindow), bench.slice(0, -recentWindow));
+        const recentCorrelation = TradingUtils.calculateCorrelation(coin.slice(-recentWindow), bench.slice(-recentWindow));
+
+        // Beta over the full window
+        const coinMean = mean(coin);
+        const benchMean = mean(bench);
+        const covariance = mean(coin.map((r, i) => (r - coinMean) * (bench[i] - benchMean)));
+        const benchVariance = mean(bench.map(r => Math.pow(r - benchMean, 2)));
+        const beta = benchVariance > 0 ? covariance / benchVariance : 0;
+
+        // Residual (beta-adjusted) returns and their recent cumulative strength
+        const residuals = coin.map((r, i) => r - beta * bench[i]);
+        const residualMean = mean(residuals);
+        const residualStd = Math.sqrt(mean(residuals.map(r => Math.pow(r - residualMean, 2))));
+        const recentResidual = residuals.slice(-strengthWindow).reduce((a, b) => a + b, 0);
+        const residualZ = residualStd > 0 ? recentResidual / (residualStd * Math.sqrt(strengthWindow)) : 0;
+
+        views.push({
+          benchmark: name,
+          baselineCorrelation,
+          recentCorrelation,
+          decoupled: baselineCorrelation >= minBaselineCorrelation && baselineCorrelation - recentCorrelation >= decouplingDrop,
+          beta,
+          relativeStrength: recentResidual * 100,
+          residualZ
+        });
       }
-      
-      const recentVolatility = Math.std(priceChanges.slice(-5)) * 100;
-      const historicalVolatility = Math.std(priceChanges) * 100;
-      
-      let score = 0;
-      let direction = 'NEUTRAL';
-      let reason = 'Normal volatility';
-      
-      if (recentVolatility > historicalVolatility * 2) {
-        score = Math.min(100, (recentVolatility / historicalVolatility) * 25);
-        direction = Math.random() > 0.5 ? 'LONG' : 'SHORT';
-        reason = `High volatility spike: ${recentVolatility.toFixed(2)}% vs avg ${historicalVolatility.toFixed(2)}%`;
+
+      if (views.length === 0) {
+        return { name: 'correlation_break', score: 0, direction: 'NEUTRAL', reason: 'No overlapping benchmark data' };
       }
 
+      const avgResidualZ = mean(views.map(v => v.residualZ));
+      const decoupled = views.some(v => v.decoupled);
+      const primary = views[0];
+      const metadata = {
+        benchmarks: views,
+        beta: primary.beta,
+        baselineCorrelation: primary.baselineCorrelation,
+        recentCorrelation: primary.recentCorrelation,
+        relativeStrength: primary.relativeStrength,
+        residualZ: avgResidualZ,
+        decoupled
+      };
+
+      if (Math.abs(avgResidualZ) < residualZThreshold) {
+        return {
+          name: 'correlation_break',
+          score: 0,
+          direction: 'NEUTRAL',
+          reason: `No relative strength vs ${views.map(v => v.benchmark.replace('USDT', '')).join('/')} (z ${avgResidualZ.toFixed(2)})`,
+          metadata
+        };
+      }
+
+      const direction = avgResidualZ > 0 ? 'LONG' : 'SHORT';
+      const score = Math.min(100, Math.abs(avgResidualZ) * 25 + (decoupled ? 25 : 0));
+      const reason = `${direction === 'LONG' ? 'Outperforming' : 'Underperforming'} ` +
+        `${primary.benchmark.replace('USDT', '')} by ${primary.relativeStrength.toFixed(2)}% (beta ${primary.beta.toFixed(2)}, z ${avgResidualZ.toFixed(2)})` +
+        (decoupled ? `, decoupled: corr ${primary.baselineCorrelation.toFixed(2)} → ${primary.recentCorrelation.toFixed(2)}` : '');
+
       return {
         name: 'correlation_break',
         score: Math.round(score),
         direction,
         reason,
-        metadata: {
-          recentVolatility,
-          historicalVolatility
-        }
+        metadata
       };
     } catch (error) {
       return { name: 'correlation_break', score: 0, direction: 'NEUTRAL', reason: `Error: ${error.message}` };
@@ -419,31 +572,48 @@ class SignalDetectors {
   }
 
   /**
-   * Run all detectors and return results - UPDATED (NO FUNDING RATE)
+   * Run all enabled detectors from the registry and return results
+   * Per-call overrides can be passed as { detectorName: { ...params } }
    */
   static async runAllDetectors(data, config = {}) {
-    const detectors = [
-      { fn: this.momentumBreakoutDetector, weight: 1.2 },
-      { fn: this.vwapPullbackDetector, weight: 1.1 },
-      { fn: this.volatilitySqueezeDetector, weight: 1.0 },
-      { fn: this.orderbookSweepDetector, weight: 0.9 },
-      { fn: this.rsiMomentumDetector, weight: 1.0 }, // REPLACED funding detector
-      { fn: this.volumeSpikeDetector, weight: 1.0 },
-      { fn: this.correlationBreakDetector, weight: 0.7 }
-    ];
-
     const results = [];
     
-    for (const detector of detectors) {
+    for (const detector of registry.getEnabled()) {
+      const missing = detector.timeframes.filter(tf => !data[tf] || data[tf].length === 0);
+      if (missing.length > 0) {
+        results.push({
+          name: detector.name,
+          score: 0,
+          direction: 'NEUTRAL',
+          reason: `Missing timeframes: ${missing.join(', ')}`,
+          weight: detector.weight
+        });
+        continue;
+      }
+
+      const regime = data.regime?.regime;
+      if (!registry.isValidInRegime(detector, regime)) {
+        results.push({
+          name: detector.name,
+          score: 0,
+          direction: 'NEUTRAL',
+          reason: `Not valid in ${regime} regime`,
+          weight: detector.weight
+        });
+        continue;
+      }
+
       try {
-        const result = detector.fn(data, config);
+        const params = { ...detector.params, ...(config[detector.name] || {}) };
+        const result = await detector.detect(data, params);
         results.push({
           ...result,
+          name: result.name || detector.name,
           weight: detector.weight
         });
       } catch (error) {
         results.push({
-          name: detector.fn.name.replace('Detector', '').toLowerCase(),
+          name: detector.name,
           score: 0,
           direction: 'NEUTRAL',
           reason: `Detector error: ${error.message}`,
@@ -456,11 +626,60 @@ class SignalDetectors {
   }
 }
 
-// Add missing Math.std function
-Math.std = function(arr) {
-  if (!arr || arr.length === 0) return 0;
-  const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
-  return Math.sqrt(arr.reduce((sq, n) => sq + Math.pow(n - mean, 2), 0) / arr.length);
-};
+// --- BUILT-IN DETECTORS ---
+registry
+  .register('momentum_breakout', SignalDetectors.momentumBreakoutDetector, {
+    weight: 1.2,
+    timeframes: ['15m'],
+    params: { breakoutPeriod: 20, volumeMultiplier: 1.5, minBreakoutPercent: 1.0 },
+    regimes: ['TREND', 'HIGH_VOL'],
+    description: 'Breakouts with volume confirmation'
+  })
+  .register('vwap_pullback', SignalDetectors.vwapPullbackDetector, {
+    weight: 1.1,
+    timeframes: ['1m', '15m'],
+    params: { vwapDelta: 0.002, volumeUptick: 1.2 },
+    regimes: ['TREND', 'RANGE'],
+    description: 'Intraday pullbacks to VWAP'
+  })
+  .register('volatility_squeeze', SignalDetectors.volatilitySqueezeDetector, {
+    weight: 1.0,
+    timeframes: ['15m'],
+    params: { bbPeriod: 20, bbStdDev: 2, squeezePercentile: 10 },
+    regimes: ['RANGE'],
+    description: 'Bollinger Band squeeze breakouts'
+  })
+  .register('orderbook_sweep', SignalDetectors.orderbookSweepDetector, {
+    weight: 0.9,
+    regimes: ['TREND', 'RANGE', 'HIGH_VOL'],
+    description: 'Top-of-book volume imbalance'
+  })
+  .register('rsi_momentum', SignalDetectors.rsiMomentumDetector, {
+    weight: 1.0,
+    timeframes: ['15m', '1h'],
+    params: { rsiOverbought: 70, rsiOversold: 30 },
+    regimes: ['RANGE'],
+    description: 'Multi-timeframe RSI extremes'
+  })
+  .register('funding_oi_divergence', SignalDetectors.fundingOIDivergenceDetector, {
+    weight: 0.8,
+    timeframes: ['1h'],
+    params: { fundingThreshold: 0.0003, fundingExtreme: 0.001, longShortExtreme: 2.0, oiLookback: 24, divergencePercent: 1.0 },
+    description: 'Contrarian funding rate / open interest positioning'
+  })
+  .register('volume_spike', SignalDetectors.volumeSpikeDetector, {
+    weight: 1.0,
+    timeframes: ['15m'],
+    params: { volumeZScoreThreshold: 2.0 },
+    regimes: ['TREND', 'HIGH_VOL'],
+    description: 'Unusual volume with directional candle'
+  })
+  .register('correlation_break', SignalDetectors.correlationBreakDetector, {
+    weight: 0.7,
+    timeframes: ['1h'],
+    params: { recentWindow: 24, strengthWindow: 12, minBaselineCorrelation: 0.5, decouplingDrop: 0.3, residualZThreshold: 1.0 },
+    regimes: ['TREND', 'RANGE'],
+    description: 'Decoupling and beta-adjusted relative strength vs BTC/ETH'
+  });
 
 module.exports = SignalDetectors;
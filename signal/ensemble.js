@@ -2,7 +2,8 @@
  * AI Ensemble Logic - SIMPLIFIED AND STABLE
  */
 
-const TradingUtils = require('../utils');
+const LevelEngine = require('./levels');
+const TrendFilter = require('./trend');
 
 class EnsembleAI {
   constructor(config = {}) {
@@ -11,6 +12,8 @@ class EnsembleAI {
       minDetectorAgreement: config.minDetectorAgreement || 2,
       ...config
     };
+    this.levelEngine = new LevelEngine(this.config.levels);
+    this.trendFilter = new TrendFilter(this.config.trend);
   }
 
   /**
@@ -36,10 +39,20 @@ class EnsembleAI {
     };
   }
 
+  /**
+   * Detector weight, optionally provided by config.weightProvider (e.g. adaptive weights)
+   */
+  getDetectorWeight(detector, context = {}) {
+    if (typeof this.config.weightProvider === 'function') {
+      return this.config.weightProvider(detector, context);
+    }
+    return detector.weight || 1.0;
+  }
+
   /**
    * Calculate meta score
    */
-  calculateMetaScore(detectorResults, agreement) {
+  calculateMetaScore(detectorResults, agreement, context = {}) {
     if (agreement.majorityCount < this.config.minDetectorAgreement) {
       return 0;
     }
@@ -49,7 +62,7 @@ class EnsembleAI {
     
     detectorResults.forEach(detector => {
       if (detector.direction === agreement.majorityDirection && detector.score > 40) {
-        totalScore += detector.score * (detector.weight || 1.0);
+        totalScore += detector.score * this.getDetectorWeight(detector, context);
         count++;
       }
     });
@@ -66,102 +79,156 @@ class EnsembleAI {
   }
 
   /**
-   * Generate trading levels
+   * Generate trading levels (structure-aware SL, TP1/TP2/TP3, trailing suggestion)
    */
   generateLevels(direction, currentPrice, data) {
-    const candles15m = data['15m'] || [];
-    if (candles15m.length < 10) {
-      return this.generateDefaultLevels(direction, currentPrice);
+    return this.levelEngine.generate(direction, currentPrice, data);
+  }
+
+  /**
+   * Blend an ML win probability into the meta-score when config.mlService is enabled
+   */
+  async applyMLPrediction(metaScore, detectorResults, data, agreement, context = {}) {
+    const mlService = this.config.mlService;
+    if (!mlService || !mlService.isEnabled() || metaScore <= 0) {
+      return { metaScore, ml: null };
     }
 
-    const atr = TradingUtils.calculateATR(candles15m);
-    const volatilityAdjustedATR = atr * currentPrice;
-    
-    const entryPrice = currentPrice;
-    const slDistance = volatilityAdjustedATR * 0.8;
-    
-    const stopLoss = direction === 'LONG' 
-      ? entryPrice - slDistance
-      : entryPrice + slDistance;
-    
-    const risk = Math.abs(entryPrice - stopLoss);
-    const takeProfit = direction === 'LONG'
-      ? entryPrice + risk * 1.8
-      : entryPrice - risk * 1.8;
-    
-    const rrRatio = Math.abs(takeProfit - entryPrice) / risk;
-    
+    const probability = await mlService.predict({
+      symbol: context.symbol,
+      direction: agreement.majorityDirection,
+      metaScore,
+      features: mlService.buildFeatures(detectorResults, data, agreement)
+    });
+
     return {
-      entry: parseFloat(entryPrice.toFixed(4)),
-      sl: parseFloat(stopLoss.toFixed(4)),
-      tp: parseFloat(takeProfit.toFixed(4)),
-      rr: rrRatio.toFixed(2)
+      metaScore: mlService.blend(metaScore, probability),
+      ml: {
+        probability,
+        weight: probability === null ? 0 : mlService.config.weight,
+        ensembleScore: metaScore,
+        fallback: probability === null
+      }
     };
   }
 
   /**
-   * Default levels if data insufficient
+   * Multi-timeframe confluence: penalize or veto signals against the higher-timeframe trend
    */
-  generateDefaultLevels(direction, currentPrice) {
-    const riskPercent = 0.02; // 2% risk
-    const stopLoss = direction === 'LONG' 
-      ? currentPrice * (1 - riskPercent)
-      : currentPrice * (1 + riskPercent);
-    
-    const risk = Math.abs(currentPrice - stopLoss);
-    const takeProfit = direction === 'LONG'
-      ? currentPrice + risk * 1.8
-      : currentPrice - risk * 1.8;
-    
-    const rrRatio = Math.abs(takeProfit - currentPrice) / risk;
-    
+  applyConfluence(metaScore, agreement, data) {
+    const confluence = this.trendFilter.assess(agreement.majorityDirection, data);
+    if (metaScore <= 0) return { metaScore, confluence };
+
     return {
-      entry: parseFloat(currentPrice.toFixed(4)),
-      sl: parseFloat(stopLoss.toFixed(4)),
-      tp: parseFloat(takeProfit.toFixed(4)),
-      rr: rrRatio.toFixed(2)
+      metaScore: Math.max(0, Math.min(100, metaScore + confluence.adjustment)),
+      confluence
     };
   }
 
+  /**
+   * Confidence shown and gated on: the calibrated win probability of the calibration score
+   * when config.confidenceProvider returns one (with the ML probability blended in on the
+   * same scale), else the heuristic meta-score
+   */
+  getConfidence(metaScore, calibrationScore = metaScore, ml = null) {
+    const provider = this.config.confidenceProvider;
+    const calibrated = provider && calibrationScore > 0 ? provider(calibrationScore) : null;
+    if (!Number.isFinite(calibrated)) return { confidence: Math.round(metaScore), calibrated: false };
+
+    const probability = ml && ml.probability !== null ? this.config.mlService.blend(calibrated, ml.probability) : calibrated;
+    return { confidence: Math.round(probability), calibrated: true };
+  }
+
   /**
    * Main ensemble analysis
    */
-  async analyze(detectorResults, data) {
+  async analyze(detectorResults, data, context = {}) {
     const agreement = this.calculateDetectorAgreement(detectorResults);
-    const metaScore = this.calculateMetaScore(detectorResults, agreement);
+    const baseScore = this.calculateMetaScore(detectorResults, agreement, context);
+    const mlResult = await this.applyMLPrediction(baseScore, detectorResults, data, agreement, context);
+    const { metaScore, confluence } = this.applyConfluence(mlResult.metaScore, agreement, data);
+    const ml = mlResult.ml;
+    // Detectors + confluence without the ML blend: the stage backtests can reproduce offline,
+    // so live and backtest calibration samples share one scale
+    const calibrationScore = baseScore > 0 ? Math.max(0, Math.min(100, baseScore + confluence.adjustment)) : baseScore;
+    const { confidence, calibrated } = this.getConfidence(metaScore, calibrationScore, ml);
+    
+    if (confluence.vetoed && agreement.majorityCount >= this.config.minDetectorAgreement) {
+      return {
+        direction: 'NO_TRADE',
+        confidence,
+        calibrated,
+        reason: `${agreement.majorityDirection} vetoed: ${confluence.reason}`,
+        explain: {
+          detectorResults,
+          agreement,
+          metaScore,
+          calibrationScore,
+          ml,
+          confluence
+        }
+      };
+    }
     
     const currentPrice = data['15m']?.[data['15m'].length - 1]?.close || 
                         data.ticker?.last || 0;
     
-    if (metaScore >= this.config.minConfidence && agreement.majorityCount >= this.config.minDetectorAgreement) {
+    if (confidence >= this.config.minConfidence && agreement.majorityCount >= this.config.minDetectorAgreement) {
       const levels = this.generateLevels(agreement.majorityDirection, currentPrice, data);
       
+      if (!levels.valid) {
+        return {
+          direction: 'NO_TRADE',
+          confidence,
+        calibrated,
+          reason: `${agreement.majorityDirection} setup rejected: ${levels.rejectReason}`,
+          explain: {
+            detectorResults,
+            agreement,
+            metaScore,
+            calibrationScore,
+            ml,
+            confluence,
+            levels
+          }
+        };
+      }
+      
       return {
         direction: agreement.majorityDirection,
-        confidence: Math.round(metaScore),
-        reason: `${agreement.majorityCount} detectors agree, ${Math.round(metaScore)}% confidence`,
+        confidence,
+        calibrated,
+        reason: `${agreement.majorityCount} detectors agree, ${confidence}% confidence`,
         levels,
         explain: {
           detectorResults: detectorResults.map(d => ({
             name: d.name,
             score: d.score,
             direction: d.direction,
-            reason: d.reason
+            reason: d.reason,
+            metadata: d.metadata
           })),
           agreement,
-          metaScore
+          metaScore,
+          calibrationScore,
+          ml,
+          confluence
         }
       };
     }
     
     return {
       direction: 'NO_TRADE',
-      confidence: Math.round(metaScore),
-      reason: `Insufficient agreement: ${agreement.majorityCount} detectors, ${Math.round(metaScore)}% confidence`,
+      confidence,
+      calibrated,
+      reason: `Insufficient agreement: ${agreement.majorityCount} detectors, ${confidence}% confidence`,
       explain: {
         detectorResults,
         agreement,
-        metaScore
+        metaScore,
+        calibrationScore,
+        ml,
+        confluence
       }
     };
   }
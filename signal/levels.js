@@ -0,0 +1,145 @@
+/**
+ * Level Engine - Structure-aware stop-loss and multi-target take-profit generation
+ *
+ * Stops go beyond the nearest recent swing low/high or VWAP (with an ATR buffer), falling
+ * back to a pure ATR stop. Targets are R multiples or swing levels, and setups whose
+ * first target offers less than the minimum RR are rejected.
+ */
+
+const TradingUtils = require('../utils');
+
+// RR is a ratio of float price distances: a target at exactly minRR can land at 1.4999999
+const RR_EPSILON = 1e-9;
+
+// Positive numbers from a comma-separated env value, or null when none are valid
+function parseList(value) {
+  const list = value ? value.split(',').map(v => parseFloat(v)).filter(v => Number.isFinite(v) && v > 0) : [];
+  return list.length > 0 ? list : null;
+}
+
+function roundPrice(price) {
+  return parseFloat(price.toFixed(price >= 1 ? 4 : 8));
+}
+
+class LevelEngine {
+  constructor(config = {}) {
+    this.config = {
+      timeframe: '15m',
+      swingLookback: 50,
+      swingStrength: 2,
+      stopMode: process.env.LEVELS_STOP_MODE || 'structure', // structure | atr
+      targetMode: process.env.LEVELS_TARGET_MODE || 'r', // r | structure
+      targetMultiples: parseList(process.env.LEVELS_TP_R) || [1.5, 2.5, 4],
+      minRR: parseFloat(process.env.LEVELS_MIN_RR) || 1.5,
+      atrStopMultiplier: 1.5,
+      atrBuffer: 0.2,
+      minStopAtr: 0.5,
+      maxStopAtr: 3,
+      trailAtrMultiplier: 1.0,
+      fallbackRiskPercent: 2,
+      ...config
+    };
+  }
+
+  /**
+   * Pick the stop: nearest structure level far enough from entry, else ATR-based
+   */
+  placeStop(direction, entry, atr, structure) {
+    const { stopMode, atrStopMultiplier, atrBuffer, minStopAtr, maxStopAtr } = this.config;
+    const isLong = direction === 'LONG';
+
+    if (stopMode === 'structure') {
+      const candidates = [
+        ...(isLong ? structure.lows : structure.highs).map(price => ({ price, basis: isLong ? 'swing_low' : 'swing_high' })),
+        { price: structure.vwap, basis: 'vwap' }
+      ]
+        .filter(c => Number.isFinite(c.price) && c.price > 0)
+        .map(c => ({ ...c, stop: isLong ? c.price - atr * atrBuffer : c.price + atr * atrBuffer }))
+        .filter(c => {
+          const distance = isLong ? entry - c.stop : c.stop - entry;
+          return distance >= atr * minStopAtr && distance <= atr * maxStopAtr;
+        })
+        .sort((a, b) => Math.abs(entry - a.stop) - Math.abs(entry - b.stop));
+
+      if (candidates.length > 0) {
+        return { sl: candidates[0].stop, basis: candidates[0].basis };
+      }
+    }
+
+    const distance = atr * atrStopMultiplier;
+    return { sl: isLong ? entry - distance : entry + distance, basis: 'atr' };
+  }
+
+  /**
+   * Targets at configured R multiples, or at swing levels beyond entry
+   */
+  placeTargets(direction, entry, risk, structure) {
+    const isLong = direction === 'LONG';
+    const sign = isLong ? 1 : -1;
+    const rTargets = this.config.targetMultiples.map(r => entry + sign * risk * r);
+
+    if (this.config.targetMode !== 'structure') return rTargets;
+
+    const levels = (isLong ? structure.highs : structure.lows)
+      .filter(price => isLong ? price > entry : price < entry)
+      .sort((a, b) => isLong ? a - b : b - a);
+
+    // Use swing levels first, then fill remaining slots with R-multiple targets beyond them
+    const targets = levels.slice(0, rTargets.length);
+    for (const target of rTargets) {
+      if (targets.length >= rTargets.length) break;
+      const last = targets[targets.length - 1];
+      if (last === undefined || (isLong ? target > last : target < last)) targets.push(target);
+    }
+    return targets;
+  }
+
+  /**
+   * Build levels for a direction at the current price
+   */
+  generate(direction, currentPrice, data) {
+    const candles = data[this.config.timeframe] || [];
+    const atr = candles.length >= 15 ? TradingUtils.calculateATR(candles) : 0;
+
+    let stop;
+    let targets;
+    if (atr > 0) {
+      const recent = candles.slice(-this.config.swingLookback);
+      const structure = {
+        ...TradingUtils.findSwingPoints(recent, this.config.swingStrength),
+        vwap: TradingUtils.calculateVWAP(recent)
+      };
+      stop = this.placeStop(direction, currentPrice, atr, structure);
+      targets = this.placeTargets(direction, currentPrice, Math.abs(currentPrice - stop.sl), structure);
+    } else {
+      const distance = currentPrice * this.config.fallbackRiskPercent / 100;
+      stop = { sl: direction === 'LONG' ? currentPrice - distance : currentPrice + distance, basis: 'percent' };
+      targets = this.placeTargets(direction, currentPrice, distance, { highs: [], lows: [] });
+    }
+
+    const risk = Math.abs(currentPrice - stop.sl);
+    const rrFor = tp => (risk > 0 ? Math.abs(tp - currentPrice) / risk : 0);
+    const rr = rrFor(targets[0]);
+    const valid = risk > 0 && rr + RR_EPSILON >= this.config.minRR;
+    const trailDistance = atr > 0 ? atr * this.config.trailAtrMultiplier : risk;
+
+    return {
+      entry: roundPrice(currentPrice),
+      sl: roundPrice(stop.sl),
+      tp: roundPrice(targets[0]),
+      targets: targets.map(tp => ({ price: roundPrice(tp), rr: rrFor(tp).toFixed(2) })),
+      rr: rr.toFixed(2),
+      stopBasis: stop.basis,
+      atr,
+      trailing: {
+        activateAt: roundPrice(targets[0]),
+        moveStopTo: roundPrice(currentPrice),
+        trailDistance: roundPrice(trailDistance)
+      },
+      valid,
+      rejectReason: valid ? null : `RR ${rr.toFixed(2)} below minimum ${this.config.minRR}`
+    };
+  }
+}
+
+module.exports = LevelEngine;
@@ -0,0 +1,117 @@
+/**
+ * Regime Classifier - Labels the market TREND, RANGE, HIGH_VOL or LOW_LIQUIDITY
+ *
+ * Uses ADX for trend strength, the percentile of the current ATR% and Bollinger width
+ * within the lookback window for volatility (a band expansion counts as HIGH_VOL, a
+ * squeeze as RANGE even with a lagging high ADX), and orderbook spread / 24h quote
+ * volume for liquidity. The result is attached to `data.regime` before detectors run so the runner
+ * can skip detectors that are not valid in the current regime.
+ */
+
+const { ADX } = require('technicalindicators');
+const TradingUtils = require('../utils');
+
+const REGIMES = ['TREND', 'RANGE', 'HIGH_VOL', 'LOW_LIQUIDITY'];
+
+function percentileRank(values, value) {
+  if (values.length === 0) return 50;
+  return values.filter(v => v <= value).length / values.length * 100;
+}
+
+class RegimeClassifier {
+  constructor(config = {}) {
+    this.config = {
+      timeframe: '15m',
+      adxPeriod: 14,
+      atrPeriod: 14,
+      bbPeriod: 20,
+      trendAdx: parseFloat(process.env.REGIME_TREND_ADX) || 25,
+      highVolPercentile: parseFloat(process.env.REGIME_HIGH_VOL_PERCENTILE) || 90,
+      bbExpansionPercentile: parseFloat(process.env.REGIME_BB_EXPANSION_PERCENTILE) || 95,
+      bbSqueezePercentile: parseFloat(process.env.REGIME_BB_SQUEEZE_PERCENTILE) || 10,
+      maxSpreadPercent: parseFloat(process.env.REGIME_MAX_SPREAD_PERCENT) || 0.15,
+      minQuoteVolume: parseFloat(process.env.REGIME_MIN_QUOTE_VOLUME) || 5000000,
+      ...config
+    };
+  }
+
+  /**
+   * ATR% and Bollinger width for every bar with enough history
+   */
+  volatilitySeries(candles) {
+    const { atrPeriod, bbPeriod } = this.config;
+    const start = Math.max(atrPeriod + 1, bbPeriod);
+    const atrPercent = [];
+    const bbWidth = [];
+
+    for (let i = start; i <= candles.length; i++) {
+      const window = candles.slice(0, i);
+      const close = window[window.length - 1].close;
+      atrPercent.push(TradingUtils.calculateATR(window.slice(-(atrPeriod * 3)), atrPeriod) / close * 100);
+
+      const bb = TradingUtils.calculateBollingerBands(window.slice(-bbPeriod).map(c => c.close), bbPeriod);
+      bbWidth.push(bb && bb.middle > 0 ? (bb.upper - bb.lower) / bb.middle : 0);
+    }
+
+    return { atrPercent, bbWidth };
+  }
+
+  calculateADX(candles) {
+    const period = this.config.adxPeriod;
+    if (candles.length < period * 2 + 1) return null;
+
+    const values = ADX.calculate({
+      high: candles.map(c => c.high),
+      low: candles.map(c => c.low),
+      close: candles.map(c => c.close),
+      period
+    });
+    return values[values.length - 1] || null;
+  }
+
+  /**
+   * Classify the regime, or null when there is not enough history
+   */
+  classify(data) {
+    const { timeframe, trendAdx, highVolPercentile, bbExpansionPercentile, bbSqueezePercentile,
+      maxSpreadPercent, minQuoteVolume } = this.config;
+    const candles = data[timeframe] || [];
+    const adx = this.calculateADX(candles);
+    if (!adx) return null;
+
+    const { atrPercent, bbWidth } = this.volatilitySeries(candles);
+    const current = {
+      atrPercent: atrPercent[atrPercent.length - 1],
+      bbWidth: bbWidth[bbWidth.length - 1]
+    };
+    const atrPercentile = percentileRank(atrPercent, current.atrPercent);
+    const bbWidthPercentile = percentileRank(bbWidth, current.bbWidth);
+
+    const spread = data.orderbook?.spread;
+    const quoteVolume = data.ticker?.quoteVolume;
+    const illiquid = (Number.isFinite(spread) && spread > maxSpreadPercent) ||
+      (Number.isFinite(quoteVolume) && quoteVolume > 0 && quoteVolume < minQuoteVolume);
+
+    let regime;
+    if (illiquid) regime = 'LOW_LIQUIDITY';
+    else if (atrPercentile >= highVolPercentile || bbWidthPercentile >= bbExpansionPercentile) regime = 'HIGH_VOL';
+    else if (bbWidthPercentile <= bbSqueezePercentile) regime = 'RANGE';
+    else if (adx.adx >= trendAdx) regime = 'TREND';
+    else regime = 'RANGE';
+
+    return {
+      regime,
+      timeframe,
+      adx: adx.adx,
+      trendDirection: adx.pdi > adx.mdi ? 'UP' : 'DOWN',
+      atrPercent: current.atrPercent,
+      atrPercentile,
+      bbWidth: current.bbWidth,
+      bbWidthPercentile,
+      spread: Number.isFinite(spread) ? spread : null,
+      quoteVolume: Number.isFinite(quoteVolume) ? quoteVolume : null
+    };
+  }
+}
+
+module.exports = { RegimeClassifier, REGIMES };
@@ -0,0 +1,145 @@
+/**
+ * Detector Registry - Named detectors with default params, weight and required timeframes
+ *
+ * Detectors can be tuned or disabled from a JSON config file (DETECTOR_CONFIG) or env,
+ * and third-party detectors can be loaded as modules without editing detectors.js.
+ * A detector may list the market regimes it is valid in (see signal/regime.js); it is
+ * skipped in any other regime.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class DetectorRegistry {
+  constructor() {
+    this.detectors = new Map();
+  }
+
+  /**
+   * Register a detector function under a unique name
+   */
+  register(name, detect, options = {}) {
+    if (typeof detect !== 'function') {
+      throw new Error(`Detector ${name} must provide a detect function`);
+    }
+
+    this.detectors.set(name, {
+      name,
+      detect,
+      weight: options.weight ?? 1.0,
+      params: { ...(options.params || {}) },
+      timeframes: options.timeframes || [],
+      regimes: options.regimes || null, // null = valid in every regime
+      enabled: options.enabled ?? true,
+      description: options.description || ''
+    });
+    return this;
+  }
+
+  unregister(name) {
+    return this.detectors.delete(name);
+  }
+
+  get(name) {
+    return this.detectors.get(name) || null;
+  }
+
+  list() {
+    return [...this.detectors.values()];
+  }
+
+  getEnabled() {
+    return this.list().filter(d => d.enabled);
+  }
+
+  /**
+   * Timeframes needed by all enabled detectors
+   */
+  getRequiredTimeframes() {
+    const timeframes = new Set();
+    this.getEnabled().forEach(d => d.timeframes.forEach(tf => timeframes.add(tf)));
+    return [...timeframes];
+  }
+
+  /**
+   * Whether a detector should run in the given regime (unknown regime runs everything)
+   */
+  isValidInRegime(detector, regime) {
+    return !regime || !detector.regimes || detector.regimes.includes(regime);
+  }
+
+  /**
+   * Apply overrides: { name: { enabled, weight, params, regimes } }
+   */
+  configure(overrides = {}) {
+    for (const [name, override] of Object.entries(overrides)) {
+      const detector = this.detectors.get(name);
+      if (!detector) {
+        console.warn(`⚠️ Detector config references unknown detector: ${name}`);
+        continue;
+      }
+
+      if (override.enabled !== undefined) detector.enabled = Boolean(override.enabled);
+      if (override.weight !== undefined) detector.weight = parseFloat(override.weight);
+      if (override.params) detector.params = { ...detector.params, ...override.params };
+      if (override.regimes !== undefined) detector.regimes = override.regimes;
+    }
+    return this;
+  }
+
+  /**
+   * Load a third-party detector module.
+   * Modules export { name, detect, weight, params, timeframes, regimes } or a function(registry).
+   */
+  loadModule(modulePath, baseDir = process.cwd()) {
+    const resolved = path.resolve(baseDir, modulePath);
+    const mod = require(resolved);
+
+    if (typeof mod === 'function') {
+      mod(this);
+    } else if (mod && mod.name && typeof mod.detect === 'function') {
+      this.register(mod.name, mod.detect, mod);
+    } else {
+      throw new Error(`Invalid detector module: ${modulePath}`);
+    }
+
+    console.log(`🧩 Loaded detector module: ${modulePath}`);
+    return this;
+  }
+
+  /**
+   * Load DETECTOR_CONFIG file, DETECTOR_MODULES, DETECTORS_DISABLED and DETECTOR_WEIGHTS
+   */
+  loadFromEnvironment(env = process.env) {
+    const configPath = env.DETECTOR_CONFIG || 'config/detectors.json';
+
+    if (fs.existsSync(configPath)) {
+      const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      const baseDir = path.dirname(path.resolve(configPath));
+      (fileConfig.modules || []).forEach(m => this.loadModule(m, baseDir));
+      this.configure(fileConfig.detectors || {});
+    } else if (env.DETECTOR_CONFIG) {
+      console.warn(`⚠️ Detector config not found: ${configPath}`);
+    }
+
+    const splitList = value => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+    splitList(env.DETECTOR_MODULES).forEach(m => this.loadModule(m));
+
+    const overrides = {};
+    splitList(env.DETECTORS_DISABLED).forEach(name => {
+      overrides[name] = { ...overrides[name], enabled: false };
+    });
+    splitList(env.DETECTOR_WEIGHTS).forEach(pair => {
+      const [name, weight] = pair.split(':');
+      if (name && !isNaN(parseFloat(weight))) {
+        overrides[name] = { ...overrides[name], weight: parseFloat(weight) };
+      }
+    });
+    this.configure(overrides);
+
+    return this;
+  }
+}
+
+module.exports = { DetectorRegistry, registry: new DetectorRegistry() };
@@ -0,0 +1,120 @@
+/**
+ * Trend Filter - Multi-timeframe trend state and confluence scoring
+ *
+ * Each timeframe is classified UP / DOWN / RANGE from three votes: fast vs slow EMA,
+ * fast EMA slope and market structure (higher highs/lows vs lower highs/lows). Signals
+ * against the trend on the filter timeframes (1h/4h by default) are penalized, or vetoed
+ * in veto mode; signals aligned with them get a small bonus.
+ */
+
+const { EMA } = require('technicalindicators');
+const TradingUtils = require('../utils');
+
+function parseList(value) {
+  return value ? value.split(',').map(v => v.trim()).filter(Boolean) : null;
+}
+
+class TrendFilter {
+  constructor(config = {}) {
+    this.config = {
+      mode: process.env.TREND_FILTER_MODE || 'penalize', // off | penalize | veto
+      timeframes: parseList(process.env.TREND_FILTER_TIMEFRAMES) || ['1h', '4h'],
+      reportTimeframes: ['15m', '1h', '4h'],
+      emaFast: 20,
+      emaSlow: 50,
+      slopeBars: 5,
+      minSlopePercent: 0.1,
+      swingStrength: 2,
+      counterPenalty: { '1h': 10, '4h': 20 },
+      alignedBonus: 5,
+      ...config
+    };
+  }
+
+  /**
+   * Compare the last two fractal swing highs and lows
+   */
+  marketStructure(candles) {
+    const { highs, lows } = TradingUtils.findSwingPoints(candles, this.config.swingStrength);
+    if (highs.length < 2 || lows.length < 2) return 'MIXED';
+
+    const higherHigh = highs[highs.length - 1] > highs[highs.length - 2];
+    const higherLow = lows[lows.length - 1] > lows[lows.length - 2];
+    if (higherHigh && higherLow) return 'HH_HL';
+    if (!higherHigh && !higherLow) return 'LH_LL';
+    return 'MIXED';
+  }
+
+  /**
+   * Trend state for one timeframe, or null when there is not enough history
+   */
+  analyzeTimeframe(candles) {
+    const { emaFast, emaSlow, slopeBars, minSlopePercent } = this.config;
+    if (!candles || candles.length < emaSlow + slopeBars) return null;
+
+    const closes = candles.map(c => c.close);
+    const fast = EMA.calculate({ period: emaFast, values: closes });
+    const slow = EMA.calculate({ period: emaSlow, values: closes });
+    const fastNow = fast[fast.length - 1];
+    const fastBefore = fast[fast.length - 1 - slopeBars];
+    const slowNow = slow[slow.length - 1];
+    const slopePercent = (fastNow - fastBefore) / fastBefore * 100;
+    const structure = this.marketStructure(candles);
+
+    let votes = fastNow > slowNow ? 1 : -1;
+    if (slopePercent > minSlopePercent) votes++;
+    else if (slopePercent < -minSlopePercent) votes--;
+    if (structure === 'HH_HL') votes++;
+    else if (structure === 'LH_LL') votes--;
+
+    return {
+      trend: votes >= 2 ? 'UP' : votes <= -2 ? 'DOWN' : 'RANGE',
+      emaFast: fastNow,
+      emaSlow: slowNow,
+      slopePercent,
+      structure
+    };
+  }
+
+  /**
+   * Per-timeframe alignment of a direction with the trend, plus the score adjustment
+   */
+  assess(direction, data) {
+    const { mode, timeframes, reportTimeframes, counterPenalty, alignedBonus } = this.config;
+    const trendFor = { LONG: 'UP', SHORT: 'DOWN' }[direction];
+    const alignment = {};
+    const counter = [];
+    let adjustment = 0;
+
+    for (const tf of [...new Set([...reportTimeframes, ...timeframes])]) {
+      const state = this.analyzeTimeframe(data[tf]);
+      let status = 'UNKNOWN';
+      if (state && trendFor) {
+        if (state.trend === 'RANGE') status = 'NEUTRAL';
+        else status = state.trend === trendFor ? 'ALIGNED' : 'COUNTER';
+      }
+      alignment[tf] = { ...(state || { trend: 'UNKNOWN' }), status, filter: timeframes.includes(tf) };
+
+      if (mode === 'off' || !timeframes.includes(tf)) continue;
+      if (status === 'COUNTER') {
+        counter.push(tf);
+        adjustment -= counterPenalty[tf] ?? 10;
+      } else if (status === 'ALIGNED') {
+        adjustment += alignedBonus;
+      }
+    }
+
+    const vetoed = mode === 'veto' && counter.length > 0;
+
+    return {
+      mode,
+      alignment,
+      counter,
+      adjustment: mode === 'off' ? 0 : adjustment,
+      vetoed,
+      reason: counter.length > 0 ? `against ${counter.join('/')} trend` : null
+    };
+  }
+}
+
+module.exports = TrendFilter;
@@ -96,6 +96,22 @@ class TradingUtils {
     return stdDev === 0 ? 0 : (value - mean) / stdDev;
   }
 
+  /**
+   * Fractal swing points: a high/low more extreme than `strength` candles on each side
+   */
+  static findSwingPoints(candles, strength = 2) {
+    const highs = [];
+    const lows = [];
+
+    for (let i = strength; i < candles.length - strength; i++) {
+      const window = candles.slice(i - strength, i + strength + 1);
+      if (window.every(c => c === candles[i] || c.high < candles[i].high)) highs.push(candles[i].high);
+      if (window.every(c => c === candles[i] || c.low > candles[i].low)) lows.push(candles[i].low);
+    }
+
+    return { highs, lows };
+  }
+
   /**
    * Calculate correlation between two arrays
    */